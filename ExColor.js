@@ -18,6 +18,20 @@
  * @property {number=} a - The alpha value (0-1).
  */
 
+/**
+ * @typedef {object} OklchObject
+ * @property {number} l - The perceptual lightness value (0-1).
+ * @property {number} c - The chroma value (0 to about 0.37 within sRGB).
+ * @property {number} h - The hue angle in degrees (0-360).
+ * @property {number=} a - The alpha value (0-1).
+ */
+
+/** D65 reference white used for CIELAB conversions. */
+const D65_WHITE = [0.95047, 1, 1.08883];
+
+/** Distance in OKLab below which two colors are indistinguishable; used by gamut mapping. */
+const OKLAB_JND = 0.02;
+
 /**
  * Provides many utility methods to convert between color representations.
  */
@@ -115,6 +129,17 @@ export class ExColor {
         return hex;
     }
 
+    /**
+     * Converts this color value to OKLCH.
+     * 
+     * @returns {OklchObject}
+     */
+    toOklch() {
+        const { r, g, b, a } = this.toRgb();
+        const [l, c, h] = ExColor.rgb2oklch([r, g, b]);
+        return { l, c, h, a: (a ?? 255) / 255 };
+    }
+
     /**
      * Creates a new `ExColor` object from the specified RGBA values.
      * 
@@ -143,6 +168,29 @@ export class ExColor {
         return new ExColor(null, hsla);
     }
 
+    /**
+     * Creates a new `ExColor` object from the specified OKLCH values.
+     * Colors outside the sRGB gamut are mapped into it by reducing chroma, see {@linkcode ExColor.oklch2rgb()}.
+     * 
+     * @param {ColorArray | OklchObject} lcha An array of numbers `[l, c, h, a?]` or an object `{ l: number, c: number, h: number, a?: number }`.
+     * `l` and `a` should be within the range `0-1` and `h` in degrees.
+     * 
+     * @returns {ExColor}
+     */
+    static fromOklch(lcha) {
+        let l, c, h, a;
+        if (Array.isArray(lcha)) {
+            [l, c, h, a = 1] = lcha;
+        } else if (typeof lcha === 'object') {
+            [l, c, h, a = 1] = [lcha.l, lcha.c, lcha.h, lcha.a];
+        } else {
+            throw new TypeError(`Unsupported data type '${typeof lcha}'.`);
+        }
+
+        const [r, g, b] = ExColor.oklch2rgb([l, c, h]);
+        return new ExColor([r, g, b, Math.round(a * 255)], null);
+    }
+
     /**
      * Creates a new `ExColor` object from the specified hex color value.
      * 
@@ -288,6 +336,317 @@ export class ExColor {
         return ExColor.rgb2hex(rgb);
     }
 
+    /**
+     * Converts the specified RGB values to OKLab.
+     *
+     * @param {ColorArray | RgbaObject} rgb An array of numbers `[r, g, b, a?]` or an object `{ r: number, g: number, b: number, a?: number }`.
+     * Numbers should be within the range `0-255`.
+     *
+     * @returns {[number, number, number]} The resulting `[L, a, b]` values, with `L` in the range `0-1` and `a, b` roughly within `-0.4-0.4`.
+     *
+     * @link https://bottosson.github.io/posts/oklab/
+     */
+    static rgb2oklab(rgb) {
+        return ExColor.#linear2oklab(ExColor.#toLinearRgb(rgb));
+    }
+
+    /**
+     * Gets the perceptual distance between two RGB colors as the euclidean distance in OKLab (ΔEOK).
+     * A distance of about `0.02` is just noticeable; `0.1` or more is clearly distinct.
+     *
+     * @param {ColorArray | RgbaObject} rgbA
+     * @param {ColorArray | RgbaObject} rgbB
+     * @returns {number}
+     */
+    static deltaEOK(rgbA, rgbB) {
+        const [l1, a1, b1] = ExColor.rgb2oklab(rgbA);
+        const [l2, a2, b2] = ExColor.rgb2oklab(rgbB);
+        return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+    }
+
+    /**
+     * Converts the specified OKLab values to RGB, clipping any out-of-gamut channels.
+     * Use {@linkcode ExColor.oklch2rgb()} for hue-preserving gamut mapping instead.
+     * 
+     * @param {number[]} lab `[L, a, b]` as returned by {@linkcode ExColor.rgb2oklab()}.
+     * @returns {ColorArray} The resulting RGBA values, in the range `0-255`.
+     */
+    static oklab2rgb(lab) {
+        const [r, g, b] = ExColor.#oklab2linear(lab)
+            .map(channel => Math.round(ExColor.#linearToSrgb(Math.max(0, Math.min(1, channel))) * 255));
+        return [r, g, b, 255];
+    }
+
+    /**
+     * Converts OKLab values to OKLCH.
+     * 
+     * @param {number[]} lab `[L, a, b]`
+     * @returns {[number, number, number]} `[L, C, h]` with the hue `h` in degrees `0-360`.
+     */
+    static oklab2oklch(lab) {
+        return ExColor.#cartesianToPolar(lab);
+    }
+
+    /**
+     * Converts OKLCH values to OKLab.
+     * 
+     * @param {number[]} lch `[L, C, h]` with the hue `h` in degrees.
+     * @returns {[number, number, number]} `[L, a, b]`
+     */
+    static oklch2oklab(lch) {
+        return ExColor.#polarToCartesian(lch);
+    }
+
+    /**
+     * Converts the specified RGB values to OKLCH.
+     * 
+     * @param {ColorArray | RgbaObject} rgb Numbers should be within the range `0-255`.
+     * @returns {[number, number, number]} `[L, C, h]` with `L` in `0-1` and the hue `h` in degrees `0-360`.
+     */
+    static rgb2oklch(rgb) {
+        return ExColor.oklab2oklch(ExColor.rgb2oklab(rgb));
+    }
+
+    /**
+     * Converts the specified OKLCH values to RGB. Colors outside the sRGB gamut are mapped into it
+     * by reducing chroma while keeping lightness and hue, see {@linkcode ExColor.gamutMapOklch()}.
+     * 
+     * @param {number[]} lch `[L, C, h]` with the hue `h` in degrees.
+     * @returns {ColorArray} The resulting RGBA values, in the range `0-255`.
+     */
+    static oklch2rgb(lch) {
+        return ExColor.oklab2rgb(ExColor.oklch2oklab(ExColor.gamutMapOklch(lch)));
+    }
+
+    /**
+     * Gets whether the specified OKLCH color can be displayed in sRGB without clipping.
+     * 
+     * @param {number[]} lch `[L, C, h]` with the hue `h` in degrees.
+     * @returns {boolean}
+     */
+    static isOklchInGamut(lch) {
+        const epsilon = 0.0001;
+        return ExColor.#oklab2linear(ExColor.oklch2oklab(lch))
+            .every(channel => channel >= -epsilon && channel <= 1 + epsilon);
+    }
+
+    /**
+     * Maps an OKLCH color into the sRGB gamut using the CSS Color 4 algorithm: chroma is reduced by binary search
+     * until the clipped color is indistinguishable from the unclipped one, keeping lightness and hue unchanged.
+     * 
+     * @param {number[]} lch `[L, C, h]` with the hue `h` in degrees.
+     * @returns {[number, number, number]} The mapped `[L, C, h]`.
+     * 
+     * @link https://www.w3.org/TR/css-color-4/#gamut-mapping
+     */
+    static gamutMapOklch(lch) {
+        const [l, c, h] = lch;
+        if (l >= 1) return [1, 0, h];
+        if (l <= 0) return [0, 0, h];
+        if (ExColor.isOklchInGamut(lch)) return [l, c, h];
+
+        const clipDistance = (chroma) => {
+            const lab = ExColor.oklch2oklab([l, chroma, h]);
+            const clipped = ExColor.#oklab2linear(lab).map(channel => Math.max(0, Math.min(1, channel)));
+            return Math.hypot(...ExColor.#linear2oklab(clipped).map((value, i) => value - lab[i]));
+        };
+
+        if (clipDistance(c) < OKLAB_JND) {
+            return ExColor.#clipOklch([l, c, h]);
+        }
+
+        let min = 0;
+        let max = c;
+        let minInGamut = true;
+        while (max - min > 0.0001) {
+            const chroma = (min + max) / 2;
+            if (minInGamut && ExColor.isOklchInGamut([l, chroma, h])) {
+                min = chroma;
+                continue;
+            }
+
+            if (clipDistance(chroma) < OKLAB_JND) {
+                minInGamut = false;
+                min = chroma;
+            } else {
+                max = chroma;
+            }
+        }
+
+        return ExColor.#clipOklch([l, min, h]);
+    }
+
+    /**
+     * Converts the specified RGB values to CIELAB (D65 white point).
+     * 
+     * @param {ColorArray | RgbaObject} rgb Numbers should be within the range `0-255`.
+     * @returns {[number, number, number]} `[L, a, b]` with `L` in `0-100`.
+     */
+    static rgb2lab(rgb) {
+        const [r, g, b] = ExColor.#toLinearRgb(rgb);
+        const xyz = [
+            (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / D65_WHITE[0],
+            (0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / D65_WHITE[1],
+            (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / D65_WHITE[2],
+        ];
+        const [fx, fy, fz] = xyz.map(t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * Converts the specified CIELAB (D65 white point) values to RGB, clipping any out-of-gamut channels.
+     * 
+     * @param {number[]} lab `[L, a, b]` with `L` in `0-100`.
+     * @returns {ColorArray} The resulting RGBA values, in the range `0-255`.
+     */
+    static lab2rgb(lab) {
+        const [l, a, b] = lab;
+        const fy = (l + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const [x, y, z] = [fx, fy, fz]
+            .map(f => f > 6 / 29 ? f * f * f : (116 * f - 16) * 27 / 24389)
+            .map((t, i) => t * D65_WHITE[i]);
+
+        const linear = [
+            3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+            -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+            0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+        ];
+        const [red, green, blue] = linear
+            .map(channel => Math.round(ExColor.#linearToSrgb(Math.max(0, Math.min(1, channel))) * 255));
+        return [red, green, blue, 255];
+    }
+
+    /**
+     * Converts CIELAB values to CIE LCh.
+     * 
+     * @param {number[]} lab `[L, a, b]`
+     * @returns {[number, number, number]} `[L, C, h]` with the hue `h` in degrees `0-360`.
+     */
+    static lab2lch(lab) {
+        return ExColor.#cartesianToPolar(lab);
+    }
+
+    /**
+     * Converts CIE LCh values to CIELAB.
+     * 
+     * @param {number[]} lch `[L, C, h]` with the hue `h` in degrees.
+     * @returns {[number, number, number]} `[L, a, b]`
+     */
+    static lch2lab(lch) {
+        return ExColor.#polarToCartesian(lch);
+    }
+
+    /**
+     * Converts the specified RGB values to CIE LCh.
+     * 
+     * @param {ColorArray | RgbaObject} rgb Numbers should be within the range `0-255`.
+     * @returns {[number, number, number]} `[L, C, h]` with `L` in `0-100` and the hue `h` in degrees `0-360`.
+     */
+    static rgb2lch(rgb) {
+        return ExColor.lab2lch(ExColor.rgb2lab(rgb));
+    }
+
+    /**
+     * Converts the specified CIE LCh values to RGB, clipping any out-of-gamut channels.
+     * 
+     * @param {number[]} lch `[L, C, h]` with `L` in `0-100` and the hue `h` in degrees.
+     * @returns {ColorArray} The resulting RGBA values, in the range `0-255`.
+     */
+    static lch2rgb(lch) {
+        return ExColor.lab2rgb(ExColor.lch2lab(lch));
+    }
+
+    /**
+     * Gets the CIE76 color difference (euclidean distance in CIELAB) between two RGB colors.
+     * A difference of about `2.3` is just noticeable.
+     * 
+     * @param {ColorArray | RgbaObject} rgbA
+     * @param {ColorArray | RgbaObject} rgbB
+     * @returns {number}
+     */
+    static deltaE76(rgbA, rgbB) {
+        const [l1, a1, b1] = ExColor.rgb2lab(rgbA);
+        const [l2, a2, b2] = ExColor.rgb2lab(rgbB);
+        return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+    }
+
+    /**
+     * Gets the CIEDE2000 color difference between two RGB colors.
+     * A difference of about `1` is just noticeable.
+     * 
+     * @param {ColorArray | RgbaObject} rgbA
+     * @param {ColorArray | RgbaObject} rgbB
+     * @returns {number}
+     */
+    static deltaE2000(rgbA, rgbB) {
+        return ExColor.deltaE2000Lab(ExColor.rgb2lab(rgbA), ExColor.rgb2lab(rgbB));
+    }
+
+    /**
+     * Gets the CIEDE2000 color difference between two CIELAB colors.
+     * 
+     * @param {number[]} labA `[L, a, b]` as returned by {@linkcode ExColor.rgb2lab()}.
+     * @param {number[]} labB
+     * @returns {number}
+     * 
+     * @link https://hajim.rochester.edu/ece/sites/gsharma/ciede2000/ciede2000noteCITA.pdf
+     */
+    static deltaE2000Lab(labA, labB) {
+        const [l1, a1, b1] = labA;
+        const [l2, a2, b2] = labB;
+        const rad = Math.PI / 180;
+
+        const avgC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+        const g = 0.5 * (1 - Math.sqrt(Math.pow(avgC, 7) / (Math.pow(avgC, 7) + Math.pow(25, 7))));
+        const a1p = a1 * (1 + g);
+        const a2p = a2 * (1 + g);
+        const c1p = Math.hypot(a1p, b1);
+        const c2p = Math.hypot(a2p, b2);
+        const hueOf = (b, ap) => (b === 0 && ap === 0) ? 0 : (Math.atan2(b, ap) / rad + 360) % 360;
+        const h1p = hueOf(b1, a1p);
+        const h2p = hueOf(b2, a2p);
+
+        const deltaLp = l2 - l1;
+        const deltaCp = c2p - c1p;
+        let deltahp = 0;
+        if (c1p * c2p !== 0) {
+            deltahp = h2p - h1p;
+            if (deltahp > 180) deltahp -= 360;
+            else if (deltahp < -180) deltahp += 360;
+        }
+        const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(deltahp * rad / 2);
+
+        const avgLp = (l1 + l2) / 2;
+        const avgCp = (c1p + c2p) / 2;
+        let avgHp = h1p + h2p;
+        if (c1p * c2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) avgHp /= 2;
+            else avgHp = (h1p + h2p < 360) ? (avgHp + 360) / 2 : (avgHp - 360) / 2;
+        }
+
+        const t = 1
+            - 0.17 * Math.cos((avgHp - 30) * rad)
+            + 0.24 * Math.cos(2 * avgHp * rad)
+            + 0.32 * Math.cos((3 * avgHp + 6) * rad)
+            - 0.20 * Math.cos((4 * avgHp - 63) * rad);
+        const deltaTheta = 30 * Math.exp(-Math.pow((avgHp - 275) / 25, 2));
+        const rc = 2 * Math.sqrt(Math.pow(avgCp, 7) / (Math.pow(avgCp, 7) + Math.pow(25, 7)));
+        const sl = 1 + (0.015 * Math.pow(avgLp - 50, 2)) / Math.sqrt(20 + Math.pow(avgLp - 50, 2));
+        const sc = 1 + 0.045 * avgCp;
+        const sh = 1 + 0.015 * avgCp * t;
+        const rt = -Math.sin(2 * deltaTheta * rad) * rc;
+
+        return Math.sqrt(
+            Math.pow(deltaLp / sl, 2) +
+            Math.pow(deltaCp / sc, 2) +
+            Math.pow(deltaHp / sh, 2) +
+            rt * (deltaCp / sc) * (deltaHp / sh)
+        );
+    }
+
     /**
      * Converts the specified hex color value into an RGB value. Does not support alpha.
      * 
@@ -391,6 +750,121 @@ export class ExColor {
         return this.#hexNormalize(hex);
     }
 
+    /**
+     * Gets the linear-light channel values of an RGB color.
+     *
+     * @param {ColorArray | RgbaObject} rgb Numbers should be within the range `0-255`.
+     * @returns {[number, number, number]} The linear channel values, in the range `0-1`.
+     */
+    static #toLinearRgb(rgb) {
+        let r, g, b;
+        if (Array.isArray(rgb)) {
+            [r, g, b] = rgb;
+        } else if (typeof rgb === 'object') {
+            [r, g, b] = [rgb.r, rgb.g, rgb.b];
+        } else {
+            throw new TypeError(`Unsupported data type '${typeof rgb}'.`);
+        }
+
+        return [
+            ExColor.#srgbToLinear(r / 255),
+            ExColor.#srgbToLinear(g / 255),
+            ExColor.#srgbToLinear(b / 255),
+        ];
+    }
+
+    /**
+     * @param {number[]} linearRgb Linear-light channel values.
+     * @returns {[number, number, number]} `[L, a, b]` in OKLab.
+     */
+    static #linear2oklab(linearRgb) {
+        const [r, g, b] = linearRgb;
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+        ];
+    }
+
+    /**
+     * @param {number[]} lab `[L, a, b]` in OKLab.
+     * @returns {[number, number, number]} Unclipped linear-light channel values; values outside `0-1` are out of gamut.
+     */
+    static #oklab2linear(lab) {
+        const [lightness, a, b] = lab;
+        const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(lightness - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+        ];
+    }
+
+    /**
+     * Clips an OKLCH color into sRGB and returns it as OKLCH again.
+     *
+     * @param {number[]} lch
+     * @returns {[number, number, number]}
+     */
+    static #clipOklch(lch) {
+        const clipped = ExColor.#oklab2linear(ExColor.oklch2oklab(lch))
+            .map(channel => Math.max(0, Math.min(1, channel)));
+        const [l, c, h] = ExColor.oklab2oklch(ExColor.#linear2oklab(clipped));
+        // Keep the requested hue for (near-)achromatic results, where the computed hue is meaningless
+        return [l, c, c < 0.0001 ? lch[2] : h];
+    }
+
+    /**
+     * @param {number[]} lab `[L, a, b]`
+     * @returns {[number, number, number]} `[L, C, h]` with `h` in degrees `0-360`.
+     */
+    static #cartesianToPolar(lab) {
+        const [l, a, b] = lab;
+        const h = Math.atan2(b, a) * 180 / Math.PI;
+        return [l, Math.hypot(a, b), (h + 360) % 360];
+    }
+
+    /**
+     * @param {number[]} lch `[L, C, h]` with `h` in degrees.
+     * @returns {[number, number, number]} `[L, a, b]`
+     */
+    static #polarToCartesian(lch) {
+        const [l, c, h] = lch;
+        const rad = h * Math.PI / 180;
+        return [l, c * Math.cos(rad), c * Math.sin(rad)];
+    }
+
+    /**
+     * Converts a linear-light channel value to gamma-encoded sRGB.
+     *
+     * @param {number} value The channel value in the range `0-1`.
+     * @returns {number}
+     */
+    static #linearToSrgb(value) {
+        return value <= 0.0031308
+            ? value * 12.92
+            : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    }
+
+    /**
+     * Converts a gamma-encoded sRGB channel value to linear light.
+     *
+     * @param {number} value The channel value in the range `0-1`.
+     * @returns {number}
+     */
+    static #srgbToLinear(value) {
+        return value <= 0.04045
+            ? value / 12.92
+            : Math.pow((value + 0.055) / 1.055, 2.4);
+    }
+
     /**
      * Trims any beginning hash `#` from the hex string and throws on an invalid hex color string.
      * 
@@ -0,0 +1,181 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ExColor } from "./ExColor.js";
+
+/**
+ * @param {number[]} actual
+ * @param {number[]} expected
+ * @param {number} tolerance
+ */
+function assertClose(actual, expected, tolerance) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `[${actual}] isn't close to [${expected}]`);
+    });
+}
+
+/**
+ * @param {number} hueA
+ * @param {number} hueB
+ * @returns {number}
+ */
+function hueDistance(hueA, hueB) {
+    const difference = Math.abs(hueA - hueB) % 360;
+    return Math.min(difference, 360 - difference);
+}
+
+describe("OKLab and OKLCH", () => {
+    test("match the reference values of the sRGB primaries", () => {
+        // https://bottosson.github.io/posts/oklab/ and CSS Color 4
+        assertClose(ExColor.rgb2oklab([255, 255, 255]), [1, 0, 0], 0.0001);
+        assertClose(ExColor.rgb2oklab([255, 0, 0]), [0.62796, 0.22486, 0.12585], 0.0001);
+        assertClose(ExColor.rgb2oklab([0, 255, 0]), [0.86644, -0.23389, 0.1795], 0.0001);
+        assertClose(ExColor.rgb2oklab([0, 0, 255]), [0.45201, -0.03246, -0.31153], 0.0001);
+        assertClose(ExColor.rgb2oklch([255, 0, 0]), [0.62796, 0.25768, 29.234], 0.001);
+    });
+
+    test("convert back to the same sRGB color", () => {
+        for (const rgb of [[0, 0, 0], [255, 255, 255], [12, 200, 99], [250, 128, 3], [80, 80, 200]]) {
+            assert.deepEqual(ExColor.oklab2rgb(ExColor.rgb2oklab(rgb)).slice(0, 3), rgb);
+            assert.deepEqual(ExColor.oklch2rgb(ExColor.rgb2oklch(rgb)).slice(0, 3), rgb);
+        }
+    });
+
+    test("measure distance as ΔEOK", () => {
+        assert.equal(ExColor.deltaEOK([10, 20, 30], [10, 20, 30]), 0);
+        assertClose([ExColor.deltaEOK([0, 0, 0], [255, 255, 255])], [1], 0.0001);
+    });
+});
+
+describe("OKLCH gamut mapping", () => {
+    /**
+     * Finds the highest chroma that's in gamut by bisection.
+     *
+     * @param {number} l
+     * @param {number} h
+     * @returns {number}
+     */
+    function maxInGamutChroma(l, h) {
+        let min = 0;
+        let max = 0.5;
+        while (max - min > 0.00001) {
+            const chroma = (min + max) / 2;
+            if (ExColor.isOklchInGamut([l, chroma, h])) min = chroma;
+            else max = chroma;
+        }
+        return min;
+    }
+
+    test("leaves colors in gamut unchanged", () => {
+        const lch = ExColor.rgb2oklch([120, 90, 200]);
+        assert.equal(ExColor.isOklchInGamut(lch), true);
+        assert.deepEqual(ExColor.gamutMapOklch(lch), lch);
+    });
+
+    test("maps lightness beyond the ends to white and black", () => {
+        assert.deepEqual(ExColor.gamutMapOklch([1.2, 0.1, 40]), [1, 0, 40]);
+        assert.deepEqual(ExColor.gamutMapOklch([-0.1, 0.1, 40]), [0, 0, 40]);
+    });
+
+    test("reduces the chroma of colors out of gamut, as little as possible", () => {
+        for (const lch of [[0.7, 0.4, 150], [0.5, 0.35, 265], [0.9, 0.3, 100], [0.3, 0.25, 30]]) {
+            assert.equal(ExColor.isOklchInGamut(lch), false, `[${lch}] should be out of gamut`);
+
+            const mapped = ExColor.gamutMapOklch(lch);
+            const [, c] = mapped;
+            assert.ok(ExColor.isOklchInGamut(mapped), `[${lch}] mapped to [${mapped}]`);
+            assert.ok(c < lch[1]);
+            assert.ok(c >= maxInGamutChroma(lch[0], lch[2]) - 0.002, `[${lch}] lost too much chroma: ${c}`);
+
+            // The final clip may move the color, but not noticeably (less than the JND of 0.02)
+            const unclipped = ExColor.oklch2oklab([lch[0], c, lch[2]]);
+            const shift = Math.hypot(...ExColor.oklch2oklab(mapped).map((value, i) => value - unclipped[i]));
+            assert.ok(shift < 0.02, `[${lch}] moved by ${shift} in the final clip`);
+        }
+    });
+
+    test("keeps lightness and hue when converting out of gamut colors to sRGB", () => {
+        const [l, , h] = ExColor.rgb2oklch(ExColor.oklch2rgb([0.7, 0.4, 150]));
+        assert.ok(Math.abs(l - 0.7) < 0.01);
+        assert.ok(hueDistance(h, 150) < 5);
+    });
+});
+
+describe("CIEDE2000", () => {
+    // Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula: Implementation Notes,
+    // Supplementary Test Data, and Mathematical Observations", table 1: [L1, a1, b1, L2, a2, b2, ΔE00]
+    const SHARMA_PAIRS = [
+        [50.0000, 2.6772, -79.7751, 50.0000, 0.0000, -82.7485, 2.0425],
+        [50.0000, 3.1571, -77.2803, 50.0000, 0.0000, -82.7485, 2.8615],
+        [50.0000, 2.8361, -74.0200, 50.0000, 0.0000, -82.7485, 3.4412],
+        [50.0000, -1.3802, -84.2814, 50.0000, 0.0000, -82.7485, 1.0000],
+        [50.0000, -1.1848, -84.8006, 50.0000, 0.0000, -82.7485, 1.0000],
+        [50.0000, -0.9009, -85.5211, 50.0000, 0.0000, -82.7485, 1.0000],
+        [50.0000, 0.0000, 0.0000, 50.0000, -1.0000, 2.0000, 2.3669],
+        [50.0000, -1.0000, 2.0000, 50.0000, 0.0000, 0.0000, 2.3669],
+        [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0009, 7.1792],
+        [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0010, 7.1792],
+        [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0011, 7.2195],
+        [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0012, 7.2195],
+        [50.0000, -0.0010, 2.4900, 50.0000, 0.0009, -2.4900, 4.8045],
+        [50.0000, -0.0010, 2.4900, 50.0000, 0.0010, -2.4900, 4.8045],
+        [50.0000, -0.0010, 2.4900, 50.0000, 0.0011, -2.4900, 4.7461],
+        [50.0000, 2.5000, 0.0000, 50.0000, 0.0000, -2.5000, 4.3065],
+        [50.0000, 2.5000, 0.0000, 73.0000, 25.0000, -18.0000, 27.1492],
+        [50.0000, 2.5000, 0.0000, 61.0000, -5.0000, 29.0000, 22.8977],
+        [50.0000, 2.5000, 0.0000, 56.0000, -27.0000, -3.0000, 31.9030],
+        [50.0000, 2.5000, 0.0000, 58.0000, 24.0000, 15.0000, 19.4535],
+        [50.0000, 2.5000, 0.0000, 50.0000, 3.1736, 0.5854, 1.0000],
+        [50.0000, 2.5000, 0.0000, 50.0000, 3.2972, 0.0000, 1.0000],
+        [50.0000, 2.5000, 0.0000, 50.0000, 1.8634, 0.5757, 1.0000],
+        [50.0000, 2.5000, 0.0000, 50.0000, 3.2592, 0.3350, 1.0000],
+        [60.2574, -34.0099, 36.2677, 60.4626, -34.1751, 39.4387, 1.2644],
+        [63.0109, -31.0961, -5.8663, 62.8187, -29.7946, -4.0864, 1.2630],
+        [61.2901, 3.7196, -5.3901, 61.4292, 2.2480, -4.9620, 1.8731],
+        [35.0831, -44.1164, 3.7933, 35.0232, -40.0716, 1.5901, 1.8645],
+        [22.7233, 20.0904, -46.6940, 23.0331, 14.9730, -42.5619, 2.0373],
+        [36.4612, 47.8580, 18.3852, 36.2715, 50.5065, 21.2231, 1.4146],
+        [90.8027, -2.0831, 1.4410, 91.1528, -1.6435, 0.0447, 1.4441],
+        [90.9257, -0.5406, -0.9208, 88.6381, -0.8985, -0.7239, 1.5381],
+        [6.7747, -0.2908, -2.4247, 5.8714, -0.0985, -2.2286, 0.6377],
+        [2.0776, 0.0795, -1.1350, 0.9033, -0.0636, -0.5514, 0.9082],
+    ];
+
+    test("matches the reference pairs of Sharma et al.", () => {
+        SHARMA_PAIRS.forEach(([l1, a1, b1, l2, a2, b2, expected], i) => {
+            const labA = [l1, a1, b1];
+            const labB = [l2, a2, b2];
+            const difference = ExColor.deltaE2000Lab(labA, labB);
+            assert.ok(Math.abs(difference - expected) < 0.0001, `pair ${i + 1}: ${difference} instead of ${expected}`);
+            // Symmetric
+            assert.ok(Math.abs(ExColor.deltaE2000Lab(labB, labA) - expected) < 0.0001, `pair ${i + 1} reversed`);
+        });
+    });
+
+    test("compares RGB colors in CIELAB", () => {
+        assertClose(ExColor.rgb2lab([255, 255, 255]), [100, 0, 0], 0.01);
+        assert.equal(ExColor.deltaE2000([200, 30, 30], [200, 30, 30]), 0);
+        assert.equal(
+            ExColor.deltaE2000([200, 30, 30], [30, 30, 200]),
+            ExColor.deltaE2000Lab(ExColor.rgb2lab([200, 30, 30]), ExColor.rgb2lab([30, 30, 200])));
+    });
+});
+
+describe("hex colors", () => {
+    test("convert to and from RGB", () => {
+        assert.deepEqual(ExColor.hex2rgb("#1a2B3c"), [26, 43, 60, undefined]);
+        assert.deepEqual(ExColor.hex2rgb("abc", 255), [170, 187, 204, 255]);
+        assert.equal(ExColor.rgb2hex([26, 43, 60]), "1a2b3c");
+    });
+
+    test("are validated", () => {
+        for (const hex of ["#abc", "abcdef", "#ABCDEF"]) {
+            assert.equal(ExColor.isValidHexString(hex), true, hex);
+        }
+        for (const hex of ["#abcd", "ghijkl", "", null, 0xabcdef]) {
+            assert.equal(ExColor.isValidHexString(hex), false, String(hex));
+        }
+        assert.throws(() => ExColor.hex2rgb("nope"), TypeError);
+    });
+});
@@ -78,6 +78,20 @@ export class STCharacter {
         return stringFormat(avatarPathFmt, encodeURIComponent(this.#avatarName));
     }
 
+    /** Gets the character's display name, or the avatar name if the name can't be looked up. */
+    get displayName() {
+        switch (this.#charType) {
+            case CharacterType.CHARACTER:
+                return getContext().characters.find(char => char.avatar === this.#avatarName)?.name ?? this.#avatarName;
+            case CharacterType.PERSONA:
+                return power_user.personas[this.#avatarName] ?? this.#avatarName;
+            case CharacterType.SYSTEM:
+                return "System";
+            default:
+                return this.#avatarName;
+        }
+    }
+
     /** Gets a unique string identifier with the character's type and avatar name. */
     get uid() {
         return `${this.#charType}|${this.#avatarName}`;
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { testContext } from "./testing/stubs/scripts/extensions.js";
+import { power_user } from "./testing/stubs/scripts/power-user.js";
+
+import { CharacterType, STCharacter } from "./STCharacter.js";
+
+beforeEach(() => {
+    testContext.characters = [
+        { name: "Ocean", avatar: "ocean.png" },
+        { name: "Lady Lake", avatar: "lady lake.png" },
+    ];
+    power_user.personas = { "violet.png": "Violet" };
+});
+
+afterEach(() => {
+    testContext.characters = [];
+    power_user.personas = {};
+});
+
+describe("STCharacter", () => {
+    test("is created for known avatars only", () => {
+        const character = STCharacter.fromAvatar(CharacterType.CHARACTER, "ocean.png");
+        assert.equal(character.type, CharacterType.CHARACTER);
+        assert.equal(character.avatarName, "ocean.png");
+        assert.equal(character.uid, "character|ocean.png");
+
+        assert.throws(() => STCharacter.fromAvatar(CharacterType.CHARACTER, "violet.png"), /character list/);
+        assert.throws(() => STCharacter.fromAvatar(CharacterType.PERSONA, "ocean.png"), /persona list/);
+        assert.throws(() => STCharacter.fromAvatar(CharacterType.SYSTEM, "ocean.png"), /system/);
+        assert.throws(() => STCharacter.fromAvatar("npc", "ocean.png"), /Invalid character type/);
+    });
+
+    test("can't be constructed directly", () => {
+        assert.throws(() => new STCharacter(Symbol(), CharacterType.CHARACTER, "ocean.png"), TypeError);
+    });
+
+    test("is looked up by name", () => {
+        assert.equal(STCharacter.fromName(CharacterType.CHARACTER, "Lady Lake").avatarName, "lady lake.png");
+        assert.equal(STCharacter.fromName(CharacterType.PERSONA, "Violet").avatarName, "violet.png");
+        assert.equal(STCharacter.fromName(CharacterType.SYSTEM, "System").avatarName, "img/five.png");
+        assert.throws(() => STCharacter.fromName(CharacterType.CHARACTER, "Nobody"), /Couldn't find 'Nobody'/);
+        assert.throws(() => STCharacter.fromName(CharacterType.CHARACTER, ""), /empty character name/);
+    });
+
+    test("gets display names from SillyTavern", () => {
+        assert.equal(STCharacter.fromAvatar(CharacterType.CHARACTER, "lady lake.png").displayName, "Lady Lake");
+        assert.equal(STCharacter.fromAvatar(CharacterType.PERSONA, "violet.png").displayName, "Violet");
+        assert.equal(STCharacter.System.displayName, "System");
+    });
+
+    test("builds SillyTavern's avatar paths, encoding the file name", () => {
+        const character = STCharacter.fromAvatar(CharacterType.CHARACTER, "lady lake.png");
+        assert.equal(character.avatarImageThumbnailFilePath, "/thumbnail?type=avatar&file=lady%20lake.png");
+        assert.equal(character.avatarImageFilePath, "/characters/lady%20lake.png");
+
+        const persona = STCharacter.fromAvatar(CharacterType.PERSONA, "violet.png");
+        assert.equal(persona.avatarImageThumbnailFilePath, "/User Avatars/violet.png");
+        assert.equal(STCharacter.System.avatarImageFilePath, "img/five.png");
+    });
+
+    test("loads its avatar images", async () => {
+        const thumbnail = STCharacter.fromAvatar(CharacterType.CHARACTER, "ocean.png").getAvatarImageThumbnail();
+        assert.equal(thumbnail.src, "http://localhost:8000/thumbnail?type=avatar&file=ocean.png");
+        assert.equal(thumbnail.complete, false);
+
+        await new Promise((resolve, reject) => {
+            thumbnail.addEventListener("load", resolve, { once: true });
+            thumbnail.addEventListener("error", reject, { once: true });
+        });
+        assert.equal(thumbnail.complete, true);
+        assert.equal(thumbnail.width, 64);
+
+        const avatar = STCharacter.fromAvatar(CharacterType.PERSONA, "violet.png").getAvatarImage();
+        await new Promise((resolve, reject) => {
+            avatar.addEventListener("load", resolve, { once: true });
+            avatar.addEventListener("error", reject, { once: true });
+        });
+        assert.equal(avatar.height, 64);
+    });
+
+    test("shares the system character", () => {
+        assert.equal(STCharacter.System.type, CharacterType.SYSTEM);
+        assert.equal(STCharacter.fromAvatar(CharacterType.SYSTEM, "img/five.png").uid, STCharacter.System.uid);
+    });
+});
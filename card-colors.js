@@ -0,0 +1,91 @@
+import { getContext, writeExtensionField } from "../../../extensions.js";
+
+import { ExColor } from "./ExColor.js";
+import { CharacterType, STCharacter } from "./STCharacter.js";
+
+/** The key of the extension's block in a card's `data.extensions`. */
+export const CARD_EXTENSION_KEY = "smart_dialogue_colorizer";
+
+/**
+ * @typedef {ValueOf<typeof CardColorPrecedenceType>} CardColorPrecedenceType
+ * @readonly
+ */
+export const CardColorPrecedenceType = {
+    /** Card colors win over local overrides. The default. */
+    CARD_FIRST: "card_first",
+    /** Local overrides win; card colors are used for characters without one. */
+    LOCAL_FIRST: "local_first",
+    /** Card colors are never used. */
+    IGNORE: "ignore",
+};
+
+/**
+ * Gets the raw card data of a character.
+ *
+ * @param {STCharacter} stChar
+ * @returns {{ index: number, character: any }?} The character and its index in the character list,
+ * or `null` if `stChar` isn't a character or isn't loaded.
+ */
+function findCharacterCard(stChar) {
+    if (stChar.type !== CharacterType.CHARACTER) return null;
+
+    const characters = getContext().characters;
+    const index = characters.findIndex(char => char.avatar === stChar.avatarName);
+    return index === -1 ? null : { index, character: characters[index] };
+}
+
+/**
+ * Gets the dialogue color embedded in a character's card.
+ *
+ * @param {STCharacter} stChar
+ * @returns {string?} The hex color, or `null` if the card has no (valid) color or `stChar` isn't a character.
+ */
+export function getCardColor(stChar) {
+    const card = findCharacterCard(stChar);
+    const color = card?.character.data?.extensions?.[CARD_EXTENSION_KEY]?.color;
+    return ExColor.isValidHexString(color) ? ExColor.getHexWithHash(color) : null;
+}
+
+/**
+ * Embeds a dialogue color in a character's card, or removes it.
+ *
+ * @param {STCharacter} stChar
+ * @param {string?} colorHex The hex color, or `null` to remove the embedded color.
+ * @returns {Promise<void>}
+ * @throws {Error} If `stChar` isn't a loaded character.
+ */
+export async function writeCardColor(stChar, colorHex) {
+    const card = findCharacterCard(stChar);
+    if (!card) {
+        throw new Error(`'${stChar.avatarName}' isn't a loaded character; only character cards can store colors.`);
+    }
+
+    // Keep any other fields in the block
+    const value = { ...card.character.data?.extensions?.[CARD_EXTENSION_KEY] };
+    if (colorHex) {
+        value.color = ExColor.getHexWithHash(colorHex);
+    } else {
+        delete value.color;
+    }
+    await writeExtensionField(card.index, CARD_EXTENSION_KEY, value);
+}
+
+/**
+ * Picks the override color of a character from its local override and its card color.
+ *
+ * @param {string?} localColor The local override, if any.
+ * @param {string?} cardColor The card-embedded color, if any.
+ * @param {CardColorPrecedenceType} precedence
+ * @returns {string?}
+ */
+export function pickOverrideColor(localColor, cardColor, precedence) {
+    switch (precedence) {
+        case CardColorPrecedenceType.LOCAL_FIRST:
+            return localColor || cardColor || null;
+        case CardColorPrecedenceType.IGNORE:
+            return localColor || null;
+        case CardColorPrecedenceType.CARD_FIRST:
+        default:
+            return cardColor || localColor || null;
+    }
+}
@@ -0,0 +1,76 @@
+import { ExColor } from "./ExColor.js";
+import { getContrastRatio, isLightBackground } from "./contrast-utils.js";
+
+/**
+ * @typedef {ValueOf<typeof PaletteVariant>} PaletteVariant
+ * @readonly
+ */
+export const PaletteVariant = {
+    LIGHT: "light",
+    DARK: "dark",
+    MUTED: "muted",
+    CONTRAST_TEXT: "contrast-text",
+    BG_TINT: "bg-tint",
+    ACCENT: "accent",
+    COMPLEMENT: "complement",
+};
+
+/** The CSS variable of the author's color before the readability adjustments, for avatar-based colors. */
+export const RAW_AVATAR_COLOR_VAR = "--character-color-raw";
+
+/**
+ * The CSS variable the name badge text color was exported as before the palette; kept as an alias of the
+ * {@linkcode PaletteVariant.CONTRAST_TEXT} variant so styles written against it keep working.
+ */
+export const BADGE_TEXT_COLOR_VAR = "--character-badge-text-color";
+
+/**
+ * Gets the CSS variable a palette variant is exported as.
+ *
+ * @param {PaletteVariant} variant
+ * @returns {string}
+ */
+export function getPaletteVariable(variant) {
+    return `--character-color-${variant}`;
+}
+
+/**
+ * Gets black or white, whichever is more readable on a color.
+ *
+ * @param {number[]} rgb
+ * @returns {ExColor}
+ */
+export function getContrastTextColor(rgb) {
+    const black = [0, 0, 0];
+    const white = [255, 255, 255];
+    return ExColor.fromRgb(getContrastRatio(rgb, black) >= getContrastRatio(rgb, white) ? black : white);
+}
+
+/**
+ * Derives the palette of an author's color: shades for custom CSS and themes, computed in OKLCH so every
+ * hue gets the same apparent lightness relationships.
+ *
+ * @param {ExColor} color The author's color (`--character-color`).
+ * @param {number[]} background The opaque background the messages are on, as `[r, g, b]`.
+ * @returns {Record<PaletteVariant, ExColor>}
+ */
+export function deriveCharacterPalette(color, background) {
+    const { l, c, h } = color.toOklch();
+    const { r, g, b } = color.toRgb();
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const isLight = isLightBackground(background);
+
+    return {
+        [PaletteVariant.LIGHT]: ExColor.fromOklch([l + (1 - l) * 0.5, c * 0.8, h]),
+        [PaletteVariant.DARK]: ExColor.fromOklch([l * 0.5, c * 0.8, h]),
+        [PaletteVariant.MUTED]: ExColor.fromOklch([l, c * 0.35, h]),
+        [PaletteVariant.CONTRAST_TEXT]: getContrastTextColor([r, g, b]),
+        // A background shade close to the chat background, for panels and bubbles
+        [PaletteVariant.BG_TINT]: isLight
+            ? ExColor.fromOklch([0.95, Math.min(c * 0.3, 0.03), h])
+            : ExColor.fromOklch([0.25, Math.min(c * 0.4, 0.05), h]),
+        // Gamut mapping trims the chroma where sRGB can't show it
+        [PaletteVariant.ACCENT]: ExColor.fromOklch([clamp(l, 0.55, 0.75), c * 1.25 + 0.03, h]),
+        [PaletteVariant.COMPLEMENT]: ExColor.fromOklch([l, c, (h + 180) % 360]),
+    };
+}
@@ -0,0 +1,72 @@
+import { chat_metadata } from "../../../../script.js";
+import { saveMetadataDebounced } from "../../../extensions.js";
+
+import { ExColor } from "./ExColor.js";
+import { STCharacter } from "./STCharacter.js";
+import { isInAnyChat } from "./st-utils.js";
+
+/** The key of the extension's block in the chat metadata. */
+export const CHAT_METADATA_KEY = "smart_dialogue_colorizer";
+
+/**
+ * @typedef {ValueOf<typeof OverrideScope>} OverrideScope
+ * @readonly
+ */
+export const OverrideScope = {
+    /** The override applies in every chat (stored in the extension settings). */
+    GLOBAL: "global",
+    /** The override applies in the current chat only (stored in the chat metadata). */
+    CHAT: "chat",
+};
+
+/**
+ * Gets the chat-scoped color overrides of the current chat.
+ *
+ * @returns {Record<string, string>} Hex colors keyed by character UID. Empty if there's no chat.
+ */
+function getChatOverrides() {
+    return chat_metadata?.[CHAT_METADATA_KEY]?.colorOverrides ?? {};
+}
+
+/**
+ * Gets a character's color override for the current chat.
+ *
+ * @param {STCharacter} stChar
+ * @returns {string?} The hex color, or `null` if the character has no override in this chat.
+ */
+export function getChatColorOverride(stChar) {
+    const color = getChatOverrides()[stChar.uid];
+    return ExColor.isValidHexString(color) ? ExColor.getHexWithHash(color) : null;
+}
+
+/**
+ * Determines whether the current chat has color overrides for a character type.
+ *
+ * @param {import("./STCharacter.js").CharacterType} charType
+ * @returns {boolean}
+ */
+export function hasChatColorOverrides(charType) {
+    return Object.keys(getChatOverrides()).some(uid => uid.startsWith(`${charType}|`));
+}
+
+/**
+ * Sets or removes a character's color override for the current chat and saves the chat metadata.
+ *
+ * @param {STCharacter} stChar
+ * @param {string?} colorHex The hex color, or `null` to remove the override.
+ * @throws {Error} If no chat is open.
+ */
+export function setChatColorOverride(stChar, colorHex) {
+    if (!isInAnyChat()) {
+        throw new Error("No chat is open; chat color overrides need a chat.");
+    }
+
+    const block = chat_metadata[CHAT_METADATA_KEY] ??= {};
+    block.colorOverrides ??= {};
+    if (colorHex) {
+        block.colorOverrides[stChar.uid] = ExColor.getHexWithHash(colorHex);
+    } else {
+        delete block.colorOverrides[stChar.uid];
+    }
+    saveMetadataDebounced();
+}
@@ -0,0 +1,151 @@
+import { ExColor } from "./ExColor.js";
+import { CONTRAST_TARGETS } from "./contrast-utils.js";
+
+/**
+ * Adjustments applied to colors extracted from avatars, after the basic readability adjustment
+ * and before the contrast target is enforced.
+ *
+ * @typedef {object} ColorAdjustments
+ * @property {number} hueShift Degrees added to the OKLCH hue.
+ * @property {number} saturation Percent change of the OKLCH chroma.
+ * @property {number} lightness Percentage points added to the OKLCH lightness.
+ */
+
+/**
+ * Per-character adjustments. The numeric adjustments are added to the global ones, and the
+ * contrast target, if set, replaces the global one.
+ *
+ * @typedef {Partial<ColorAdjustments> & { contrastTarget?: import("./contrast-utils.js").ContrastTargetType }} CharacterAdjustments
+ */
+
+/**
+ * @typedef {object} AdjustmentRange
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ */
+
+/** @type {Readonly<ColorAdjustments>} */
+export const DEFAULT_COLOR_ADJUSTMENTS = Object.freeze({
+    hueShift: 0,
+    saturation: 0,
+    lightness: 0,
+});
+
+/** @type {Readonly<Record<keyof ColorAdjustments, AdjustmentRange>>} */
+export const COLOR_ADJUSTMENT_RANGES = Object.freeze({
+    hueShift: { min: -180, max: 180, step: 5 },
+    saturation: { min: -100, max: 100, step: 5 },
+    lightness: { min: -20, max: 20, step: 1 },
+});
+
+/** The saturation the old "Boost vibrancy" checkbox roughly corresponds to. */
+export const LEGACY_VIBRANCY_BOOST_SATURATION = 50;
+
+/** The highest chroma a saturation increase goes to; gamut mapping trims what sRGB can't show. */
+const MAX_CHROMA = 0.37;
+
+/**
+ * @param {number} value
+ * @param {AdjustmentRange} range
+ * @returns {number}
+ */
+function clampToRange(value, range) {
+    return Math.min(range.max, Math.max(range.min, value));
+}
+
+/**
+ * Gets valid adjustments from possibly incomplete or corrupted data; missing or invalid values are
+ * left at their defaults and out of range values are clamped.
+ *
+ * @param {any} data
+ * @returns {ColorAdjustments}
+ */
+export function sanitizeColorAdjustments(data) {
+    const adjustments = { ...DEFAULT_COLOR_ADJUSTMENTS };
+    if (!data || typeof data !== "object") {
+        return adjustments;
+    }
+
+    for (const [key, range] of Object.entries(COLOR_ADJUSTMENT_RANGES)) {
+        if (typeof data[key] === "number" && Number.isFinite(data[key])) {
+            adjustments[key] = clampToRange(data[key], range);
+        }
+    }
+    return adjustments;
+}
+
+/**
+ * Gets valid per-character adjustments, keeping only the values that are set.
+ *
+ * @param {any} data
+ * @returns {CharacterAdjustments}
+ */
+export function sanitizeCharacterAdjustments(data) {
+    /** @type {CharacterAdjustments} */
+    const adjustments = {};
+    if (!data || typeof data !== "object") {
+        return adjustments;
+    }
+
+    for (const [key, range] of Object.entries(COLOR_ADJUSTMENT_RANGES)) {
+        if (typeof data[key] === "number" && Number.isFinite(data[key]) && data[key] !== 0) {
+            adjustments[key] = clampToRange(data[key], range);
+        }
+    }
+    if (Object.hasOwn(CONTRAST_TARGETS, data.contrastTarget)) {
+        adjustments.contrastTarget = data.contrastTarget;
+    }
+    return adjustments;
+}
+
+/**
+ * Adds a character's adjustments to the global ones.
+ *
+ * @param {ColorAdjustments} globalAdjustments
+ * @param {CharacterAdjustments=} characterAdjustments
+ * @returns {ColorAdjustments}
+ */
+export function combineColorAdjustments(globalAdjustments, characterAdjustments) {
+    const combined = sanitizeColorAdjustments(globalAdjustments);
+    if (!characterAdjustments) {
+        return combined;
+    }
+
+    for (const [key, range] of Object.entries(COLOR_ADJUSTMENT_RANGES)) {
+        combined[key] = clampToRange(combined[key] + (characterAdjustments[key] ?? 0), range);
+    }
+    return combined;
+}
+
+/**
+ * Gets a string identifying a set of adjustments, for use in cache keys.
+ *
+ * @param {ColorAdjustments} adjustments
+ * @returns {string}
+ */
+export function getColorAdjustmentsKey(adjustments) {
+    return `h${adjustments.hueShift}s${adjustments.saturation}l${adjustments.lightness}`;
+}
+
+/**
+ * Applies adjustments to a color in OKLCH, so hue, chroma and lightness change independently.
+ *
+ * @param {import("./ExColor.js").ColorArray} rgb
+ * @param {ColorAdjustments} adjustments
+ * @returns {import("./ExColor.js").ColorArray} The adjusted color, with the alpha of the original.
+ */
+export function applyColorAdjustments(rgb, adjustments) {
+    const { hueShift, saturation, lightness } = adjustments;
+    if (hueShift === 0 && saturation === 0 && lightness === 0) {
+        return rgb;
+    }
+
+    const [l, c, h] = ExColor.rgb2oklch(rgb);
+    const adjustedL = Math.min(1, Math.max(0, l + lightness / 100));
+    const adjustedC = Math.min(MAX_CHROMA, Math.max(0, c * (1 + saturation / 100)));
+    const adjustedH = (((h + hueShift) % 360) + 360) % 360;
+
+    const [r, g, b] = ExColor.oklch2rgb([adjustedL, adjustedC, adjustedH]);
+    return [r, g, b, rgb[3] ?? 255];
+}
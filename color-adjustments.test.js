@@ -0,0 +1,103 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ExColor } from "./ExColor.js";
+import {
+    DEFAULT_COLOR_ADJUSTMENTS,
+    applyColorAdjustments,
+    combineColorAdjustments,
+    getColorAdjustmentsKey,
+    sanitizeCharacterAdjustments,
+    sanitizeColorAdjustments,
+} from "./color-adjustments.js";
+import { ContrastTargetType } from "./contrast-utils.js";
+
+describe("sanitizeColorAdjustments", () => {
+    test("returns the defaults for missing or invalid data", () => {
+        for (const data of [undefined, null, "hue", 42, {}]) {
+            assert.deepEqual(sanitizeColorAdjustments(data), DEFAULT_COLOR_ADJUSTMENTS);
+        }
+    });
+
+    test("keeps valid values, clamps out of range ones and drops the rest", () => {
+        const adjustments = sanitizeColorAdjustments({ hueShift: 400, saturation: "50", lightness: -5, extra: 1 });
+        assert.deepEqual(adjustments, { hueShift: 180, saturation: 0, lightness: -5 });
+    });
+
+    test("ignores non-finite numbers", () => {
+        assert.deepEqual(sanitizeColorAdjustments({ hueShift: NaN, saturation: Infinity }), DEFAULT_COLOR_ADJUSTMENTS);
+    });
+});
+
+describe("sanitizeCharacterAdjustments", () => {
+    test("keeps only the values that are set", () => {
+        assert.deepEqual(sanitizeCharacterAdjustments({ hueShift: 0, saturation: -150, lightness: "x" }), { saturation: -100 });
+    });
+
+    test("keeps known contrast targets only", () => {
+        assert.deepEqual(
+            sanitizeCharacterAdjustments({ contrastTarget: ContrastTargetType.WCAG_AAA }),
+            { contrastTarget: ContrastTargetType.WCAG_AAA });
+        assert.deepEqual(sanitizeCharacterAdjustments({ contrastTarget: "maximum" }), {});
+    });
+});
+
+describe("combineColorAdjustments", () => {
+    test("adds the character's adjustments to the global ones, within range", () => {
+        const combined = combineColorAdjustments(
+            { hueShift: 150, saturation: 20, lightness: 5 },
+            { hueShift: 60, lightness: -10 });
+        assert.deepEqual(combined, { hueShift: 180, saturation: 20, lightness: -5 });
+    });
+
+    test("returns the global adjustments without character adjustments", () => {
+        const global = { hueShift: 10, saturation: 0, lightness: 0 };
+        assert.deepEqual(combineColorAdjustments(global), global);
+    });
+});
+
+test("getColorAdjustmentsKey tells adjustments apart", () => {
+    const key = getColorAdjustmentsKey({ hueShift: 10, saturation: 0, lightness: 0 });
+    assert.notEqual(key, getColorAdjustmentsKey({ hueShift: 0, saturation: 10, lightness: 0 }));
+    assert.equal(key, getColorAdjustmentsKey({ hueShift: 10, saturation: 0, lightness: 0 }));
+});
+
+describe("applyColorAdjustments", () => {
+    const rgb = [200, 80, 60, 128];
+
+    test("returns the color itself without adjustments", () => {
+        assert.equal(applyColorAdjustments(rgb, DEFAULT_COLOR_ADJUSTMENTS), rgb);
+    });
+
+    test("rotates the hue, keeping lightness and alpha", () => {
+        const adjusted = applyColorAdjustments(rgb, { hueShift: 120, saturation: 0, lightness: 0 });
+        const [l, , h] = ExColor.rgb2oklch(rgb);
+        const [adjustedL, , adjustedH] = ExColor.rgb2oklch(adjusted);
+
+        assert.ok(Math.abs(adjustedL - l) < 0.01);
+        assert.ok(Math.abs(((adjustedH - h + 360) % 360) - 120) < 2);
+        assert.equal(adjusted[3], 128);
+    });
+
+    test("scales chroma by the saturation", () => {
+        const [, c] = ExColor.rgb2oklch(rgb);
+        const [, desaturated] = ExColor.rgb2oklch(applyColorAdjustments(rgb, { hueShift: 0, saturation: -50, lightness: 0 }));
+        assert.ok(Math.abs(desaturated - c / 2) < 0.01);
+
+        const [, gray] = ExColor.rgb2oklch(applyColorAdjustments(rgb, { hueShift: 0, saturation: -100, lightness: 0 }));
+        assert.ok(gray < 0.005);
+    });
+
+    test("adds the lightness in percentage points", () => {
+        const [l] = ExColor.rgb2oklch(rgb);
+        const [lighter] = ExColor.rgb2oklch(applyColorAdjustments(rgb, { hueShift: 0, saturation: 0, lightness: 10 }));
+        assert.ok(Math.abs(lighter - (l + 0.1)) < 0.01);
+    });
+
+    test("keeps saturated colors in the sRGB gamut", () => {
+        const adjusted = applyColorAdjustments([0, 200, 0], { hueShift: 0, saturation: 100, lightness: 0 });
+        for (const channel of adjusted.slice(0, 3)) {
+            assert.ok(channel >= 0 && channel <= 255);
+        }
+    });
+});
@@ -0,0 +1,411 @@
+import { getContext } from "../../../extensions.js";
+import { power_user } from "../../../power-user.js";
+
+import { ExColor } from "./ExColor.js";
+import { CardColorPrecedenceType } from "./card-colors.js";
+import {
+    DEFAULT_COLOR_ADJUSTMENTS,
+    LEGACY_VIBRANCY_BOOST_SATURATION,
+    sanitizeCharacterAdjustments,
+    sanitizeColorAdjustments,
+} from "./color-adjustments.js";
+import { CONTRAST_TARGETS } from "./contrast-utils.js";
+import { ExtractionModeType } from "./focus-region.js";
+import { ColorizeSourceType } from "./index.js";
+import { BUBBLE_TINT_ALPHA_RANGE, STYLING_MODES } from "./styling-modes.js";
+import { sanitizeTargetRules } from "./target-rules.js";
+import { TEXT_ROLES } from "./text-roles.js";
+
+/** Identifies files written by {@linkcode createColorScheme}. */
+export const SCHEME_FORMAT = "sdc-color-scheme";
+/** The version of the scheme format written by this version of the extension. */
+export const SCHEME_VERSION = 1;
+
+/**
+ * @typedef {ValueOf<typeof SchemeImportMode>} SchemeImportMode
+ * @readonly
+ */
+export const SchemeImportMode = {
+    /** Add and update overrides from the file; keep everything else as it is. */
+    MERGE: "merge",
+    /** Replace all overrides and settings with the ones in the file. */
+    REPLACE: "replace",
+};
+
+/**
+ * @typedef {object} SchemeColorSettings
+ * @property {string=} colorizeSource
+ * @property {string=} staticColor
+ * @property {boolean=} colorNameText
+ * @property {import("./color-adjustments.js").ColorAdjustments=} adjustments
+ * @property {string=} extractionMode
+ * @property {boolean=} alphaAwareExtraction
+ * @property {Record<string, boolean>=} textRoles
+ * @property {number=} gradientAngle
+ * @property {Record<string, string>} colorOverrides Hex colors keyed by avatar file name.
+ * @property {Record<string, string[]>=} gradientOverrides Gradient stops keyed by avatar file name.
+ * @property {Record<string, import("./color-adjustments.js").CharacterAdjustments>=} characterAdjustments
+ * Per-character adjustments keyed by avatar file name.
+ */
+
+/**
+ * @typedef {object} ColorScheme
+ * @property {string} format Always {@linkcode SCHEME_FORMAT}.
+ * @property {number} version The scheme format version.
+ * @property {string=} exportedAt When the scheme was exported, as an ISO date string.
+ * @property {SchemeColorSettings} characters
+ * @property {SchemeColorSettings} personas
+ * @property {SchemeColorSettings=} system System and narrator messages.
+ * @property {string=} contrastTarget
+ * @property {boolean=} distinctGroupColors
+ * @property {number=} groupColorMinDistance
+ * @property {string=} cardColorPrecedence
+ * @property {Record<string, boolean>=} stylingModes
+ * @property {number=} bubbleTintAlpha
+ * @property {import("./target-rules.js").TargetRule[]=} targetRules
+ */
+
+/**
+ * @typedef {object} ParsedColorScheme
+ * @property {ColorScheme} scheme The scheme, with invalid entries removed.
+ * @property {string[]} warnings A description of every entry that was removed.
+ */
+
+/** The keys of the per-type color settings that are saved in a scheme. */
+export const COLOR_SETTINGS_KEYS = [
+    "colorizeSource", "staticColor", "colorNameText", "adjustments", "textRoles", "extractionMode", "alphaAwareExtraction",
+    "gradientAngle", "colorOverrides", "gradientOverrides", "characterAdjustments",
+];
+/** The keys of the global settings that are saved in a scheme. */
+export const GLOBAL_SETTINGS_KEYS = [
+    "contrastTarget", "distinctGroupColors", "groupColorMinDistance", "cardColorPrecedence", "stylingModes", "bubbleTintAlpha",
+    "targetRules",
+];
+
+/**
+ * Creates a color scheme from the extension settings.
+ *
+ * @param {any} settings The extension settings.
+ * @returns {ColorScheme}
+ */
+export function createColorScheme(settings) {
+    const pickColorSettings = (colorSettings) => Object.fromEntries(
+        COLOR_SETTINGS_KEYS
+            .filter(key => colorSettings[key] !== undefined)
+            .map(key => [key, structuredClone(colorSettings[key])])
+    );
+
+    return {
+        format: SCHEME_FORMAT,
+        version: SCHEME_VERSION,
+        exportedAt: new Date().toISOString(),
+        characters: pickColorSettings(settings.charColorSettings),
+        personas: pickColorSettings(settings.personaColorSettings),
+        system: pickColorSettings(settings.systemColorSettings),
+        ...Object.fromEntries(GLOBAL_SETTINGS_KEYS
+            .filter(key => settings[key] !== undefined)
+            .map(key => [key, structuredClone(settings[key])])),
+    };
+}
+
+/**
+ * Parses and validates a color scheme file. Invalid entries are dropped and reported as warnings.
+ *
+ * @param {string} text The contents of the scheme file.
+ * @returns {ParsedColorScheme}
+ * @throws {Error} If the file isn't a color scheme, or was written by a newer version of the extension.
+ */
+export function parseColorScheme(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`The file isn't valid JSON: ${err.message}`);
+    }
+
+    if (!data || typeof data !== "object" || data.format !== SCHEME_FORMAT) {
+        throw new Error("The file isn't a Smart Dialogue Colorizer color scheme.");
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error(`The scheme has an invalid version '${data.version}'.`);
+    }
+    if (data.version > SCHEME_VERSION) {
+        throw new Error(`The scheme was created by a newer version of the extension (scheme version ${data.version}, supported up to ${SCHEME_VERSION}).`);
+    }
+
+    /** @type {string[]} */
+    const warnings = [];
+
+    /** @type {ColorScheme} */
+    const scheme = {
+        format: SCHEME_FORMAT,
+        version: data.version,
+        exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : undefined,
+        characters: validateColorSettings(data.characters, "characters", warnings),
+        personas: validateColorSettings(data.personas, "personas", warnings),
+    };
+    if (data.system !== undefined) {
+        scheme.system = validateColorSettings(data.system, "system", warnings);
+    }
+
+    Object.assign(scheme, validateGlobalSettings(data, warnings));
+
+    return { scheme, warnings };
+}
+
+/**
+ * Validates the global (not per-type) settings a scheme can contain.
+ *
+ * @param {any} data
+ * @param {string[]} warnings The list to add warnings to.
+ * @returns {Partial<ColorScheme>} The valid settings.
+ */
+export function validateGlobalSettings(data, warnings) {
+    /** @type {Partial<ColorScheme>} */
+    const globalSettings = {};
+
+    if (data.contrastTarget !== undefined) {
+        if (Object.keys(CONTRAST_TARGETS).includes(data.contrastTarget)) {
+            globalSettings.contrastTarget = data.contrastTarget;
+        } else {
+            warnings.push(`Ignored unknown contrast target '${data.contrastTarget}'.`);
+        }
+    }
+    if (data.distinctGroupColors !== undefined) {
+        if (typeof data.distinctGroupColors === "boolean") {
+            globalSettings.distinctGroupColors = data.distinctGroupColors;
+        } else {
+            warnings.push("Ignored invalid 'distinctGroupColors' value.");
+        }
+    }
+    if (data.groupColorMinDistance !== undefined) {
+        if (typeof data.groupColorMinDistance === "number" && data.groupColorMinDistance > 0 && data.groupColorMinDistance <= 1) {
+            globalSettings.groupColorMinDistance = data.groupColorMinDistance;
+        } else {
+            warnings.push("Ignored invalid 'groupColorMinDistance' value.");
+        }
+    }
+    if (data.cardColorPrecedence !== undefined) {
+        if (Object.values(CardColorPrecedenceType).includes(data.cardColorPrecedence)) {
+            globalSettings.cardColorPrecedence = data.cardColorPrecedence;
+        } else {
+            warnings.push(`Ignored unknown card color precedence '${data.cardColorPrecedence}'.`);
+        }
+    }
+    if (data.stylingModes !== undefined) {
+        if (data.stylingModes && typeof data.stylingModes === "object") {
+            globalSettings.stylingModes = Object.fromEntries(Object.entries(data.stylingModes)
+                .filter(([mode, enabled]) => Object.hasOwn(STYLING_MODES, mode) && typeof enabled === "boolean"));
+        } else {
+            warnings.push("Ignored invalid 'stylingModes' value.");
+        }
+    }
+    if (data.bubbleTintAlpha !== undefined) {
+        const { min, max } = BUBBLE_TINT_ALPHA_RANGE;
+        if (typeof data.bubbleTintAlpha === "number" && data.bubbleTintAlpha >= min && data.bubbleTintAlpha <= max) {
+            globalSettings.bubbleTintAlpha = data.bubbleTintAlpha;
+        } else {
+            warnings.push("Ignored invalid 'bubbleTintAlpha' value.");
+        }
+    }
+    if (data.targetRules !== undefined) {
+        if (Array.isArray(data.targetRules)) {
+            // Unlike the editor's, the rules of a shared file aren't kept when they're invalid
+            globalSettings.targetRules = sanitizeTargetRules(data.targetRules);
+            const droppedCount = data.targetRules.length - globalSettings.targetRules.length;
+            if (droppedCount > 0) {
+                warnings.push(`Ignored ${droppedCount} target rule(s) with an invalid selector, property or value.`);
+            }
+        } else {
+            warnings.push("Ignored invalid 'targetRules' value.");
+        }
+    }
+
+    return globalSettings;
+}
+
+/**
+ * @param {any} data
+ * @param {string} sectionName The name of the section, used in warnings.
+ * @param {string[]} warnings The list to add warnings to.
+ * @returns {SchemeColorSettings}
+ */
+export function validateColorSettings(data, sectionName, warnings) {
+    /** @type {SchemeColorSettings} */
+    const colorSettings = { colorOverrides: {} };
+    if (data === undefined) {
+        return colorSettings;
+    }
+    if (!data || typeof data !== "object") {
+        warnings.push(`Ignored invalid '${sectionName}' section.`);
+        return colorSettings;
+    }
+
+    if (data.colorizeSource !== undefined) {
+        if (Object.values(ColorizeSourceType).includes(data.colorizeSource)) {
+            colorSettings.colorizeSource = data.colorizeSource;
+        } else {
+            warnings.push(`${sectionName}: ignored unknown color source '${data.colorizeSource}'.`);
+        }
+    }
+    if (data.staticColor !== undefined) {
+        if (ExColor.isValidHexString(data.staticColor)) {
+            colorSettings.staticColor = ExColor.getHexWithHash(data.staticColor);
+        } else {
+            warnings.push(`${sectionName}: ignored invalid static color '${data.staticColor}'.`);
+        }
+    }
+    if (data.extractionMode !== undefined) {
+        if (Object.values(ExtractionModeType).includes(data.extractionMode)) {
+            colorSettings.extractionMode = data.extractionMode;
+        } else {
+            warnings.push(`${sectionName}: ignored unknown extraction area '${data.extractionMode}'.`);
+        }
+    }
+    for (const key of ["colorNameText", "alphaAwareExtraction"]) {
+        if (data[key] === undefined) continue;
+        if (typeof data[key] === "boolean") {
+            colorSettings[key] = data[key];
+        } else {
+            warnings.push(`${sectionName}: ignored invalid '${key}' value.`);
+        }
+    }
+    if (data.adjustments !== undefined) {
+        if (data.adjustments && typeof data.adjustments === "object") {
+            colorSettings.adjustments = sanitizeColorAdjustments(data.adjustments);
+        } else {
+            warnings.push(`${sectionName}: ignored invalid 'adjustments' value.`);
+        }
+    } else if (data.boostVibrancy === true) {
+        // Schemes of older versions had a vibrancy checkbox instead of adjustments
+        colorSettings.adjustments = { ...DEFAULT_COLOR_ADJUSTMENTS, saturation: LEGACY_VIBRANCY_BOOST_SATURATION };
+    }
+    if (data.textRoles !== undefined) {
+        if (data.textRoles && typeof data.textRoles === "object") {
+            colorSettings.textRoles = Object.fromEntries(Object.entries(data.textRoles)
+                .filter(([role, enabled]) => Object.hasOwn(TEXT_ROLES, role) && typeof enabled === "boolean"));
+        } else {
+            warnings.push(`${sectionName}: ignored invalid 'textRoles' value.`);
+        }
+    }
+
+    if (data.gradientAngle !== undefined) {
+        if (typeof data.gradientAngle === "number" && data.gradientAngle >= 0 && data.gradientAngle <= 360) {
+            colorSettings.gradientAngle = data.gradientAngle;
+        } else {
+            warnings.push(`${sectionName}: ignored invalid 'gradientAngle' value.`);
+        }
+    }
+
+    if (data.colorOverrides !== undefined && (!data.colorOverrides || typeof data.colorOverrides !== "object")) {
+        warnings.push(`${sectionName}: ignored invalid 'colorOverrides' value.`);
+    } else {
+        for (const [avatarName, color] of Object.entries(data.colorOverrides ?? {})) {
+            if (ExColor.isValidHexString(color)) {
+                colorSettings.colorOverrides[avatarName] = ExColor.getHexWithHash(color);
+            } else {
+                warnings.push(`${sectionName}: ignored invalid color '${color}' for '${avatarName}'.`);
+            }
+        }
+    }
+
+    if (data.gradientOverrides !== undefined && (!data.gradientOverrides || typeof data.gradientOverrides !== "object")) {
+        warnings.push(`${sectionName}: ignored invalid 'gradientOverrides' value.`);
+    } else if (data.gradientOverrides !== undefined) {
+        colorSettings.gradientOverrides = {};
+        for (const [avatarName, stops] of Object.entries(data.gradientOverrides)) {
+            if (Array.isArray(stops) && stops.length === 2 && stops.every(stop => ExColor.isValidHexString(stop))) {
+                colorSettings.gradientOverrides[avatarName] = stops.map(stop => ExColor.getHexWithHash(stop));
+            } else {
+                warnings.push(`${sectionName}: ignored invalid gradient for '${avatarName}'.`);
+            }
+        }
+    }
+
+    if (data.characterAdjustments !== undefined && (!data.characterAdjustments || typeof data.characterAdjustments !== "object")) {
+        warnings.push(`${sectionName}: ignored invalid 'characterAdjustments' value.`);
+    } else if (data.characterAdjustments !== undefined) {
+        colorSettings.characterAdjustments = {};
+        for (const [avatarName, adjustments] of Object.entries(data.characterAdjustments)) {
+            const sanitized = sanitizeCharacterAdjustments(adjustments);
+            if (Object.keys(sanitized).length > 0) {
+                colorSettings.characterAdjustments[avatarName] = sanitized;
+            }
+        }
+    }
+
+    return colorSettings;
+}
+
+/**
+ * Applies a color scheme to the extension settings.
+ *
+ * @param {any} settings The extension settings to apply the scheme to.
+ * @param {ColorScheme} scheme
+ * @param {SchemeImportMode} mode
+ */
+export function applyColorScheme(settings, scheme, mode) {
+    const applyColorSettings = (colorSettings, schemeColorSettings) => {
+        if (mode === SchemeImportMode.REPLACE) {
+            // Schemes from before gradients or per-character adjustments have none, which replaces the local ones too
+            colorSettings.gradientOverrides = {};
+            colorSettings.characterAdjustments = {};
+            for (const [key, value] of Object.entries(schemeColorSettings)) {
+                colorSettings[key] = structuredClone(value);
+            }
+            return;
+        }
+
+        colorSettings.colorOverrides = {
+            ...colorSettings.colorOverrides,
+            ...schemeColorSettings.colorOverrides,
+        };
+        if (schemeColorSettings.gradientOverrides) {
+            colorSettings.gradientOverrides = {
+                ...colorSettings.gradientOverrides,
+                ...schemeColorSettings.gradientOverrides,
+            };
+        }
+        if (schemeColorSettings.characterAdjustments) {
+            colorSettings.characterAdjustments = {
+                ...colorSettings.characterAdjustments,
+                ...schemeColorSettings.characterAdjustments,
+            };
+        }
+    };
+
+    applyColorSettings(settings.charColorSettings, scheme.characters);
+    applyColorSettings(settings.personaColorSettings, scheme.personas);
+    if (scheme.system) {
+        applyColorSettings(settings.systemColorSettings, scheme.system);
+    }
+
+    if (mode === SchemeImportMode.REPLACE) {
+        for (const key of GLOBAL_SETTINGS_KEYS) {
+            if (scheme[key] !== undefined) {
+                settings[key] = scheme[key];
+            }
+        }
+    }
+}
+
+/**
+ * Finds the avatars in a scheme's overrides that don't belong to any local character or persona.
+ *
+ * @param {ColorScheme} scheme
+ * @returns {{ characters: string[], personas: string[] }} The missing avatar file names.
+ */
+export function findMissingAvatars(scheme) {
+    const localCharacters = new Set(getContext().characters.map(char => char.avatar));
+    const localPersonas = new Set(Object.keys(power_user.personas ?? {}));
+
+    const getAvatars = (/** @type {SchemeColorSettings} */ colorSettings) => [...new Set([
+        ...Object.keys(colorSettings.colorOverrides),
+        ...Object.keys(colorSettings.gradientOverrides ?? {}),
+    ])];
+
+    return {
+        characters: getAvatars(scheme.characters).filter(avatar => !localCharacters.has(avatar)),
+        personas: getAvatars(scheme.personas).filter(avatar => !localPersonas.has(avatar)),
+    };
+}
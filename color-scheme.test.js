@@ -0,0 +1,103 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { setUserAvatar } from "./testing/stubs/script.js";
+import { testContext } from "./testing/stubs/scripts/extensions.js";
+import { power_user } from "./testing/stubs/scripts/power-user.js";
+
+import { COLOR_PLACEHOLDER, DEFAULT_TARGET_RULE } from "./target-rules.js";
+
+/** @type {typeof import("./color-scheme.js")} */
+let colorScheme;
+
+before(async () => {
+    testContext.characters = [{ name: "Ocean", avatar: "ocean.png" }];
+    power_user.personas = { "violet.png": "Violet" };
+    setUserAvatar("violet.png");
+    document.getElementById("avatar_url_pole").setAttribute("value", "ocean.png");
+
+    // color-scheme.js and index.js import each other; SillyTavern loads index.js first
+    await import("./index.js");
+    colorScheme = await import("./color-scheme.js");
+});
+
+describe("validateGlobalSettings", () => {
+    test("drops the target rules that would break the style sheet", () => {
+        const warnings = [];
+        const settings = colorScheme.validateGlobalSettings({
+            targetRules: [
+                DEFAULT_TARGET_RULE,
+                { ...DEFAULT_TARGET_RULE, value: `${COLOR_PLACEHOLDER} /*` },
+                { ...DEFAULT_TARGET_RULE, selector: "em} body {" },
+                "rule",
+            ],
+        }, warnings);
+
+        assert.deepEqual(settings.targetRules, [DEFAULT_TARGET_RULE]);
+        assert.deepEqual(warnings, ["Ignored 3 target rule(s) with an invalid selector, property or value."]);
+    });
+
+    test("ignores target rules that aren't a list", () => {
+        const warnings = [];
+        assert.equal(colorScheme.validateGlobalSettings({ targetRules: DEFAULT_TARGET_RULE }, warnings).targetRules, undefined);
+        assert.equal(warnings.length, 1);
+    });
+});
+
+describe("applyColorScheme", () => {
+    /**
+     * @returns {any} Extension settings with overrides of every kind.
+     */
+    function createSettings() {
+        const colorSettings = () => ({
+            colorOverrides: { "ocean.png": "#112233" },
+            gradientOverrides: { "ocean.png": ["#112233", "#445566"] },
+            characterAdjustments: { "ocean.png": { hueShift: 20 } },
+        });
+        return {
+            charColorSettings: colorSettings(),
+            personaColorSettings: colorSettings(),
+            systemColorSettings: colorSettings(),
+        };
+    }
+
+    /**
+     * @param {any} data
+     * @returns {import("./color-scheme.js").ColorScheme}
+     */
+    function parse(data) {
+        return colorScheme.parseColorScheme(JSON.stringify({ format: colorScheme.SCHEME_FORMAT, version: 1, ...data })).scheme;
+    }
+
+    test("keeps the local gradients of characters the scheme doesn't have when merging", () => {
+        const settings = createSettings();
+        colorScheme.applyColorScheme(settings, parse({ characters: { colorOverrides: { "forest.png": "#00ff00" } } }), colorScheme.SchemeImportMode.MERGE);
+
+        assert.deepEqual(settings.charColorSettings.colorOverrides, { "ocean.png": "#112233", "forest.png": "#00ff00" });
+        assert.deepEqual(settings.charColorSettings.gradientOverrides, { "ocean.png": ["#112233", "#445566"] });
+    });
+
+    test("replaces the gradients, even with a scheme that has none", () => {
+        const settings = createSettings();
+        colorScheme.applyColorScheme(settings, parse({
+            characters: { colorOverrides: {}, gradientOverrides: { "forest.png": ["#00ff00", "#0000ff"] } },
+            personas: { colorOverrides: {} },
+        }), colorScheme.SchemeImportMode.REPLACE);
+
+        assert.deepEqual(settings.charColorSettings.colorOverrides, {});
+        assert.deepEqual(settings.charColorSettings.gradientOverrides, { "forest.png": ["#00ff00", "#0000ff"] });
+        assert.deepEqual(settings.personaColorSettings.gradientOverrides, {});
+    });
+
+    test("replaces the per-character adjustments, even with a scheme that has none", () => {
+        const settings = createSettings();
+        colorScheme.applyColorScheme(settings, parse({
+            characters: { colorOverrides: {}, characterAdjustments: { "forest.png": { lightness: -10 } } },
+            personas: { colorOverrides: {} },
+        }), colorScheme.SchemeImportMode.REPLACE);
+
+        assert.deepEqual(settings.charColorSettings.characterAdjustments, { "forest.png": { lightness: -10 } });
+        assert.deepEqual(settings.personaColorSettings.characterAdjustments, {});
+        assert.deepEqual(settings.systemColorSettings.characterAdjustments, { "ocean.png": { hueShift: 20 } });
+    });
+});
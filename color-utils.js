@@ -1,165 +1,190 @@
-import "./Vibrant.min.js";
-import "./color-thief.umd.js"; // Color Thief fallback for missing swatches
+import { ExColor } from "./ExColor.js";
+import { enqueueExtraction } from "./extraction-queue.js";
+import { getExtractionOptionsKey } from "./focus-region.js";
+import { clearPersistentCache, getPersistentEntry, setPersistentEntry } from "./persistent-cache.js";
+import { extractPreparedSwatches, prepareImage } from "./swatch-extraction.js";
 import { waitForImage } from "./utils.js";
 
-/** @type {VibrantConstructor} */
-export const Vibrant = window["Vibrant"];
-const ColorThief = window["ColorThief"];
+export { Vibrant } from "./swatch-extraction.js";
+
 const swatchCache = new Map();
 const pendingSwatches = new Map();
 
 /**
- * RGB to HSL conversion for color classification.
- * @param {number} r - Red (0-255)
- * @param {number} g - Green (0-255)
- * @param {number} b - Blue (0-255)
- * @returns {{h: number, s: number, l: number}} HSL values (h: 0-360, s: 0-100, l: 0-100)
+ * Version of the extraction algorithm, part of the persistent cache key.
+ * Bump it whenever a change to extraction would produce different swatches for the same image.
  */
-function rgbToHsl(r, g, b) {
-    r /= 255;
-    g /= 255;
-    b /= 255;
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    let h, s, l = (max + min) / 2;
-
-    if (max === min) {
-        h = s = 0; // achromatic
-    } else {
-        const d = max - min;
-        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-        switch (max) {
-            case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-            case g: h = ((b - r) / d + 2) / 6; break;
-            case b: h = ((r - g) / d + 4) / 6; break;
-        }
-    }
+const EXTRACTION_ALGORITHM_VERSION = 1;
 
-    return { h: h * 360, s: s * 100, l: l * 100 };
+/**
+ * Turns swatches extracted by `swatch-extraction.js` back into swatch objects.
+ * @param {import("./swatch-extraction.js").SerializedSwatches} stored
+ * @returns {Object.<string, Object>}
+ */
+function deserializeSwatches(stored) {
+    return Object.fromEntries(Object.entries(stored)
+        .map(([swatchName, { rgb, population, isColorThiefFallback }]) => [swatchName, {
+            isColorThiefFallback,
+            getRgb: () => rgb,
+            getHex: () => '#' + ExColor.rgb2hex(rgb),
+            getPopulation: () => population,
+        }]));
 }
 
 /**
- * Classifies a color based on Vibrant.js criteria.
- * @param {number} r - Red (0-255)
- * @param {number} g - Green (0-255)
- * @param {number} b - Blue (0-255)
- * @returns {string} Classification like "Vibrant", "DarkMuted", etc.
+ * @typedef {object} SwatchExtractor
+ * Runs the two extraction steps, either in the extraction worker or on the main thread.
+ * @property {(image: HTMLImageElement) => Promise<{handle: any, hash: string}>} prepare Downscales and hashes an image.
+ * @property {(handle: any, extractionOptions: import("./focus-region.js").ExtractionOptions=) => Promise<import("./swatch-extraction.js").SerializedSwatches>} extract
+ * Extracts the swatches of a prepared image. Consumes the handle.
+ * @property {(handle: any) => void} release Discards a prepared image that won't be extracted.
  */
-function classifyColor(r, g, b) {
-    const hsl = rgbToHsl(r, g, b);
-    const saturation = hsl.s;
-    const lightness = hsl.l;
-
-    const isVibrant = saturation > 40;
-    const vibrancyType = isVibrant ? 'Vibrant' : 'Muted';
-
-    let lightnessType = '';
-    if (lightness < 40) {
-        lightnessType = 'Dark';
-    } else if (lightness > 60) {
-        lightnessType = 'Light';
+
+/** @type {SwatchExtractor} */
+const mainThreadExtractor = {
+    prepare: async (image) => {
+        const { canvas, hash } = prepareImage(image);
+        return { handle: canvas, hash };
+    },
+    extract: async (canvas, extractionOptions) => extractPreparedSwatches(canvas, extractionOptions),
+    release: () => {},
+};
+
+/** @type {Worker?} */
+let extractionWorker = null;
+/** Whether the worker failed or isn't supported, in which case extraction stays on the main thread. */
+let isWorkerUnavailable = typeof Worker === 'undefined'
+    || typeof OffscreenCanvas === 'undefined'
+    || typeof createImageBitmap === 'undefined';
+let nextWorkerRequestId = 1;
+/** @type {Map<number, {resolve: (value: any) => void, reject: (reason: any) => void}>} */
+const pendingWorkerRequests = new Map();
+
+/**
+ * Gets the extraction worker, starting it on first use.
+ * @returns {Worker?} The worker, or `null` if extraction has to run on the main thread.
+ */
+function getExtractionWorker() {
+    if (isWorkerUnavailable) return null;
+    if (extractionWorker) return extractionWorker;
+
+    try {
+        extractionWorker = new Worker(new URL('./extraction-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        disableExtractionWorker(err);
+        return null;
     }
 
-    return lightnessType ? `${lightnessType}${vibrancyType}` : vibrancyType;
+    extractionWorker.addEventListener('message', (event) => {
+        const { id, result, error } = event.data;
+        const request = pendingWorkerRequests.get(id);
+        if (!request) return;
+
+        pendingWorkerRequests.delete(id);
+        if (error) {
+            request.reject(new Error(`[SDC] Extraction worker: ${error}`));
+        } else {
+            request.resolve(result);
+        }
+    });
+    // Fired when the worker script fails to load or throws outside of a request
+    extractionWorker.addEventListener('error', (event) => {
+        event.preventDefault();
+        disableExtractionWorker(event.message || 'failed to load');
+    });
+
+    return extractionWorker;
 }
 
 /**
- * Takes a loaded image and downscales it onto a canvas for fast color analysis.
- * @param {HTMLImageElement} image The fully loaded source image.
- * @param {number} maxDimension The maximum width or height of the scaled-down canvas.
- * @returns {HTMLCanvasElement} A canvas element containing the downscaled image.
+ * Stops the extraction worker for the rest of the session and fails its pending requests,
+ * which are then retried on the main thread.
+ * @param {any} reason
  */
-function createDownscaledCanvas(image, maxDimension = 256) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    let width = image.width;
-    let height = image.height;
-
-    // Calculate the new dimensions to maintain aspect ratio
-    if (width > height) {
-        if (width > maxDimension) {
-            height *= maxDimension / width;
-            width = maxDimension;
-        }
-    } else {
-        if (height > maxDimension) {
-            width *= maxDimension / height;
-            height = maxDimension;
-        }
+function disableExtractionWorker(reason) {
+    console.warn('[SDC] Avatar color extraction worker unavailable, extracting on the main thread instead:', reason);
+    isWorkerUnavailable = true;
+    extractionWorker?.terminate();
+    extractionWorker = null;
+
+    for (const request of pendingWorkerRequests.values()) {
+        request.reject(new Error('[SDC] Extraction worker stopped'));
     }
-    
-    // Round the dimensions to the nearest whole number
-    canvas.width = Math.round(width);
-    canvas.height = Math.round(height);
-
-    // Draw the image onto the canvas, which performs the resizing
-    ctx.drawImage(image, 0, 0, width, height);
-
-    // Patch for ColorThief compatibility:
-    // ColorThief expects 'naturalWidth' and 'naturalHeight' properties which exist on Images but not Canvases.
-    // We add them manually so ColorThief can process this downscaled canvas without error.
-    // @ts-ignore
-    canvas.naturalWidth = canvas.width;
-    // @ts-ignore
-    canvas.naturalHeight = canvas.height;
-
-    return canvas;
+    pendingWorkerRequests.clear();
 }
 
 /**
- * Gets a palette from Color Thief, classifies each color into a Vibrant.js category,
- * and returns a swatch object compatible with Vibrant.js.
- * @param {HTMLImageElement | HTMLCanvasElement} image The image or canvas to analyze.
- * @param {number} paletteSize The number of colors to extract.
- * @returns {Object.<string, Object>} A dictionary of classified swatches.
- * @throws {Error} If Color Thief fails to extract a palette from the image
+ * Posts a request to the extraction worker.
+ * @param {Worker} worker
+ * @param {object} request
+ * @param {Transferable[]} transfer
+ * @returns {Promise<any>} The request's result.
  */
-function getColorThiefSwatches(image, paletteSize = 12) {
-    const colorThief = new ColorThief();
-    // Extract a larger palette of colors
-    const palette = colorThief.getPalette(image, paletteSize);
-    
-    // Validate that Color Thief returned a valid palette array
-    // getPalette() can return null or false on failure
-    if (!palette || !Array.isArray(palette) || palette.length === 0) {
-        throw new Error('[SDC] Color Thief failed to extract palette from image');
-    }
-    
-    const classifiedSwatches = {};
-    const usedCategories = new Set();
-    
-    // Classify each color and assign it to the first available category slot
-    for (const color of palette) {
-        const classification = classifyColor(color[0], color[1], color[2]);
-        
-        // Only assign if this category hasn't been filled yet
-        // This ensures the first (and likely most dominant) color for a category wins
-        if (classification && !usedCategories.has(classification)) {
-            classifiedSwatches[classification] = {
-                // Color Thief gives RGB array, so we create a mock Swatch object
-                getRgb: () => color,
-                getHex: () => '#' + color.map(x => {
-                    const hex = x.toString(16);
-                    return hex.length === 1 ? '0' + hex : hex;
-                }).join(''),
-            };
-            usedCategories.add(classification);
-        }
+function callExtractionWorker(worker, request, transfer = []) {
+    return new Promise((resolve, reject) => {
+        const id = nextWorkerRequestId++;
+        pendingWorkerRequests.set(id, { resolve, reject });
+        worker.postMessage({ ...request, id }, transfer);
+    });
+}
+
+/**
+ * Creates an extractor that runs in the given worker. The image is transferred to it as an `ImageBitmap`.
+ * @param {Worker} worker
+ * @returns {SwatchExtractor}
+ */
+function createWorkerExtractor(worker) {
+    return {
+        prepare: async (image) => {
+            const bitmap = await createImageBitmap(image);
+            return callExtractionWorker(worker, { type: 'prepare', bitmap }, [bitmap]);
+        },
+        extract: (handle, extractionOptions) => callExtractionWorker(worker, { type: 'extract', handle, options: extractionOptions }),
+        release: (handle) => {
+            callExtractionWorker(worker, { type: 'release', handle }).catch(() => {});
+        },
+    };
+}
+
+/**
+ * Gets the serialized swatches of an image from the persistent cache, or extracts and stores them.
+ * @param {SwatchExtractor} extractor
+ * @param {HTMLImageElement} image
+ * @param {string} cacheKey The in-memory cache key, which is also the persistent cache group.
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions
+ * @returns {Promise<import("./swatch-extraction.js").SerializedSwatches>}
+ */
+async function loadOrExtractSwatches(extractor, image, cacheKey, extractionOptions) {
+    const { handle, hash } = await extractor.prepare(image);
+
+    // A changed avatar file hashes differently, so stale results are never used
+    const persistentKey = `${cacheKey}|${hash}|v${EXTRACTION_ALGORITHM_VERSION}`;
+    const storedSwatches = await getPersistentEntry(persistentKey);
+    if (storedSwatches) {
+        extractor.release(handle);
+        return storedSwatches;
     }
-    
-    return classifiedSwatches;
+
+    const swatches = await extractor.extract(handle, extractionOptions);
+    // Replaces the entries of older versions of this avatar; no need to wait for it
+    setPersistentEntry(persistentKey, cacheKey, swatches);
+    return swatches;
 }
 
 /**
  * Gets swatches from an image using Vibrant.js with Color Thief fallback.
- * Caches results for performance.
+ * Extraction runs in a worker when the browser supports it, through the extraction queue
+ * (`extraction-queue.js`), so it may be delayed behind avatars of the current chat or cancelled.
+ * Results are cached in memory, and persistently (keyed by image, content hash and
+ * {@linkcode EXTRACTION_ALGORITHM_VERSION}) so they survive page reloads.
  * @param {HTMLImageElement} image
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions Which part of the image to analyze.
  * @returns {Promise<Object.<string, Object>>} Dictionary of swatches
+ * @throws {import("./extraction-queue.js").ExtractionCancelledError} If the extraction was cancelled.
  */
-async function getSwatchesFromImage(image) {
+async function getSwatchesFromImage(image, extractionOptions) {
     await waitForImage(image);
-    const cacheKey = image.src;
+    const cacheKey = `${image.src}|${getExtractionOptionsKey(extractionOptions)}`;
     
     // Check result cache
     if (swatchCache.has(cacheKey)) return swatchCache.get(cacheKey);
@@ -171,46 +196,18 @@ async function getSwatchesFromImage(image) {
 
     const processPromise = (async () => {
         try {
-            const imageSourceForAnalysis = createDownscaledCanvas(image);
-
-            // Get the initial results from Vibrant.js
-            // quality=64 (faster), colorCount=12 (better palette variety)
-            const vibrant = new Vibrant(imageSourceForAnalysis, 64, 12);
-            let swatches = vibrant.swatches();
-            
-            // Define all the swatches we absolutely require
-            const requiredSwatches = [
-                'Vibrant', 'DarkVibrant', 'LightVibrant',
-                'Muted', 'DarkMuted', 'LightMuted'
-            ];
-
-            // Check if any of the required swatches are missing from the result
-            const isMissingSwatches = requiredSwatches.some(swatchName => !swatches[swatchName]);
-            
-            // If ANY swatch is missing, run the Color Thief fallback to fill the gaps
-            if (isMissingSwatches) {
-                try {
-                    // Get the classified swatches from Color Thief
-                    const colorThiefSwatches = getColorThiefSwatches(imageSourceForAnalysis, 12);
-                    
-                    // Create a new merged swatch object. Start with Vibrant.js results.
-                    const mergedSwatches = { ...swatches };
-
-                    // Intelligently fill in the blanks
-                    for (const swatchName of requiredSwatches) {
-                        // If the original swatches are missing this one,
-                        if (!mergedSwatches[swatchName] && colorThiefSwatches[swatchName]) {
-                            mergedSwatches[swatchName] = colorThiefSwatches[swatchName];
-                        }
+            const storedSwatches = await enqueueExtraction(image.src, async () => {
+                const worker = getExtractionWorker();
+                if (worker) {
+                    try {
+                        return await loadOrExtractSwatches(createWorkerExtractor(worker), image, cacheKey, extractionOptions);
+                    } catch (err) {
+                        console.warn(`[SDC] Worker extraction failed for ${image.src}, retrying on the main thread:`, err);
                     }
-                    
-                    // The final result is the merged object
-                    swatches = mergedSwatches;
-
-                } catch (err) {
-                    console.warn('[SDC] Color Thief fallback failed:', err);
                 }
-            }
+                return loadOrExtractSwatches(mainThreadExtractor, image, cacheKey, extractionOptions);
+            });
+            const swatches = deserializeSwatches(storedSwatches);
             
             swatchCache.set(cacheKey, swatches);
 
@@ -232,22 +229,34 @@ async function getSwatchesFromImage(image) {
 }
 
 /**
- * Checks if a color has good quality for dialogue text.
+ * Clears the in-memory and persistent swatch caches, so every avatar is analyzed again.
+ * @returns {Promise<void>}
+ */
+export async function clearSwatchCache() {
+    swatchCache.clear();
+    await clearPersistentCache();
+}
+
+/**
+ * Gets why a color is unsuitable for dialogue text, if it is.
  * Rejects colors that are too dark, too light, or too desaturated.
  * 
  * @param {[number, number, number]} rgb
- * @returns {boolean}
+ * @returns {string?} A short reason, or `null` if the color is fine.
  */
-function isColorQualityGood(rgb) {
-    if (!rgb) return false;
+function getColorQualityIssue(rgb) {
+    if (!rgb) return "No color";
     const [r, g, b] = rgb;
     
     // Calculate relative luminance
     const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
     
     // Reject if too dark or too light
-    if (luminance < 0.15 || luminance > 0.95) {
-        return false;
+    if (luminance < 0.15) {
+        return `Too dark (luminance ${Math.round(luminance * 100)}%, minimum 15%)`;
+    }
+    if (luminance > 0.95) {
+        return `Too light (luminance ${Math.round(luminance * 100)}%, maximum 95%)`;
     }
     
     // Calculate saturation
@@ -257,10 +266,20 @@ function isColorQualityGood(rgb) {
     
     // Reject if too desaturated (grayish) - helps filter out skin tones
     if (saturation < 0.25) {
-        return false;
+        return `Too desaturated (saturation ${Math.round(saturation * 100)}%, minimum 25%)`;
     }
     
-    return true;
+    return null;
+}
+
+/**
+ * Checks if a color has good quality for dialogue text.
+ * 
+ * @param {[number, number, number]} rgb
+ * @returns {boolean}
+ */
+function isColorQualityGood(rgb) {
+    return getColorQualityIssue(rgb) === null;
 }
 
 /**
@@ -303,6 +322,9 @@ function getAverageColorFromSwatches(swatches) {
     ];
 }
 
+/** Swatch names in order of preference for dialogue colors. */
+const swatchPriority = ["Vibrant", "DarkVibrant", "LightVibrant", "Muted", "DarkMuted", "LightMuted"];
+
 /**
  * Gets the best available color from an image with smart fallback.
  * Uses Vibrant.js with Color Thief fallback for missing swatches.
@@ -310,14 +332,13 @@ function getAverageColorFromSwatches(swatches) {
  * Filters out colors that are too dark, light, or desaturated.
  * 
  * @param {HTMLImageElement} image
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions Which part of the image to analyze.
  * @returns {Promise<[number, number, number]?>}
  */
-export async function getSmartAvatarColor(image) {
-    const swatches = await getSwatchesFromImage(image);
+export async function getSmartAvatarColor(image, extractionOptions) {
+    const swatches = await getSwatchesFromImage(image, extractionOptions);
     
     // Try different swatches in order of preference, testing each for quality
-    const swatchPriority = ["Vibrant", "DarkVibrant", "LightVibrant", "Muted", "DarkMuted", "LightMuted"];
-    
     for (const swatchName of swatchPriority) {
         const swatch = swatches[swatchName];
         if (swatch) {
@@ -331,3 +352,115 @@ export async function getSmartAvatarColor(image) {
     // If no good swatch found after trying all, calculate average color from palette
     return getAverageColorFromSwatches(swatches);
 }
+
+/**
+ * Gets every swatch color from an image that passes the quality filter, in order of preference.
+ * The first entry is the color {@linkcode getSmartAvatarColor} would pick; the rest are
+ * alternates that still represent the avatar.
+ * 
+ * @param {HTMLImageElement} image
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions Which part of the image to analyze.
+ * @returns {Promise<[number, number, number][]>}
+ */
+export async function getAvatarColorCandidates(image, extractionOptions) {
+    const swatches = await getSwatchesFromImage(image, extractionOptions);
+
+    return swatchPriority
+        .map(swatchName => swatches[swatchName]?.getRgb())
+        .filter(rgb => isColorQualityGood(rgb));
+}
+
+/** The minimum OKLab distance between the two stops of a gradient; closer pairs look like a solid color. */
+const MIN_GRADIENT_STOP_DISTANCE = 0.08;
+
+/**
+ * Picks two contrasting colors from an image for a two-tone gradient.
+ * The first stop is the color {@linkcode getSmartAvatarColor} would pick; the second is the swatch
+ * farthest from it, preferring swatches that pass the quality filter.
+ * 
+ * @param {HTMLImageElement} image
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions Which part of the image to analyze.
+ * @returns {Promise<[[number, number, number], [number, number, number]]?>} The two stops, or `null` if
+ * no color could be extracted. Both stops are the same color if the image has no second distinct color.
+ */
+export async function getAvatarGradientColors(image, extractionOptions) {
+    const first = await getSmartAvatarColor(image, extractionOptions);
+    if (!first) return null;
+
+    const swatches = await getSwatchesFromImage(image, extractionOptions);
+    const swatchColors = swatchPriority
+        .map(swatchName => swatches[swatchName]?.getRgb())
+        .filter(rgb => rgb);
+
+    /**
+     * @param {[number, number, number][]} colors
+     * @returns {[number, number, number]?}
+     */
+    const pickFarthest = (colors) => {
+        let farthest = null;
+        let farthestDistance = MIN_GRADIENT_STOP_DISTANCE;
+        for (const rgb of colors) {
+            const distance = ExColor.deltaEOK(first, rgb);
+            if (distance >= farthestDistance) {
+                farthest = rgb;
+                farthestDistance = distance;
+            }
+        }
+        return farthest;
+    };
+
+    const second = pickFarthest(swatchColors.filter(rgb => isColorQualityGood(rgb)))
+        ?? pickFarthest(swatchColors)
+        ?? first;
+    return [first, second];
+}
+
+/**
+ * @typedef {object} SwatchReportEntry
+ * @property {string} name The swatch name, e.g. `Vibrant`, or `Average` for the palette average.
+ * @property {[number, number, number]?} rgb The swatch color, or `null` if the avatar has no such swatch.
+ * @property {boolean} isColorThiefFallback Whether the swatch came from Color Thief instead of Vibrant.js.
+ * @property {"chosen" | "passed" | "rejected" | "missing"} status `chosen` for the color {@linkcode getSmartAvatarColor}
+ * picks, `passed` for good colors it passed over in favor of a preferred swatch.
+ * @property {string?} reason Why the swatch was rejected or is missing.
+ */
+
+/**
+ * Describes every swatch extracted from an image and how {@linkcode getSmartAvatarColor} judged it.
+ * 
+ * @param {HTMLImageElement} image
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions Which part of the image to analyze.
+ * @returns {Promise<SwatchReportEntry[]>} One entry per swatch in order of preference, followed by an
+ * `Average` entry if no swatch was good enough.
+ */
+export async function getAvatarSwatchReport(image, extractionOptions) {
+    const swatches = await getSwatchesFromImage(image, extractionOptions);
+
+    let hasChosen = false;
+    /** @type {SwatchReportEntry[]} */
+    const report = swatchPriority.map(swatchName => {
+        const swatch = swatches[swatchName];
+        if (!swatch) {
+            return { name: swatchName, rgb: null, isColorThiefFallback: false, status: "missing", reason: "Not found in the avatar" };
+        }
+
+        const rgb = swatch.getRgb();
+        const issue = getColorQualityIssue(rgb);
+        /** @type {SwatchReportEntry["status"]} */
+        let status = "rejected";
+        if (!issue) {
+            status = hasChosen ? "passed" : "chosen";
+            hasChosen = true;
+        }
+        return { name: swatchName, rgb, isColorThiefFallback: !!swatch.isColorThiefFallback, status, reason: issue };
+    });
+
+    if (!hasChosen) {
+        const average = getAverageColorFromSwatches(swatches);
+        if (average) {
+            report.push({ name: "Average", rgb: average, isColorThiefFallback: false, status: "chosen", reason: null });
+        }
+    }
+
+    return report;
+}
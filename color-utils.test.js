@@ -0,0 +1,96 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { testContext } from "./testing/stubs/scripts/extensions.js";
+import { AVATAR_HUES } from "./testing/fixtures/generate-avatars.js";
+
+import { ExColor } from "./ExColor.js";
+import { CharacterType, STCharacter } from "./STCharacter.js";
+import {
+    getAvatarColorCandidates,
+    getAvatarGradientColors,
+    getAvatarSwatchReport,
+    getSmartAvatarColor,
+} from "./color-utils.js";
+import { ExtractionModeType } from "./focus-region.js";
+
+/**
+ * @param {number[]} rgb
+ * @returns {number} The HSL hue in degrees.
+ */
+function hueOf(rgb) {
+    return ExColor.rgb2hsl(rgb)[0] * 360;
+}
+
+/**
+ * @param {number} hueA
+ * @param {number} hueB
+ * @returns {number}
+ */
+function hueDistance(hueA, hueB) {
+    const difference = Math.abs(hueA - hueB) % 360;
+    return Math.min(difference, 360 - difference);
+}
+
+/**
+ * @param {string} avatar
+ * @returns {HTMLImageElement}
+ */
+function getThumbnail(avatar) {
+    return STCharacter.fromAvatar(CharacterType.CHARACTER, avatar).getAvatarImageThumbnail();
+}
+
+before(() => {
+    testContext.characters = Object.keys(AVATAR_HUES).map(avatar => ({ name: avatar.replace(".png", ""), avatar }));
+});
+
+describe("getSmartAvatarColor", () => {
+    for (const [avatar, hue] of Object.entries(AVATAR_HUES)) {
+        test(`picks a readable shade of the avatar's hue (${avatar})`, async () => {
+            const rgb = await getSmartAvatarColor(getThumbnail(avatar));
+
+            assert.ok(hueDistance(hueOf(rgb), hue) < 15, `${ExColor.rgb2hex(rgb)} isn't close to hue ${hue}`);
+            const [, saturation, lightness] = ExColor.rgb2hsl(rgb);
+            assert.ok(saturation > 0.25, `${ExColor.rgb2hex(rgb)} is too desaturated`);
+            assert.ok(lightness > 0.2 && lightness < 0.9, `${ExColor.rgb2hex(rgb)} is too dark or too light`);
+        });
+    }
+
+    test("ignores the background around the subject", async () => {
+        const rgb = await getSmartAvatarColor(getThumbnail("ocean.png"), { mode: ExtractionModeType.SUBJECT, alphaAware: false });
+        assert.ok(hueDistance(hueOf(rgb), AVATAR_HUES["ocean.png"]) < 15);
+    });
+
+    test("returns the same color for the same avatar", async () => {
+        const [first, second] = await Promise.all([
+            getSmartAvatarColor(getThumbnail("violet.png")),
+            getSmartAvatarColor(getThumbnail("violet.png")),
+        ]);
+        assert.deepEqual(first, second);
+        assert.deepEqual(await getSmartAvatarColor(getThumbnail("violet.png")), first);
+    });
+
+    test("fails for avatars that can't be loaded", async () => {
+        const image = new Image();
+        image.src = "/characters/missing.png";
+        await assert.rejects(getSmartAvatarColor(image));
+    });
+});
+
+test("the swatch report, candidates and gradient agree with the picked color", async () => {
+    const image = getThumbnail("forest.png");
+    const color = await getSmartAvatarColor(image);
+
+    const report = await getAvatarSwatchReport(image);
+    const chosen = report.filter(entry => entry.status === "chosen");
+    assert.equal(chosen.length, 1);
+    assert.deepEqual(chosen[0].rgb, color);
+
+    const candidates = await getAvatarColorCandidates(image);
+    assert.deepEqual(candidates[0], color);
+    assert.equal(candidates.length, report.filter(entry => entry.status === "chosen" || entry.status === "passed").length);
+
+    const [firstStop, secondStop] = await getAvatarGradientColors(image);
+    assert.deepEqual(firstStop, color);
+    assert.ok(secondStop);
+});
@@ -0,0 +1,88 @@
+import { ExColor } from "./ExColor.js";
+
+/**
+ * @typedef {ValueOf<typeof ColorVisionDeficiency>} ColorVisionDeficiency
+ * @readonly
+ */
+export const ColorVisionDeficiency = {
+    NONE: "none",
+    /** No red cones; reds look dark and merge with greens. */
+    PROTANOPIA: "protanopia",
+    /** No green cones; the most common deficiency, reds and greens merge. */
+    DEUTERANOPIA: "deuteranopia",
+    /** No blue cones; blues merge with greens and yellows with pinks. */
+    TRITANOPIA: "tritanopia",
+};
+
+/**
+ * Simulation matrices for full (severity 1.0) dichromacy, applied to linear RGB.
+ *
+ * @link https://www.inf.ufrgs.br/~oliveira/pubs_files/CVD_Simulation/CVD_Simulation.html Machado, Oliveira & Fernandes (2009)
+ */
+const SIMULATION_MATRICES = {
+    [ColorVisionDeficiency.PROTANOPIA]: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    [ColorVisionDeficiency.DEUTERANOPIA]: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+    [ColorVisionDeficiency.TRITANOPIA]: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900],
+    ],
+};
+
+/**
+ * @param {number} value A gamma-encoded channel value in the range `0-255`.
+ * @returns {number} The linear-light value in the range `0-1`.
+ */
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * @param {number} value A linear-light value, clipped to `0-1`.
+ * @returns {number} The gamma-encoded channel value in the range `0-255`.
+ */
+function linearToSrgb(value) {
+    const c = Math.max(0, Math.min(1, value));
+    return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+/**
+ * Simulates how a color looks with a color vision deficiency.
+ *
+ * @param {number[]} rgb `[r, g, b]` in the range `0-255`.
+ * @param {ColorVisionDeficiency} deficiency
+ * @returns {[number, number, number]} The simulated color, rounded to whole channel values.
+ */
+export function simulateColorVision(rgb, deficiency) {
+    const matrix = SIMULATION_MATRICES[deficiency];
+    if (!matrix) {
+        return [Math.round(rgb[0]), Math.round(rgb[1]), Math.round(rgb[2])];
+    }
+
+    const linear = rgb.slice(0, 3).map(srgbToLinear);
+    return /** @type {[number, number, number]} */ (matrix.map(row =>
+        Math.round(linearToSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]))));
+}
+
+/**
+ * Creates a color distance function that measures how different two colors look with a color vision deficiency,
+ * for use as {@linkcode import("./group-palette.js").PaletteOptions.distance}.
+ *
+ * @param {ColorVisionDeficiency} deficiency
+ * @returns {(rgbA: number[], rgbB: number[]) => number} The ΔEOK between the simulated colors.
+ */
+export function createColorVisionDistance(deficiency) {
+    return (rgbA, rgbB) => ExColor.deltaEOK(
+        simulateColorVision(rgbA, deficiency),
+        simulateColorVision(rgbB, deficiency)
+    );
+}
@@ -0,0 +1,297 @@
+import { ExColor } from "./ExColor.js";
+
+/**
+ * @typedef {ValueOf<typeof ContrastTargetType>} ContrastTargetType
+ * @readonly
+ */
+export const ContrastTargetType = {
+    OFF: "off",
+    WCAG_AA: "wcag_aa",
+    WCAG_AAA: "wcag_aaa",
+    APCA_60: "apca_60",
+    APCA_75: "apca_75",
+};
+
+/**
+ * @typedef {object} ContrastTargetDefinition
+ * @property {string} text The label shown in the settings UI.
+ * @property {string} description The help text shown in the settings UI.
+ * @property {"wcag" | "apca" | null} metric The contrast metric the target is measured in.
+ * @property {number} value The minimum contrast required by the target, in the metric's units.
+ */
+
+/** @type {Record<ContrastTargetType, ContrastTargetDefinition>} */
+export const CONTRAST_TARGETS = {
+    [ContrastTargetType.OFF]: {
+        text: "Off",
+        description: "Don't enforce a minimum contrast; only the basic lightness adjustment is applied.",
+        metric: null,
+        value: 0,
+    },
+    [ContrastTargetType.WCAG_AA]: {
+        text: "WCAG AA (4.5:1)",
+        description: "WCAG 2.x level AA for normal text.",
+        metric: "wcag",
+        value: 4.5,
+    },
+    [ContrastTargetType.WCAG_AAA]: {
+        text: "WCAG AAA (7:1)",
+        description: "WCAG 2.x level AAA for normal text.",
+        metric: "wcag",
+        value: 7,
+    },
+    [ContrastTargetType.APCA_60]: {
+        text: "APCA Lc 60",
+        description: "APCA lightness contrast 60, the minimum for readable body text.",
+        metric: "apca",
+        value: 60,
+    },
+    [ContrastTargetType.APCA_75]: {
+        text: "APCA Lc 75",
+        description: "APCA lightness contrast 75, the preferred level for body text.",
+        metric: "apca",
+        value: 75,
+    },
+};
+
+/** Used when no opaque background can be found at all (ST's default dark theme). */
+const FALLBACK_BACKGROUND_RGB = [23, 23, 23];
+
+/**
+ * Parses a computed CSS color string such as `rgb(1, 2, 3)` or `rgba(1, 2, 3, 0.5)`.
+ *
+ * @param {string?} cssColor
+ * @returns {[number, number, number, number]?} `[r, g, b, a]` with `r, g, b` in `0-255` and `a` in `0-1`,
+ * or `null` if the string isn't an rgb/rgba color.
+ */
+export function parseCssColor(cssColor) {
+    if (!cssColor) return null;
+
+    const match = cssColor.match(/rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)/i);
+    if (!match) return null;
+
+    let alpha = 1;
+    if (match[4] !== undefined) {
+        alpha = match[4].endsWith("%") ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+    }
+
+    return [parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]), alpha];
+}
+
+/**
+ * Alpha-composites a (possibly translucent) color over an opaque background.
+ *
+ * @param {[number, number, number, number]} rgba The foreground color, alpha in `0-1`.
+ * @param {number[]} bgRgb The opaque background color.
+ * @returns {[number, number, number]}
+ */
+export function compositeOver(rgba, bgRgb) {
+    const [r, g, b, a] = rgba;
+    return [
+        Math.round(r * a + bgRgb[0] * (1 - a)),
+        Math.round(g * a + bgRgb[1] * (1 - a)),
+        Math.round(b * a + bgRgb[2] * (1 - a)),
+    ];
+}
+
+/**
+ * Gets the effective background color behind message text by compositing, from the bottom up,
+ * the body, the chat container and a chat message (which carries the chat bubble color in bubble mode).
+ * Falls back to the SmartTheme blur tint variable if the chat isn't in the DOM yet.
+ *
+ * @returns {[number, number, number]}
+ */
+export function getChatBackgroundColor() {
+    const bodyRgba = parseCssColor(window.getComputedStyle(document.body).backgroundColor);
+    let background = bodyRgba && bodyRgba[3] > 0
+        ? compositeOver(bodyRgba, FALLBACK_BACKGROUND_RGB)
+        : [...FALLBACK_BACKGROUND_RGB];
+
+    const chatElem = document.getElementById("chat");
+    const layers = [];
+    if (chatElem) {
+        layers.push(window.getComputedStyle(chatElem).backgroundColor);
+        const messageElem = chatElem.querySelector(":scope > .mes");
+        if (messageElem) {
+            layers.push(window.getComputedStyle(messageElem).backgroundColor);
+        }
+    } else {
+        layers.push(window.getComputedStyle(document.documentElement).getPropertyValue("--SmartThemeBlurTintColor"));
+    }
+
+    for (const layer of layers) {
+        const rgba = parseCssColor(layer);
+        if (rgba && rgba[3] > 0) {
+            background = compositeOver(rgba, background);
+        }
+    }
+
+    return background;
+}
+
+/**
+ * Gets the WCAG 2.x relative luminance of an sRGB color.
+ *
+ * @param {number[]} rgb `[r, g, b]` in `0-255`.
+ * @returns {number} The relative luminance in `0-1`.
+ */
+export function getRelativeLuminance(rgb) {
+    const [r, g, b] = rgb.slice(0, 3).map((channel) => {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Gets the WCAG 2.x contrast ratio between two colors.
+ *
+ * @param {number[]} rgbA
+ * @param {number[]} rgbB
+ * @returns {number} The contrast ratio in `1-21`.
+ */
+export function getContrastRatio(rgbA, rgbB) {
+    const lumA = getRelativeLuminance(rgbA);
+    const lumB = getRelativeLuminance(rgbB);
+    return (Math.max(lumA, lumB) + 0.05) / (Math.min(lumA, lumB) + 0.05);
+}
+
+/**
+ * Determines if a background is light, i.e. if dark text contrasts better on it than light text.
+ *
+ * @param {number[]} background The opaque background color, see {@linkcode getChatBackgroundColor}.
+ * @returns {boolean} True if light, false if dark.
+ */
+export function isLightBackground(background) {
+    // Luminance at which black and white text have equal WCAG contrast
+    return getRelativeLuminance(background) > 0.18;
+}
+
+/**
+ * Gets the APCA (0.0.98G-4g) lightness contrast of text on a background.
+ *
+ * @param {number[]} textRgb
+ * @param {number[]} bgRgb
+ * @returns {number} The signed Lc value; positive for dark text on light backgrounds, negative for the reverse.
+ */
+export function getApcaContrast(textRgb, bgRgb) {
+    const screenLuminance = (rgb) => {
+        const y = 0.2126729 * Math.pow(rgb[0] / 255, 2.4)
+            + 0.7151522 * Math.pow(rgb[1] / 255, 2.4)
+            + 0.0721750 * Math.pow(rgb[2] / 255, 2.4);
+        // Soft clamp near black
+        return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+    };
+
+    const yText = screenLuminance(textRgb);
+    const yBg = screenLuminance(bgRgb);
+    if (Math.abs(yBg - yText) < 0.0005) return 0;
+
+    if (yBg > yText) {
+        const sapc = (Math.pow(yBg, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+        return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+    }
+
+    const sapc = (Math.pow(yBg, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Measures the contrast of text on a background in the metric used by the specified target.
+ *
+ * @param {number[]} textRgb
+ * @param {number[]} bgRgb
+ * @param {ContrastTargetType} targetType
+ * @returns {number} The WCAG ratio, or the absolute APCA Lc value.
+ */
+export function measureContrast(textRgb, bgRgb, targetType) {
+    const target = CONTRAST_TARGETS[targetType];
+    if (target?.metric === "apca") {
+        return Math.abs(getApcaContrast(textRgb, bgRgb));
+    }
+    return getContrastRatio(textRgb, bgRgb);
+}
+
+/**
+ * Formats a measured contrast value for display, e.g. `4.52:1` or `Lc 63`.
+ *
+ * @param {number} value
+ * @param {ContrastTargetType} targetType
+ * @returns {string}
+ */
+export function formatContrast(value, targetType) {
+    return CONTRAST_TARGETS[targetType]?.metric === "apca"
+        ? `Lc ${Math.round(value)}`
+        : `${value.toFixed(2)}:1`;
+}
+
+/**
+ * @typedef {object} ContrastResult
+ * @property {import("./ExColor.js").ColorArray} rgb The adjusted color.
+ * @property {number} achieved The contrast achieved against the background, see {@linkcode measureContrast}.
+ * @property {boolean} met Whether the target was met.
+ */
+
+/**
+ * Adjusts a color's perceptual lightness (OKLCH) until it meets the contrast target against the background,
+ * keeping hue unchanged and changing lightness as little as possible. Chroma is only reduced where
+ * the lighter or darker color would fall outside sRGB.
+ * Lightness is moved away from the background first; if that can't reach the target,
+ * the opposite direction is tried and the best result is returned.
+ *
+ * @param {import("./ExColor.js").ColorArray} rgb
+ * @param {number[]} bgRgb
+ * @param {ContrastTargetType} targetType
+ * @returns {ContrastResult}
+ */
+export function ensureContrast(rgb, bgRgb, targetType) {
+    const target = CONTRAST_TARGETS[targetType];
+    const initial = measureContrast(rgb, bgRgb, targetType);
+    if (!target?.metric || initial >= target.value) {
+        return { rgb, achieved: initial, met: !target?.metric || initial >= target.value };
+    }
+
+    const [l, c, h] = ExColor.rgb2oklch(rgb);
+    const alpha = rgb[3] ?? 255;
+    const withLightness = (lum) => {
+        const [r, g, b] = ExColor.oklch2rgb([lum, c, h]);
+        return /** @type {import("./ExColor.js").ColorArray} */ ([r, g, b, alpha]);
+    };
+    const measureAt = (lum) => measureContrast(withLightness(lum), bgRgb, targetType);
+
+    /**
+     * Binary searches between the current lightness and `limit` for the smallest change meeting the target.
+     * @param {number} limit
+     * @returns {number?} The lightness found, or `null` if `limit` itself doesn't meet the target.
+     */
+    function searchTowards(limit) {
+        if (measureAt(limit) < target.value) return null;
+
+        let near = l;
+        let far = limit;
+        for (let i = 0; i < 20; i++) {
+            const mid = (near + far) / 2;
+            if (measureAt(mid) >= target.value) {
+                far = mid;
+            } else {
+                near = mid;
+            }
+        }
+        return far;
+    }
+
+    const bgIsDark = !isLightBackground(bgRgb);
+    const preferredLimit = bgIsDark ? 1 : 0;
+    const foundLightness = searchTowards(preferredLimit) ?? searchTowards(1 - preferredLimit);
+
+    if (foundLightness !== null) {
+        const adjusted = withLightness(foundLightness);
+        return { rgb: adjusted, achieved: measureContrast(adjusted, bgRgb, targetType), met: true };
+    }
+
+    // Unreachable target (e.g. a mid-gray background with AAA); settle for the best extreme.
+    const best = measureAt(preferredLimit) >= measureAt(1 - preferredLimit)
+        ? withLightness(preferredLimit)
+        : withLightness(1 - preferredLimit);
+    return { rgb: best, achieved: measureContrast(best, bgRgb, targetType), met: false };
+}
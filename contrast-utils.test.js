@@ -0,0 +1,176 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ExColor } from "./ExColor.js";
+import {
+    CONTRAST_TARGETS,
+    ContrastTargetType,
+    compositeOver,
+    ensureContrast,
+    formatContrast,
+    getApcaContrast,
+    getChatBackgroundColor,
+    getContrastRatio,
+    isLightBackground,
+    measureContrast,
+    parseCssColor,
+} from "./contrast-utils.js";
+
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+const DARK_BACKGROUND = [23, 23, 23];
+
+/**
+ * @param {string} hex
+ * @returns {number[]}
+ */
+function rgbOf(hex) {
+    return ExColor.hex2rgb(hex).slice(0, 3);
+}
+
+describe("getContrastRatio", () => {
+    test("ranges from 1:1 to 21:1", () => {
+        assert.equal(getContrastRatio(BLACK, WHITE), 21);
+        assert.equal(getContrastRatio(WHITE, BLACK), 21);
+        assert.equal(getContrastRatio(rgbOf("#777777"), rgbOf("#777777")), 1);
+    });
+
+    test("matches the WCAG threshold examples", () => {
+        // #777 on white is the classic "just below AA" gray
+        assert.ok(Math.abs(getContrastRatio(rgbOf("#777777"), WHITE) - 4.48) < 0.01);
+        assert.ok(getContrastRatio(rgbOf("#767676"), WHITE) >= 4.5);
+    });
+});
+
+describe("isLightBackground", () => {
+    test("splits backgrounds where black and white text contrast equally", () => {
+        assert.equal(isLightBackground(WHITE), true);
+        assert.equal(isLightBackground(DARK_BACKGROUND), false);
+        assert.equal(isLightBackground(rgbOf("#757575")), false);
+        assert.equal(isLightBackground(rgbOf("#767676")), true);
+        assert.ok(getContrastRatio(BLACK, rgbOf("#767676")) > getContrastRatio(WHITE, rgbOf("#767676")));
+    });
+
+    test("decides which way ensureContrast changes colors", () => {
+        const target = ContrastTargetType.WCAG_AA;
+        const rgb = [118, 118, 200];
+        for (const background of [rgbOf("#757575"), rgbOf("#767676")]) {
+            const { rgb: adjusted } = ensureContrast(rgb, background, target);
+            const lighter = ExColor.rgb2oklch(adjusted)[0] > ExColor.rgb2oklch(rgb)[0];
+            assert.equal(lighter, !isLightBackground(background), `on ${ExColor.rgb2hex(background)}`);
+        }
+    });
+});
+
+describe("getApcaContrast", () => {
+    // The reference values of the APCA 0.0.98G-4g test suite (apca-w3)
+    const REFERENCE_PAIRS = [
+        ["#888888", "#ffffff", 63.056469930209424],
+        ["#ffffff", "#888888", -68.54146436644962],
+        ["#000000", "#aaaaaa", 58.146262578561334],
+        ["#aaaaaa", "#000000", -56.24113336839742],
+        ["#112233", "#ddeeff", 91.66830811481631],
+        ["#ddeeff", "#112233", -93.06770049484275],
+        ["#000000", "#ffffff", 106.04067321268862],
+        ["#ffffff", "#000000", -107.88473318309848],
+    ];
+
+    test("matches the reference values", () => {
+        for (const [text, background, expected] of REFERENCE_PAIRS) {
+            const lc = getApcaContrast(rgbOf(text), rgbOf(background));
+            assert.ok(Math.abs(lc - expected) < 1e-9, `${text} on ${background}: ${lc} instead of ${expected}`);
+        }
+    });
+
+    test("is zero for indistinguishable colors", () => {
+        assert.equal(getApcaContrast(rgbOf("#808080"), rgbOf("#808080")), 0);
+        assert.equal(getApcaContrast(rgbOf("#808080"), rgbOf("#828282")), 0);
+    });
+
+    test("is measured and formatted as an absolute Lc value", () => {
+        const lc = measureContrast(WHITE, BLACK, ContrastTargetType.APCA_60);
+        assert.ok(lc > 107);
+        assert.equal(formatContrast(lc, ContrastTargetType.APCA_60), "Lc 108");
+        assert.equal(formatContrast(4.5, ContrastTargetType.WCAG_AA), "4.50:1");
+    });
+});
+
+describe("ensureContrast", () => {
+    test("returns colors that already meet the target unchanged", () => {
+        const rgb = [240, 200, 120, 255];
+        const result = ensureContrast(rgb, DARK_BACKGROUND, ContrastTargetType.WCAG_AA);
+        assert.equal(result.rgb, rgb);
+        assert.equal(result.met, true);
+    });
+
+    test("doesn't change colors without a target", () => {
+        const rgb = [30, 30, 30, 255];
+        const result = ensureContrast(rgb, DARK_BACKGROUND, ContrastTargetType.OFF);
+        assert.equal(result.rgb, rgb);
+        assert.equal(result.met, true);
+    });
+
+    for (const targetType of [
+        ContrastTargetType.WCAG_AA,
+        ContrastTargetType.WCAG_AAA,
+        ContrastTargetType.APCA_60,
+        ContrastTargetType.APCA_75,
+    ]) {
+        test(`lightens dark colors on dark backgrounds to meet ${targetType}, keeping the hue`, () => {
+            const rgb = [90, 20, 30, 200];
+            const result = ensureContrast(rgb, DARK_BACKGROUND, targetType);
+
+            assert.equal(result.met, true);
+            assert.ok(measureContrast(result.rgb, DARK_BACKGROUND, targetType) >= CONTRAST_TARGETS[targetType].value);
+            const [l, , h] = ExColor.rgb2oklch(rgb);
+            const [adjustedL, , adjustedH] = ExColor.rgb2oklch(result.rgb);
+            assert.ok(adjustedL > l);
+            assert.ok(Math.abs(adjustedH - h) < 5, `hue changed from ${h} to ${adjustedH}`);
+            assert.equal(result.rgb[3], 200);
+        });
+    }
+
+    test("changes the lightness as little as needed", () => {
+        const result = ensureContrast([90, 20, 30], DARK_BACKGROUND, ContrastTargetType.WCAG_AA);
+        assert.ok(result.achieved >= 4.5);
+        assert.ok(result.achieved < 4.6);
+    });
+
+    test("darkens light colors on light backgrounds", () => {
+        const result = ensureContrast([250, 220, 120], WHITE, ContrastTargetType.WCAG_AA);
+        assert.equal(result.met, true);
+        assert.ok(ExColor.rgb2oklch(result.rgb)[0] < ExColor.rgb2oklch([250, 220, 120])[0]);
+    });
+
+    test("settles for the best extreme when the target can't be met", () => {
+        // Neither black nor white reaches 7:1 on mid-gray
+        const result = ensureContrast([200, 60, 60], rgbOf("#777777"), ContrastTargetType.WCAG_AAA);
+        assert.equal(result.met, false);
+        assert.ok(result.achieved > 4.4 && result.achieved < 7);
+    });
+});
+
+describe("chat background", () => {
+    afterEach(() => {
+        document.body.removeAttribute("style");
+        document.getElementById("chat").removeAttribute("style");
+    });
+
+    test("parses computed CSS colors", () => {
+        assert.deepEqual(parseCssColor("rgb(1, 2, 3)"), [1, 2, 3, 1]);
+        assert.deepEqual(parseCssColor("rgba(10, 20, 30, 0.5)"), [10, 20, 30, 0.5]);
+        assert.deepEqual(parseCssColor("rgb(10 20 30 / 25%)"), [10, 20, 30, 0.25]);
+        assert.equal(parseCssColor("transparent"), null);
+        assert.deepEqual(compositeOver([255, 255, 255, 0.5], [0, 0, 0]), [128, 128, 128]);
+    });
+
+    test("composites the chat over the page", () => {
+        document.body.style.backgroundColor = "rgb(200, 200, 200)";
+        document.getElementById("chat").style.backgroundColor = "rgba(0, 0, 100, 0.5)";
+        assert.deepEqual(getChatBackgroundColor(), [100, 100, 150]);
+    });
+
+    test("falls back to a dark background", () => {
+        assert.deepEqual(getChatBackgroundColor(), DARK_BACKGROUND);
+    });
+});
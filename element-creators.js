@@ -1,4 +1,7 @@
 import { ColorizeSourceType } from "./index.js";
+import { ColorVisionDeficiency } from "./color-vision.js";
+import { CONTRAST_TARGETS } from "./contrast-utils.js";
+import { ExtractionModeType } from "./focus-region.js";
 import { linkInputColorTextPicker } from "./utils.js";
 
 /** @typedef {{value: any, text: string, description: string}} DropdownOptionObject */
@@ -93,6 +96,11 @@ export function createColorSourceDropdown(id, onChangedCallback) {
             text: "Avatar Smart", 
             description: "Intelligently extracts the best color from the character's avatar with quality filtering and fallback options."
         },
+        {
+            value: ColorizeSourceType.AVATAR_GRADIENT,
+            text: "Avatar Gradient",
+            description: "Colors dialogue with a two-tone gradient made from two contrasting colors of the character's avatar."
+        },
         {
             value: ColorizeSourceType.STATIC_COLOR, 
             text: "Static Color", 
@@ -113,6 +121,83 @@ export function createColorSourceDropdown(id, onChangedCallback) {
     return createDropdownWithLabel(id, options, "Color Source", "The source to use for dialogue color.", onChangedCallback);
 }
 
+/**
+ * 
+ * @param {string} id The ID to set on the created elements.
+ * @param {((event: Event) => void)=} onChangedCallback The 'onchange' callback to add to the dropdown.
+ * @returns {HTMLDivElement} The div containing the label and dropdown.
+ */
+export function createContrastTargetDropdown(id, onChangedCallback) {
+    const options = Object.entries(CONTRAST_TARGETS).map(([value, target]) => ({
+        value,
+        text: target.text,
+        description: target.description,
+    }));
+
+    return createDropdownWithLabel(id, options, "Minimum Contrast", "Avatar-derived colors are adjusted until they reach this contrast against the actual chat background.", onChangedCallback);
+}
+
+/**
+ * 
+ * @param {string} id The ID to set on the created elements.
+ * @param {((event: Event) => void)=} onChangedCallback The 'onchange' callback to add to the dropdown.
+ * @returns {HTMLDivElement} The div containing the label and dropdown.
+ */
+export function createExtractionModeDropdown(id, onChangedCallback) {
+    const options = [
+        {
+            value: ExtractionModeType.FULL,
+            text: "Whole Avatar",
+            description: "Take colors from the entire avatar, including its background."
+        },
+        {
+            value: ExtractionModeType.CENTER,
+            text: "Center-Weighted",
+            description: "Favor the middle of the avatar, where the character usually is."
+        },
+        {
+            value: ExtractionModeType.SUBJECT,
+            text: "Subject Focus",
+            description: "Remove the background colors found along the avatar's border, then favor the middle."
+        },
+    ];
+
+    return createDropdownWithLabel(id, options, "Extraction Area", "Which part of the avatar colors are taken from (Avatar modes only).", onChangedCallback);
+}
+
+/**
+ * 
+ * @param {string} id The ID to set on the created elements.
+ * @param {((event: Event) => void)=} onChangedCallback The 'onchange' callback to add to the dropdown.
+ * @returns {HTMLDivElement} The div containing the label and dropdown.
+ */
+export function createColorVisionDropdown(id, onChangedCallback) {
+    const options = [
+        {
+            value: ColorVisionDeficiency.NONE,
+            text: "None",
+            description: "Don't simulate a color vision deficiency."
+        },
+        {
+            value: ColorVisionDeficiency.PROTANOPIA,
+            text: "Protanopia",
+            description: "Red-blind: reds look darker and are hard to tell from greens."
+        },
+        {
+            value: ColorVisionDeficiency.DEUTERANOPIA,
+            text: "Deuteranopia",
+            description: "Green-blind, the most common deficiency: reds and greens are hard to tell apart."
+        },
+        {
+            value: ColorVisionDeficiency.TRITANOPIA,
+            text: "Tritanopia",
+            description: "Blue-blind: blues are hard to tell from greens, and yellows from pinks."
+        },
+    ];
+
+    return createDropdownWithLabel(id, options, "Color Vision", "Preview the current chat's colors as seen with a color vision deficiency.", onChangedCallback);
+}
+
 /**
  * Creates a slider input with label and value display.
  * 
@@ -0,0 +1,99 @@
+/** How many avatars are analyzed at the same time. */
+const MAX_CONCURRENT_EXTRACTIONS = 2;
+
+/**
+ * Thrown (as a rejection) for extractions that were dropped from the queue before they started,
+ * see {@linkcode cancelQueuedExtractions}.
+ */
+export class ExtractionCancelledError extends Error {
+    constructor() {
+        super("Avatar color extraction was cancelled.");
+        this.name = "ExtractionCancelledError";
+    }
+}
+
+/**
+ * @typedef {object} QueuedExtraction
+ * @property {string} src The normalized URL of the image being analyzed.
+ * @property {() => Promise<any>} run
+ * @property {(value: any) => void} resolve
+ * @property {(reason: any) => void} reject
+ */
+
+/** @type {QueuedExtraction[]} Waiting extractions, oldest first. */
+const queue = [];
+let runningCount = 0;
+/** @type {Set<string>} */
+let priorityImages = new Set();
+
+/**
+ * Resolves an image URL, so relative paths and `img.src` values compare equal.
+ *
+ * @param {string} src
+ * @returns {string}
+ */
+function normalizeSrc(src) {
+    try {
+        return new URL(src, document.baseURI).href;
+    } catch {
+        return src;
+    }
+}
+
+/**
+ * Sets the images whose extraction runs before any other, i.e. the avatars visible in the current chat.
+ * Replaces the previous set.
+ *
+ * @param {string[]} srcs Image URLs or paths.
+ */
+export function setPriorityImages(srcs) {
+    priorityImages = new Set(srcs.map(normalizeSrc));
+}
+
+/**
+ * Queues an extraction. At most {@linkcode MAX_CONCURRENT_EXTRACTIONS} run at once; prioritized images
+ * (see {@linkcode setPriorityImages}) go first, the rest in the order they were queued.
+ *
+ * @template T
+ * @param {string} src The URL of the image being analyzed.
+ * @param {() => Promise<T>} run Performs the extraction.
+ * @returns {Promise<T>} Rejects with {@linkcode ExtractionCancelledError} if the extraction is cancelled.
+ */
+export function enqueueExtraction(src, run) {
+    return new Promise((resolve, reject) => {
+        queue.push({ src: normalizeSrc(src), run, resolve, reject });
+        runQueuedExtractions();
+    });
+}
+
+/**
+ * Starts waiting extractions until the concurrency limit is reached.
+ */
+function runQueuedExtractions() {
+    while (runningCount < MAX_CONCURRENT_EXTRACTIONS && queue.length > 0) {
+        const priorityIndex = queue.findIndex(extraction => priorityImages.has(extraction.src));
+        const [extraction] = queue.splice(priorityIndex === -1 ? 0 : priorityIndex, 1);
+
+        runningCount++;
+        extraction.run()
+            .then(extraction.resolve, extraction.reject)
+            .finally(() => {
+                runningCount--;
+                runQueuedExtractions();
+            });
+    }
+}
+
+/**
+ * Drops every waiting extraction of a non-prioritized image; extractions that already started finish normally.
+ * Call after {@linkcode setPriorityImages} when the chat changes, so work for the previous chat doesn't
+ * delay the new one.
+ */
+export function cancelQueuedExtractions() {
+    for (let i = queue.length - 1; i >= 0; i--) {
+        if (priorityImages.has(queue[i].src)) continue;
+
+        const [extraction] = queue.splice(i, 1);
+        extraction.reject(new ExtractionCancelledError());
+    }
+}
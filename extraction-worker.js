@@ -0,0 +1,56 @@
+import "./worker-dom-shim.js";
+import { extractPreparedSwatches, prepareImage } from "./swatch-extraction.js";
+
+// Runs avatar swatch extraction off the main thread. Requests are posted by `color-utils.js`:
+//   { id, type: "prepare", bitmap }            -> { id, result: { handle, hash } }
+//   { id, type: "extract", handle, options }   -> { id, result: SerializedSwatches }
+//   { id, type: "release", handle }            -> { id, result: null }
+// Failures are answered with { id, error }.
+
+/** Downscaled canvases waiting to be extracted or released, keyed by handle. */
+const preparedCanvases = new Map();
+let nextHandle = 1;
+
+/**
+ * @param {any} request
+ * @returns {any} The result to post back.
+ */
+function handleRequest(request) {
+    switch (request.type) {
+        case "prepare": {
+            /** @type {ImageBitmap} */
+            const bitmap = request.bitmap;
+            try {
+                const { canvas, hash } = prepareImage(bitmap);
+                const handle = nextHandle++;
+                preparedCanvases.set(handle, canvas);
+                return { handle, hash };
+            } finally {
+                bitmap.close();
+            }
+        }
+        case "extract": {
+            const canvas = preparedCanvases.get(request.handle);
+            if (!canvas) {
+                throw new Error(`Unknown image handle '${request.handle}'.`);
+            }
+            preparedCanvases.delete(request.handle);
+            return extractPreparedSwatches(canvas, request.options);
+        }
+        case "release": {
+            preparedCanvases.delete(request.handle);
+            return null;
+        }
+        default:
+            throw new Error(`Unknown request type '${request.type}'.`);
+    }
+}
+
+self.addEventListener("message", (event) => {
+    const { id } = event.data;
+    try {
+        self.postMessage({ id, result: handleRequest(event.data) });
+    } catch (err) {
+        self.postMessage({ id, error: err?.message ?? String(err) });
+    }
+});
@@ -0,0 +1,231 @@
+import { ExColor } from "./ExColor.js";
+
+/**
+ * @typedef {ValueOf<typeof ExtractionModeType>} ExtractionModeType
+ * @readonly
+ */
+export const ExtractionModeType = {
+    /** Analyze the whole avatar. */
+    FULL: "full",
+    /** Favor pixels near the center of the avatar, where the subject usually is. */
+    CENTER: "center",
+    /** Remove the background colors found along the avatar's border, then favor the center. */
+    SUBJECT: "subject",
+};
+
+/**
+ * @typedef {object} ExtractionOptions
+ * @property {ExtractionModeType} mode Which part of the avatar to take colors from.
+ * @property {boolean} alphaAware Whether to treat transparency as background: translucent edge pixels are
+ * dropped and the center is taken from the opaque part of the image.
+ */
+
+/** @type {ExtractionOptions} */
+export const DEFAULT_EXTRACTION_OPTIONS = {
+    mode: ExtractionModeType.FULL,
+    alphaAware: false,
+};
+
+/** Pixels with a lower alpha are skipped by Vibrant.js and Color Thief. */
+const ANALYZED_ALPHA_MIN = 125;
+/** With alpha awareness, pixels below this alpha are anti-aliased edges and get dropped. */
+const ALPHA_AWARE_MIN = 250;
+/** The width of the border ring sampled for background colors, relative to the smaller image dimension. */
+const BORDER_RING_SIZE = 0.06;
+/** A color must cover at least this fraction of the border ring to count as background. */
+const BORDER_COLOR_MIN_SHARE = 0.1;
+/** The maximum number of background colors taken from the border ring. */
+const BORDER_COLOR_MAX_COUNT = 4;
+/** Pixels closer than this (ΔEOK) to a background color are removed. */
+const BACKGROUND_DISTANCE = 0.07;
+/** A masking step is undone if it leaves fewer than this fraction of the analyzed pixels. */
+const MIN_KEPT_SHARE = 0.05;
+
+/** 4x4 ordered dither thresholds, used to keep a share of pixels proportional to their weight. */
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+].map(row => row.map(value => (value + 0.5) / 16));
+
+/**
+ * Gets a key identifying a set of extraction options, for use in cache keys.
+ *
+ * @param {ExtractionOptions=} options
+ * @returns {string}
+ */
+export function getExtractionOptionsKey(options) {
+    const { mode, alphaAware } = { ...DEFAULT_EXTRACTION_OPTIONS, ...options };
+    return `${mode}${alphaAware ? "+alpha" : ""}`;
+}
+
+/**
+ * Hides the pixels of a canvas that shouldn't contribute to the avatar's colors by making them transparent,
+ * which Vibrant.js and Color Thief both skip.
+ *
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas The (downscaled) avatar canvas. Modified in place.
+ * @param {ExtractionOptions=} options
+ */
+export function applyFocusMask(canvas, options) {
+    const { mode, alphaAware } = { ...DEFAULT_EXTRACTION_OPTIONS, ...options };
+    if (mode === ExtractionModeType.FULL && !alphaAware) return;
+
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext("2d"));
+    const { width, height } = canvas;
+    if (width === 0 || height === 0) return;
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+
+    if (alphaAware) {
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < ALPHA_AWARE_MIN) data[i] = 0;
+        }
+    }
+
+    if (mode === ExtractionModeType.SUBJECT) {
+        maskStep(data, () => maskBorderColors(data, width, height, alphaAware));
+    }
+    if (mode === ExtractionModeType.CENTER || mode === ExtractionModeType.SUBJECT) {
+        const bounds = (alphaAware ? getOpaqueBounds(data, width, height) : null)
+            ?? { left: 0, top: 0, right: width, bottom: height };
+        maskStep(data, () => maskByCenterWeight(data, width, bounds));
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Runs a masking step, undoing it if it would leave too few pixels to analyze.
+ *
+ * @param {Uint8ClampedArray} data
+ * @param {() => void} step
+ */
+function maskStep(data, step) {
+    const alphaBefore = new Uint8ClampedArray(data.length / 4);
+    let countBefore = 0;
+    for (let i = 3, p = 0; i < data.length; i += 4, p++) {
+        alphaBefore[p] = data[i];
+        if (data[i] >= ANALYZED_ALPHA_MIN) countBefore++;
+    }
+
+    step();
+
+    let countAfter = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] >= ANALYZED_ALPHA_MIN) countAfter++;
+    }
+    if (countAfter < countBefore * MIN_KEPT_SHARE) {
+        for (let i = 3, p = 0; i < data.length; i += 4, p++) {
+            data[i] = alphaBefore[p];
+        }
+    }
+}
+
+/**
+ * Gets the bounding box of the opaque pixels, i.e. of the subject of a cut-out PNG.
+ *
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ left: number, top: number, right: number, bottom: number }?} The bounds, or `null` if there are no opaque pixels.
+ */
+function getOpaqueBounds(data, width, height) {
+    let left = width, top = height, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] < ANALYZED_ALPHA_MIN) continue;
+            left = Math.min(left, x);
+            right = Math.max(right, x);
+            top = Math.min(top, y);
+            bottom = Math.max(bottom, y);
+        }
+    }
+    return right < 0 ? null : { left, top, right: right + 1, bottom: bottom + 1 };
+}
+
+/**
+ * Keeps a share of pixels that falls off with their distance from the center of `bounds`,
+ * from all pixels at the center to none at the edge of the inscribed ellipse.
+ *
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {{ left: number, top: number, right: number, bottom: number }} bounds
+ */
+function maskByCenterWeight(data, width, bounds) {
+    const height = data.length / 4 / width;
+    const centerX = (bounds.left + bounds.right) / 2;
+    const centerY = (bounds.top + bounds.bottom) / 2;
+    const radiusX = Math.max((bounds.right - bounds.left) / 2, 1);
+    const radiusY = Math.max((bounds.bottom - bounds.top) / 2, 1);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = (x + 0.5 - centerX) / radiusX;
+            const dy = (y + 0.5 - centerY) / radiusY;
+            const weight = 1 - (dx * dx + dy * dy);
+            if (weight <= BAYER_4X4[y % 4][x % 4]) {
+                data[(y * width + x) * 4 + 3] = 0;
+            }
+        }
+    }
+}
+
+/**
+ * Finds the dominant colors of the image's outer ring and removes every pixel close to one of them.
+ *
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} alphaAware
+ */
+function maskBorderColors(data, width, height, alphaAware) {
+    const ringSize = Math.max(2, Math.round(Math.min(width, height) * BORDER_RING_SIZE));
+
+    /** @type {Map<number, { count: number, r: number, g: number, b: number }>} */
+    const buckets = new Map();
+    let ringPixels = 0;
+    let opaqueRingPixels = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inRing = x < ringSize || y < ringSize || x >= width - ringSize || y >= height - ringSize;
+            if (!inRing) continue;
+
+            ringPixels++;
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < ANALYZED_ALPHA_MIN) continue;
+            opaqueRingPixels++;
+
+            // 4 bits per channel is coarse enough to group gradients and noise in a background
+            const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+            const bucket = buckets.get(key) ?? { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += data[i];
+            bucket.g += data[i + 1];
+            bucket.b += data[i + 2];
+            buckets.set(key, bucket);
+        }
+    }
+
+    // A mostly transparent border means the background has already been cut out
+    if (alphaAware && opaqueRingPixels < ringPixels * 0.3) return;
+
+    const backgroundColors = [...buckets.values()]
+        .filter(bucket => bucket.count >= opaqueRingPixels * BORDER_COLOR_MIN_SHARE)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, BORDER_COLOR_MAX_COUNT)
+        .map(bucket => ExColor.rgb2oklab([bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count]));
+    if (backgroundColors.length === 0) return;
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < ANALYZED_ALPHA_MIN) continue;
+
+        const [l, a, b] = ExColor.rgb2oklab([data[i], data[i + 1], data[i + 2]]);
+        const isBackground = backgroundColors.some(([bgL, bgA, bgB]) =>
+            Math.hypot(l - bgL, a - bgA, b - bgB) < BACKGROUND_DISTANCE);
+        if (isBackground) {
+            data[i + 3] = 0;
+        }
+    }
+}
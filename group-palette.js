@@ -0,0 +1,105 @@
+import { ExColor } from "./ExColor.js";
+
+/**
+ * @typedef {object} PaletteEntry
+ * @property {string} uid The UID of the character the color belongs to.
+ * @property {ExColor} color The character's resolved color.
+ * @property {boolean} fixed Whether the color must not be changed (manual overrides, the persona, ...).
+ * @property {ExColor[]=} alternates Other acceptable colors for the character, in order of preference
+ * (e.g. other swatches from the same avatar).
+ */
+
+/**
+ * @typedef {object} PaletteOptions
+ * @property {number} minDistance The minimum distance required between any two colors.
+ * @property {(rgbA: number[], rgbB: number[]) => number=} distance The color distance function. Defaults to {@linkcode ExColor.deltaEOK}.
+ * @property {(color: ExColor, uid: string) => ExColor=} prepareColor Applied to hue-shifted colors (with the
+ * UID of the entry they're for) so they go through the same readability adjustments as the original color.
+ */
+
+/** Hue rotation steps tried (in degrees) when no alternate swatch is distinct enough. */
+const HUE_SHIFT_STEPS = [1, -1, 2, -2, 3, -3, 4, -4, 5, -5, 6].map(step => step * 30);
+
+/**
+ * Nudges colliding colors in a group apart so every character stays distinguishable.
+ *
+ * Fixed entries are placed first and never changed. Every other entry keeps its color if it is far enough
+ * from all colors placed before it; otherwise its alternates are tried in order, and if none of them is
+ * distinct enough, its hue is rotated in growing steps (in OKLCH, keeping lightness and chroma).
+ * If nothing reaches the minimum distance, the candidate farthest from its nearest neighbor is used.
+ *
+ * @param {PaletteEntry[]} entries The entries, in order of priority (earlier entries keep their color).
+ * @param {PaletteOptions} options
+ * @returns {Map<string, ExColor>} The resolved color of each entry, keyed by UID.
+ */
+export function resolveDistinctPalette(entries, options) {
+    const distance = options.distance ?? ExColor.deltaEOK;
+    const prepareColor = options.prepareColor ?? (color => color);
+
+    /** @type {Map<string, ExColor>} */
+    const resolved = new Map();
+    /** @type {number[][]} */
+    const placed = [];
+
+    const toRgb = (/** @type {ExColor} */ color) => {
+        const { r, g, b } = color.toRgb();
+        return [r, g, b];
+    };
+    const nearestDistance = (/** @type {ExColor} */ color) => {
+        const rgb = toRgb(color);
+        return placed.reduce((nearest, other) => Math.min(nearest, distance(rgb, other)), Infinity);
+    };
+
+    for (const entry of entries.filter(entry => entry.fixed)) {
+        resolved.set(entry.uid, entry.color);
+        placed.push(toRgb(entry.color));
+    }
+
+    for (const entry of entries.filter(entry => !entry.fixed)) {
+        const chosen = pickDistinctColor(entry);
+        resolved.set(entry.uid, chosen);
+        placed.push(toRgb(chosen));
+    }
+
+    return resolved;
+
+    /**
+     * @param {PaletteEntry} entry
+     * @returns {ExColor}
+     */
+    function pickDistinctColor(entry) {
+        let best = entry.color;
+        let bestDistance = nearestDistance(entry.color);
+        if (bestDistance >= options.minDistance) {
+            return best;
+        }
+
+        /** @type {(color: ExColor) => boolean} */
+        const tryCandidate = (color) => {
+            const candidateDistance = nearestDistance(color);
+            if (candidateDistance > bestDistance) {
+                best = color;
+                bestDistance = candidateDistance;
+            }
+            return candidateDistance >= options.minDistance;
+        };
+
+        // Prefer other colors from the same avatar before inventing new ones
+        for (const alternate of entry.alternates ?? []) {
+            if (tryCandidate(alternate)) {
+                return alternate;
+            }
+        }
+
+        // Rotate hue in OKLCH so lightness and chroma stay perceptually the same
+        const { l, c, h, a } = entry.color.toOklch();
+        for (const shift of HUE_SHIFT_STEPS) {
+            const shifted = prepareColor(ExColor.fromOklch([l, c, (h + shift + 360) % 360, a]), entry.uid);
+            if (tryCandidate(shifted)) {
+                return shifted;
+            }
+        }
+
+        return best;
+    }
+}
@@ -0,0 +1,112 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ExColor } from "./ExColor.js";
+import { resolveDistinctPalette } from "./group-palette.js";
+
+const MIN_DISTANCE = 0.1;
+
+/**
+ * @param {ExColor} colorA
+ * @param {ExColor} colorB
+ * @returns {number}
+ */
+function distanceBetween(colorA, colorB) {
+    return ExColor.deltaEOK(colorA.toRgb(), colorB.toRgb());
+}
+
+describe("resolveDistinctPalette", () => {
+    test("keeps colors that are already distinct", () => {
+        const red = ExColor.fromHex("#d04040");
+        const blue = ExColor.fromHex("#4060d0");
+        const palette = resolveDistinctPalette([
+            { uid: "a", color: red, fixed: false },
+            { uid: "b", color: blue, fixed: false },
+        ], { minDistance: MIN_DISTANCE });
+
+        assert.equal(palette.get("a"), red);
+        assert.equal(palette.get("b"), blue);
+    });
+
+    test("never changes fixed entries, even when they're listed last", () => {
+        const override = ExColor.fromHex("#d04040");
+        const palette = resolveDistinctPalette([
+            { uid: "avatar", color: ExColor.fromHex("#d04444"), fixed: false },
+            { uid: "override", color: override, fixed: true },
+        ], { minDistance: MIN_DISTANCE });
+
+        assert.equal(palette.get("override"), override);
+        assert.notEqual(palette.get("avatar").toHex(), "d04444");
+    });
+
+    test("prefers a distinct alternate over shifting the hue", () => {
+        const alternate = ExColor.fromHex("#40a060");
+        const palette = resolveDistinctPalette([
+            { uid: "a", color: ExColor.fromHex("#d04040"), fixed: true },
+            { uid: "b", color: ExColor.fromHex("#d04242"), fixed: false, alternates: [ExColor.fromHex("#d24141"), alternate] },
+        ], { minDistance: MIN_DISTANCE });
+
+        assert.equal(palette.get("b"), alternate);
+    });
+
+    test("shifts the hue of colliding colors until they're the minimum distance apart", () => {
+        const entries = ["a", "b", "c", "d"].map((uid, i) => ({
+            uid,
+            color: ExColor.fromHex(["#c05050", "#c05252", "#c25050", "#c05054"][i]),
+            fixed: i === 0,
+        }));
+        const palette = resolveDistinctPalette(entries, { minDistance: MIN_DISTANCE });
+
+        const colors = [...palette.values()];
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                assert.ok(distanceBetween(colors[i], colors[j]) >= MIN_DISTANCE,
+                    `${colors[i].toHex()} and ${colors[j].toHex()} are too close`);
+            }
+        }
+
+        // Only the hue changes
+        const original = entries[1].color.toOklch();
+        const shifted = palette.get("b").toOklch();
+        assert.ok(Math.abs(shifted.l - original.l) < 0.01);
+        assert.ok(Math.abs(shifted.h - original.h) >= 25);
+    });
+
+    test("passes shifted colors through `prepareColor` with the entry's UID", () => {
+        const prepared = ExColor.fromHex("#2080f0");
+        const calls = [];
+        const palette = resolveDistinctPalette([
+            { uid: "a", color: ExColor.fromHex("#d04040"), fixed: true },
+            { uid: "b", color: ExColor.fromHex("#d04040"), fixed: false },
+        ], {
+            minDistance: MIN_DISTANCE,
+            prepareColor: (color, uid) => {
+                calls.push(uid);
+                return prepared;
+            },
+        });
+
+        assert.deepEqual(calls, ["b"]);
+        assert.equal(palette.get("b"), prepared);
+    });
+
+    test("uses the farthest candidate if none reaches the minimum distance", () => {
+        const gray = ExColor.fromHex("#808080");
+        const palette = resolveDistinctPalette([
+            { uid: "a", color: gray, fixed: true },
+            { uid: "b", color: ExColor.fromHex("#808080"), fixed: false, alternates: [ExColor.fromHex("#888888")] },
+        ], { minDistance: 2 });
+
+        // Gray has no hue to shift, so the lighter alternate is the best there is
+        assert.equal(palette.get("b").toHex(), "888888");
+    });
+
+    test("uses a custom distance function", () => {
+        const palette = resolveDistinctPalette([
+            { uid: "a", color: ExColor.fromHex("#d04040"), fixed: true },
+            { uid: "b", color: ExColor.fromHex("#d04040"), fixed: false },
+        ], { minDistance: 1, distance: () => 5 });
+
+        assert.equal(palette.get("b").toHex(), "d04040");
+    });
+});
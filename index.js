@@ -5,7 +5,8 @@ import {
   event_types,
   saveSettingsDebounced,
 } from "../../../../script.js";
-import { extension_settings } from "../../../extensions.js";
+import { extension_settings, getContext } from "../../../extensions.js";
+import { download, getFileText } from "../../../utils.js";
 
 //#endregion ST imports
 
@@ -13,13 +14,124 @@ import { extension_settings } from "../../../extensions.js";
 
 import { ExColor } from "./ExColor.js";
 import { CharacterType, STCharacter } from "./STCharacter.js";
-import { getSmartAvatarColor } from "./color-utils.js";
+import {
+  CardColorPrecedenceType,
+  getCardColor,
+  pickOverrideColor,
+  writeCardColor,
+} from "./card-colors.js";
+import {
+  BADGE_TEXT_COLOR_VAR,
+  PaletteVariant,
+  RAW_AVATAR_COLOR_VAR,
+  deriveCharacterPalette,
+  getPaletteVariable,
+} from "./character-palette.js";
+import {
+  COLOR_ADJUSTMENT_RANGES,
+  DEFAULT_COLOR_ADJUSTMENTS,
+  applyColorAdjustments,
+  combineColorAdjustments,
+  getColorAdjustmentsKey,
+  sanitizeCharacterAdjustments,
+  sanitizeColorAdjustments,
+} from "./color-adjustments.js";
+import {
+  OverrideScope,
+  getChatColorOverride,
+  hasChatColorOverrides,
+  setChatColorOverride,
+} from "./chat-overrides.js";
+import {
+  SchemeImportMode,
+  applyColorScheme,
+  createColorScheme,
+  findMissingAvatars,
+  parseColorScheme,
+} from "./color-scheme.js";
+import {
+  clearSwatchCache,
+  getAvatarColorCandidates,
+  getAvatarGradientColors,
+  getAvatarSwatchReport,
+  getSmartAvatarColor,
+} from "./color-utils.js";
+import {
+  ColorVisionDeficiency,
+  createColorVisionDistance,
+  simulateColorVision,
+} from "./color-vision.js";
+import {
+  CONTRAST_TARGETS,
+  ContrastTargetType,
+  ensureContrast,
+  formatContrast,
+  getChatBackgroundColor,
+  isLightBackground,
+  measureContrast,
+} from "./contrast-utils.js";
 import {
   createColorSourceDropdown,
   createColorTextPickerCombo,
+  createColorVisionDropdown,
   createCheckboxWithLabel,
+  createContrastTargetDropdown,
+  createDropdownWithLabel,
+  createExtractionModeDropdown,
+  createSliderWithLabel,
 } from "./element-creators.js";
+import {
+  ExtractionCancelledError,
+  cancelQueuedExtractions,
+  setPriorityImages,
+} from "./extraction-queue.js";
+import {
+  ExtractionModeType,
+  getExtractionOptionsKey,
+} from "./focus-region.js";
+import { resolveDistinctPalette } from "./group-palette.js";
+import {
+  MOODS,
+  MoodType,
+  applyMoodTransform,
+  detectMoodKeyword,
+  findWorldInfoMood,
+  getChatMood,
+  setChatMood,
+} from "./mood.js";
+import { getPersistentCacheStats } from "./persistent-cache.js";
+import { SETTINGS_VERSION, upgradeSettings } from "./settings-schema.js";
 import { initializeSettings } from "./settings-utils.js";
+import { registerPublicApi } from "./public-api.js";
+import { registerSlashCommands } from "./slash-commands.js";
+import {
+  BUBBLE_TINT_ALPHA_RANGE,
+  DEFAULT_BUBBLE_TINT_ALPHA,
+  DEFAULT_STYLING_MODES,
+  STYLING_MODES,
+  StylingModeType,
+  TARGET_RULE_PRESETS,
+  compileStylingModes,
+  deriveCompanionColors,
+  isStylingModeEnabled,
+} from "./styling-modes.js";
+import { attributeQuotes, getSpeakerKey } from "./speaker-attribution.js";
+import {
+  DEFAULT_TARGET_RULE,
+  TargetMixColor,
+  compileTargetRules,
+  getTargetRuleErrors,
+  normalizeTargetRule,
+  normalizeTargetRules,
+} from "./target-rules.js";
+import {
+  DEFAULT_TEXT_ROLES,
+  TEXT_ROLES,
+  TextRoleType,
+  deriveTextRoleColor,
+  isTextRoleEnabled,
+  markTildeThoughts,
+} from "./text-roles.js";
 import {
   expEventSource,
   exp_event_type,
@@ -47,6 +159,7 @@ const DEFAULT_STATIC_DIALOGUE_COLOR_RGB = [225, 138, 36];
  */
 export const ColorizeSourceType = {
   AVATAR_SMART: "avatar_smart",
+  AVATAR_GRADIENT: "avatar_gradient",
   CHAR_COLOR_OVERRIDE: "char_color_override",
   STATIC_COLOR: "static_color",
   DISABLED: "disabled",
@@ -60,16 +173,62 @@ const defaultCharColorSettings = {
   staticColor: DEFAULT_STATIC_DIALOGUE_COLOR_HEX,
   colorOverrides: {},
   colorNameText: false,
-  boostVibrancy: false,
+  /** @type {import("./color-adjustments.js").ColorAdjustments} Applied to every avatar color of this type. */
+  adjustments: { ...DEFAULT_COLOR_ADJUSTMENTS },
+  /** @type {Record<string, import("./color-adjustments.js").CharacterAdjustments>} Added to `adjustments`, keyed by avatar name. */
+  characterAdjustments: {},
+  textRoles: { ...DEFAULT_TEXT_ROLES },
+  extractionMode: ExtractionModeType.FULL,
+  alphaAwareExtraction: false,
+  /** The direction of dialogue gradients, in degrees (CSS `linear-gradient` angle). */
+  gradientAngle: 90,
+  /** @type {Record<string, [string, string]>} Gradient stops keyed by avatar name. */
+  gradientOverrides: {},
 };
 const defaultExtSettings = {
-  charColorSettings: defaultCharColorSettings,
-  personaColorSettings: defaultCharColorSettings,
+  /** The version of the saved settings; see `settings-schema.js`. */
+  settingsVersion: SETTINGS_VERSION,
+  // Separate copies, so changing the character settings doesn't change the persona settings too
+  charColorSettings: structuredClone(defaultCharColorSettings),
+  personaColorSettings: structuredClone(defaultCharColorSettings),
+  /** Settings of system and narrator messages (`/sys`, `/narrator`); not colored unless enabled. */
+  systemColorSettings: {
+    ...structuredClone(defaultCharColorSettings),
+    colorizeSource: ColorizeSourceType.DISABLED,
+  },
+  contrastTarget: ContrastTargetType.WCAG_AA,
+  distinctGroupColors: true,
+  /** Minimum OKLab distance (ΔEOK) between the colors of group chat members. */
+  groupColorMinDistance: 0.1,
+  schemeImportMode: SchemeImportMode.MERGE,
+  /** Whether card-embedded colors or local overrides win when a character has both. */
+  cardColorPrecedence: CardColorPrecedenceType.CARD_FIRST,
+  saveOverridesToCards: false,
+  /** The color vision deficiency previewed in the settings, and used by the color-blind safe mode. */
+  colorVisionDeficiency: ColorVisionDeficiency.NONE,
+  /** Whether group colors are also kept distinguishable as seen with `colorVisionDeficiency`. */
+  colorBlindSafeGroups: false,
+  /** Whether quotes in character messages are colored by the roster NPC speaking them. */
+  speakerAttribution: false,
+  /** @type {Record<string, import("./speaker-attribution.js").RosterEntry[]>} NPC rosters keyed by card avatar name. */
+  npcRosters: {},
+  /** @type {Record<import("./styling-modes.js").StylingModeType, boolean>} Built-in styling of messages beyond the text. */
+  stylingModes: { ...DEFAULT_STYLING_MODES },
+  /** The opacity of the message background tint, in `0-1`. */
+  bubbleTintAlpha: DEFAULT_BUBBLE_TINT_ALPHA,
+  /** @type {import("./target-rules.js").TargetRule[]} Extra elements colored for every author, e.g. an avatar ring. */
+  targetRules: [],
+  /** Whether the latest message sets the chat's mood when it mentions a mood keyword (see mood.js). */
+  moodKeywordDetection: false,
 };
 
 const extName = "SillyTavern-Smart-Dialogue-Colorizer";
 const extFolderPath = `scripts/extensions/third-party/${extName}`;
-const extSettings = initializeSettings(extName, defaultExtSettings);
+const extSettings = initializeSettings(
+  extName,
+  defaultExtSettings,
+  upgradeSettings
+);
 
 function debounce(fn, delay = 100) {
   /** @type {number?} */
@@ -89,30 +248,269 @@ function debounce(fn, delay = 100) {
 let charactersStyleSheet;
 /** @type {HTMLStyleElement} */
 let personasStyleSheet;
+/** @type {HTMLStyleElement} */
+let systemStyleSheet;
+/** @type {HTMLStyleElement} */
+let speakersStyleSheet;
+/** @type {HTMLStyleElement} */
+let previewStyleSheet;
+/** Whether the persona styles include overrides of the chat they were built in, so must be rebuilt when it changes. */
+let personaStylesHaveChatOverrides = false;
+/** @type {MoodType} The chat mood the style sheets were last built with, so they're rebuilt when a chat has another. */
+let styledChatMood = MoodType.NONE;
+
+/** @type {Map<string, number>} The contrast each author's dialogue color last achieved, keyed by UID. */
+const achievedContrast = new Map();
+/** @type {Map<string, { stChar: STCharacter, color: ExColor? }>} The dialogue color each author was last resolved with, keyed by UID. */
+const resolvedDialogueColors = new Map();
+/** @type {Set<string>} The styled authors whose recorded color is outdated until their style sheet is rebuilt. */
+const staleDialogueColors = new Set();
+
+/**
+ * Records the color a character's messages are shown in, and announces it if it changed.
+ *
+ * @param {STCharacter} stChar
+ * @param {ExColor?} color
+ */
+function recordResolvedDialogueColor(stChar, color) {
+  const previousColor = resolvedDialogueColors.get(stChar.uid)?.color;
+  resolvedDialogueColors.set(stChar.uid, { stChar, color });
+  staleDialogueColors.delete(stChar.uid);
+
+  const hex = color ? `#${color.toHex()}` : null;
+  const previousHex = previousColor ? `#${previousColor.toHex()}` : null;
+  if (hex !== previousHex) {
+    expEventSource.emit(
+      exp_event_type.DIALOGUE_COLOR_CHANGED,
+      stChar,
+      hex,
+      previousHex
+    );
+  }
+}
+
+/**
+ * Gets whether the style sheets color the given author's messages, which records its color whenever they're rebuilt.
+ * Every persona and the System are styled, but only the characters of the current chat.
+ *
+ * @param {STCharacter} stChar
+ * @returns {boolean}
+ */
+function isStyledAuthor(stChar) {
+  if (stChar.type !== CharacterType.CHARACTER) return true;
+
+  const chatCharacters = isInGroupChat()
+    ? getCurrentGroupCharacters() ?? []
+    : isInCharacterChat()
+      ? [getCurrentCharacter()]
+      : [];
+  return chatCharacters.some((char) => char.uid === stChar.uid);
+}
+
+/**
+ * Resolves and records the color of an author the style sheets don't color.
+ *
+ * @param {STCharacter} stChar
+ * @returns {Promise<ExColor?>}
+ */
+async function resolveUnstyledDialogueColor(stChar) {
+  const background = getChatBackgroundColor();
+  const color = applyChatMood(
+    await getCharacterDialogueColor(stChar, background),
+    background,
+    getContrastTargetForChar(stChar)
+  );
+  recordResolvedDialogueColor(stChar, color);
+  return color;
+}
+
+/**
+ * Brings the recorded colors up to date after a change that affects them. Styled authors get theirs when their
+ * style sheet is rebuilt, so they're only marked as stale; the others are resolved again and announced here.
+ *
+ * @param {CharacterType=} charType Only update the authors of this type.
+ */
+function invalidateResolvedDialogueColors(charType) {
+  for (const { stChar } of resolvedDialogueColors.values()) {
+    if (charType && stChar.type !== charType) continue;
+
+    if (isStyledAuthor(stChar)) {
+      staleDialogueColors.add(stChar.uid);
+      continue;
+    }
+    resolveUnstyledDialogueColor(stChar).catch((error) => {
+      if (error instanceof ExtractionCancelledError) return;
+      console.error(`[SDC] Failed to update the color of ${stChar.uid}:`, error);
+    });
+  }
+}
+
+/**
+ * Rebuilds the style sheet that colors the given type of author.
+ *
+ * @param {CharacterType} charType
+ * @returns {Promise<void>}
+ */
+function updateStyleSheetForType(charType) {
+  switch (charType) {
+    case CharacterType.PERSONA:
+      return updatePersonasStyleSheet();
+    case CharacterType.SYSTEM:
+      return updateSystemStyleSheet();
+    default:
+      return updateCharactersStyleSheet();
+  }
+}
+
+/**
+ * @typedef {object} CharStyleOptions
+ * @property {number[]=} background The background the colors are made readable on. Defaults to the chat background.
+ * @property {string=} messageSelector The selector of the character's messages, for styling elements other than
+ * the chat's messages (e.g. the settings preview). Styles built with one don't update the colors and contrast
+ * recorded for the chat.
+ */
 
 /**
  * @param {STCharacter} stChar
+ * @param {ExColor?=} resolvedColor The character's already-resolved dialogue color, if known (e.g. from a group palette).
+ * @param {CharStyleOptions=} options
  */
-async function getCharStyleString(stChar) {
+async function getCharStyleString(stChar, resolvedColor, options = {}) {
   let styleHtml = "";
-  const dialogueColor = await getCharacterDialogueColor(stChar);
+  const background = options.background ?? getChatBackgroundColor();
+  const messageSelector =
+    options.messageSelector ?? `.mes[sdc-author_uid="${stChar.uid}"]`;
+  const isChatStyle = options.messageSelector === undefined;
+  const contrastTarget = getContrastTargetForChar(stChar);
+  const dialogueColor = applyChatMood(
+    resolvedColor !== undefined
+      ? resolvedColor
+      : await getCharacterDialogueColor(stChar, background),
+    background,
+    contrastTarget
+  );
   const colorSettings = getSettingsForChar(stChar);
+  if (isChatStyle) recordResolvedDialogueColor(stChar, dialogueColor);
 
   if (dialogueColor) {
+    const { r, g, b } = dialogueColor.toRgb();
+    const companions = deriveCompanionColors([r, g, b], background, {
+      bubbleTint: isStylingModeEnabled(
+        extSettings.stylingModes,
+        StylingModeType.BUBBLE_TINT
+      ),
+      bubbleTintAlpha: extSettings.bubbleTintAlpha ?? DEFAULT_BUBBLE_TINT_ALPHA,
+      contrastTarget,
+    });
+    // The text roles are derived from the color made readable on the tint, if messages are tinted;
+    // --character-color stays the author's color
+    const textColor = companions.bubbleTint
+      ? ExColor.fromRgb(companions.dialogue)
+      : dialogueColor;
+    const isLight = isLightBackground(companions.textBackground);
+    if (isChatStyle) {
+      achievedContrast.set(
+        stChar.uid,
+        measureContrast(
+          companions.dialogue,
+          companions.textBackground,
+          contrastTarget
+        )
+      );
+    }
+
+    let roleVars = "";
+    let roleRules = "";
+    for (const [role, roleDef] of Object.entries(TEXT_ROLES)) {
+      if (!isTextRoleEnabled(colorSettings, role)) continue;
+
+      const roleColor = deriveTextRoleColor(textColor, role, isLight);
+      roleVars += `
+                ${roleDef.cssVar}: #${roleColor.toHex()};`;
+
+      // Roles without selectors (dialogue) are styled by the static rules in style.css
+      if (roleDef.selectors.length === 0) continue;
+      const selectors = roleDef.selectors
+        .map((sel) => `${messageSelector} .mes_text ${sel}`)
+        .join(",\n            ");
+      roleRules += `
+            ${selectors} {
+                color: var(${roleDef.cssVar});
+            }
+        `;
+    }
+
+    const gradientStops = await getCharacterGradientStops(stChar, background);
+    let gradientVar = "";
+    if (gradientStops) {
+      const angle = colorSettings.gradientAngle ?? 90;
+      const stopList = gradientStops
+        .map(
+          (stop) =>
+            `#${applyChatMood(stop, background, contrastTarget).toHex()}`
+        )
+        .join(", ");
+      gradientVar = `
+                --character-gradient: linear-gradient(${angle}deg, ${stopList});`;
+
+      // --character-dialogue-color stays as the solid fallback for browsers and themes without text clipping
+      if (isTextRoleEnabled(colorSettings, TextRoleType.DIALOGUE)) {
+        roleRules += `
+            @supports (background-clip: text) or (-webkit-background-clip: text) {
+                ${messageSelector} .mes_text q {
+                    background-image: var(--character-gradient);
+                    -webkit-background-clip: text;
+                    background-clip: text;
+                    -webkit-box-decoration-break: clone;
+                    box-decoration-break: clone;
+                    color: transparent;
+                }
+            }
+        `;
+      }
+    }
+
+    let paletteVars = "";
+    for (const [variant, color] of Object.entries(
+      deriveCharacterPalette(dialogueColor, background)
+    )) {
+      paletteVars += `
+                ${getPaletteVariable(variant)}: #${color.toHex()};`;
+    }
+    paletteVars += `
+                ${BADGE_TEXT_COLOR_VAR}: var(${getPaletteVariable(PaletteVariant.CONTRAST_TEXT)});`;
+    const rawAvatarColor = await getRawAvatarColor(stChar);
+    if (rawAvatarColor) {
+      paletteVars += `
+                ${RAW_AVATAR_COLOR_VAR}: #${rawAvatarColor.toHex()};`;
+    }
+
     styleHtml += `
-            .mes[sdc-author_uid="${stChar.uid}"] {
-                --character-color: #${dialogueColor.toHex()};
+            ${messageSelector} {
+                --character-color: #${dialogueColor.toHex()};${paletteVars}${roleVars}${gradientVar}
             }
         `;
+    styleHtml += roleRules;
 
     // Apply color to character name if enabled
     if (colorSettings.colorNameText) {
       styleHtml += `
-            .mes[sdc-author_uid="${stChar.uid}"] .name_text {
+            ${messageSelector} .name_text {
                 color: var(--character-color);
             }
         `;
     }
+
+    styleHtml += compileStylingModes(
+      extSettings.stylingModes,
+      messageSelector,
+      companions
+    );
+    styleHtml += compileTargetRules(
+      extSettings.targetRules ?? [],
+      messageSelector,
+      background
+    );
   }
 
   return styleHtml;
@@ -134,10 +532,23 @@ async function updateCharactersStyleSheet(characterList) {
     }
   }
 
-  const stylesHtml = await Promise.all(
-    characterList.map(async (char) => await getCharStyleString(char))
-  );
+  let stylesHtml;
+  try {
+    const groupColors = await getGroupColorsIfDistinct(characterList);
+
+    stylesHtml = await Promise.all(
+      characterList.map(
+        async (char) =>
+          await getCharStyleString(char, groupColors?.get(char.uid))
+      )
+    );
+  } catch (error) {
+    // The chat changed while extracting; the new chat's update replaces this one
+    if (error instanceof ExtractionCancelledError) return;
+    throw error;
+  }
   charactersStyleSheet.innerHTML = stylesHtml.join("");
+  updateContrastStatusUI();
 }
 
 // Handled differently from the chars style sheet so we don't have to do any dirty/complex tricks when a chat has messages
@@ -149,10 +560,233 @@ async function updateCharactersStyleSheet(characterList) {
 async function updatePersonasStyleSheet(personaList) {
   personaList ??= getAllPersonas();
 
-  const stylesHtml = await Promise.all(
-    personaList.map(async (persona) => await getCharStyleString(persona))
-  );
+  let stylesHtml;
+  try {
+    stylesHtml = await Promise.all(
+      personaList.map(async (persona) => await getCharStyleString(persona))
+    );
+  } catch (error) {
+    if (!(error instanceof ExtractionCancelledError)) throw error;
+    // Personas don't depend on the chat, so start over; the avatars of the new chat now go first
+    // and the extractions that already finished are cached.
+    return updatePersonasStyleSheet(personaList);
+  }
   personasStyleSheet.innerHTML = stylesHtml.join("");
+  personaStylesHaveChatOverrides = hasChatColorOverrides(CharacterType.PERSONA);
+  updateContrastStatusUI();
+}
+
+/**
+ * Rebuilds the rules coloring the quotes attributed to roster NPCs (see {@linkcode applySpeakerAttribution}).
+ * They're more specific than the card's own dialogue rules, so they win over its color and gradient.
+ */
+function updateSpeakersStyleSheet() {
+  if (!extSettings.speakerAttribution) {
+    speakersStyleSheet.innerHTML = "";
+    return;
+  }
+
+  let styleHtml = "";
+  const background = getChatBackgroundColor();
+  for (const [avatarName, roster] of Object.entries(
+    extSettings.npcRosters ?? {}
+  )) {
+    const authorUid = `${CharacterType.CHARACTER}|${avatarName}`;
+    for (const entry of roster) {
+      if (!entry.name.trim() || !ExColor.isValidHexString(entry.color)) {
+        continue;
+      }
+
+      const speakerKey = CSS.escape(getSpeakerKey(entry.name));
+      const color = applyChatMood(
+        ExColor.fromHex(entry.color),
+        background,
+        getContrastTarget()
+      );
+      styleHtml += `
+            .mes[sdc-author_uid="${authorUid}"] .mes_text q[sdc-speaker="${speakerKey}"] {
+                color: #${color.toHex()};
+                background-image: none;
+            }
+        `;
+    }
+  }
+  speakersStyleSheet.innerHTML = styleHtml;
+}
+
+/**
+ * Marks each quote of a character message with the roster NPC speaking it (the `sdc-speaker` attribute),
+ * or clears the marks if speaker attribution is off or the card has no roster.
+ *
+ * @param {Element} message
+ */
+function applySpeakerAttribution(message) {
+  const quotes = message.querySelectorAll(".mes_text q");
+  quotes.forEach((quote) => quote.removeAttribute("sdc-speaker"));
+  if (!extSettings.speakerAttribution || quotes.length === 0) return;
+
+  const author = getMessageAuthor(/** @type {HTMLElement} */ (message));
+  if (author?.type !== CharacterType.CHARACTER) return;
+  const roster = extSettings.npcRosters?.[author.avatarName];
+  if (!roster?.length) return;
+
+  const rawText =
+    getContext().chat[Number(message.getAttribute("mesid"))]?.mes ?? "";
+  const speakers = attributeQuotes(
+    rawText,
+    roster.map((entry) => entry.name)
+  );
+  // Formatting (e.g. regex scripts) can change which quotes get rendered; don't guess which is which
+  if (speakers.length !== quotes.length) {
+    console.debug(
+      `[SDC] Found ${speakers.length} quotes in the text of message ${message.getAttribute("mesid")} but ${quotes.length} rendered, skipping speaker attribution.`
+    );
+    return;
+  }
+
+  speakers.forEach((speaker, i) => {
+    if (speaker) quotes[i].setAttribute("sdc-speaker", getSpeakerKey(speaker));
+  });
+}
+
+/**
+ * Marks the single-tilde thoughts of a message for the thoughts text role (see {@linkcode markTildeThoughts}).
+ *
+ * @param {Element} message
+ */
+function applyThoughtMarks(message) {
+  const mesText = message.querySelector(".mes_text");
+  if (mesText) markTildeThoughts(mesText);
+}
+
+/**
+ * Marks the thoughts and speakers of a message again, after its text was rendered again.
+ *
+ * @param {number|string} messageId
+ */
+function refreshMessageMarks(messageId) {
+  const message = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+  if (!message) return;
+
+  applyThoughtMarks(message);
+  applySpeakerAttribution(message);
+}
+
+function applySpeakerAttributionToAllMessages() {
+  document
+    .querySelectorAll("#chat > .mes")
+    .forEach((message) => applySpeakerAttribution(message));
+}
+
+/**
+ * Sets a card's NPC roster and recolors the chat.
+ *
+ * @param {STCharacter} stChar
+ * @param {import("./speaker-attribution.js").RosterEntry[]} roster
+ */
+function setNpcRoster(stChar, roster) {
+  extSettings.npcRosters ??= {};
+  if (roster.length > 0) {
+    extSettings.npcRosters[stChar.avatarName] = roster;
+  } else {
+    delete extSettings.npcRosters[stChar.avatarName];
+  }
+  saveSettingsDebounced();
+  updateSpeakersStyleSheet();
+  applySpeakerAttributionToAllMessages();
+}
+
+/**
+ * Updates the styles of system and narrator messages (`/sys`, `/narrator`), which all belong to the System character.
+ */
+async function updateSystemStyleSheet() {
+  let styleHtml;
+  try {
+    styleHtml = await getCharStyleString(STCharacter.System);
+  } catch (error) {
+    if (!(error instanceof ExtractionCancelledError)) throw error;
+    // Like personas, the System doesn't depend on the chat
+    return updateSystemStyleSheet();
+  }
+  systemStyleSheet.innerHTML = styleHtml;
+}
+
+/**
+ * Rebuilds every style sheet with the current chat's mood, which changes the colors of all authors.
+ */
+async function refreshMoodStyles() {
+  styledChatMood = getChatMood();
+  await updateCharactersStyleSheet();
+  await updatePersonasStyleSheet();
+  await updateSystemStyleSheet();
+  updateSpeakersStyleSheet();
+}
+
+/**
+ * Sets the mood of the current chat and recolors the messages.
+ *
+ * @param {MoodType} mood
+ * @throws {Error} If no chat is open.
+ */
+export function setMood(mood) {
+  if (setChatMood(mood)) {
+    console.debug(`[SDC] Chat mood set to '${mood}'.`);
+    invalidateResolvedDialogueColors();
+    updateMoodUI();
+    refreshMoodStyles();
+  }
+}
+
+/**
+ * Sets the chat's mood from the keywords of a message, if it's the latest one and keyword detection is on.
+ *
+ * @param {number|string} messageId
+ */
+function detectMoodFromMessage(messageId) {
+  if (!extSettings.moodKeywordDetection || !isInAnyChat()) return;
+
+  const chat = getContext().chat;
+  // Re-rendering older messages mustn't bring back the mood they had
+  if (Number(messageId) !== chat.length - 1) return;
+  const mood = detectMoodKeyword(chat[messageId]?.mes ?? "");
+  if (mood) setMood(mood);
+}
+
+/**
+ * Shows the current chat's mood in the settings, and disables the mood dropdown outside of chats.
+ */
+function updateMoodUI() {
+  $("#sdc-chat_mood")
+    .prop("value", getChatMood())
+    .prop("disabled", !isInAnyChat());
+}
+
+/**
+ * Makes the avatars of the current chat's characters, the current persona and the authors of the
+ * loaded messages go first in the extraction queue, and drops the queued extractions of other avatars.
+ */
+function prioritizeCurrentChatAvatars() {
+  /** @type {STCharacter[]} */
+  const chatCharacters = [getCurrentPersona()];
+  if (isInGroupChat()) {
+    chatCharacters.push(...getCurrentGroupCharacters());
+  } else if (isInCharacterChat()) {
+    chatCharacters.push(getCurrentCharacter());
+  }
+  document.querySelectorAll("#chat > .mes").forEach((message) => {
+    try {
+      chatCharacters.push(getMessageAuthor(/** @type {HTMLElement} */ (message)));
+    } catch {
+      // The author was deleted or renamed; nothing to prioritize
+    }
+  });
+
+  setPriorityImages(
+    chatCharacters
+      .filter((stChar) => stChar)
+      .map((stChar) => stChar.avatarImageThumbnailFilePath)
+  );
+  cancelQueuedExtractions();
 }
 
 /**
@@ -169,6 +803,8 @@ function getSettingsForChar(charType) {
       return extSettings.charColorSettings;
     case CharacterType.PERSONA:
       return extSettings.personaColorSettings;
+    case CharacterType.SYSTEM:
+      return extSettings.systemColorSettings;
     default:
       console.warn(
         `Character type '${charType}' has no settings key, using defaults.`
@@ -178,76 +814,60 @@ function getSettingsForChar(charType) {
 }
 
 /**
- * Determines if the current application theme is light or dark.
- * Checks the computed background color of the body.
- * @returns {boolean} True if light theme, false if dark theme.
+ * Gets the user-selected minimum contrast for avatar-derived colors.
+ * @returns {ContrastTargetType}
  */
-function isLightTheme() {
-  const rgb = window
-    .getComputedStyle(document.body)
-    .backgroundColor.match(/\d+/g);
-  if (!rgb) return false; // Default to dark if can't determine
-
-  // Calculate relative luminance
-  const luminance =
-    (0.299 * parseInt(rgb[0]) +
-      0.587 * parseInt(rgb[1]) +
-      0.114 * parseInt(rgb[2])) /
-    255;
-  return luminance > 0.5;
+function getContrastTarget() {
+  return extSettings.contrastTarget in CONTRAST_TARGETS
+    ? extSettings.contrastTarget
+    : ContrastTargetType.WCAG_AA;
 }
 
 /**
  * Improves color contrast for better readability on dark or light backgrounds.
- * Ensures adequate saturation and luminance while preserving hue.
- * Optionally boosts vibrancy.
+ * Ensures adequate chroma and perceptual lightness (OKLCH) while preserving hue,
+ * so colors of different hues end up with the same apparent brightness.
  *
  * @param {import("./ExColor.js").ColorArray} rgb
- * @param {boolean} boostVibrancy - Whether to apply 20% saturation boost
  * @param {boolean} isLight - Whether the current theme is light
  * @returns {import("./ExColor.js").ColorArray}
  */
-function makeBetterContrast(rgb, boostVibrancy = false, isLight = false) {
-  const [h, s, l, a] = ExColor.rgb2hsl(rgb);
+export function makeBetterContrast(rgb, isLight = false) {
+  const [l, c, h] = ExColor.rgb2oklch(rgb);
 
-  let nHue = h;
-  let nSat = s;
   let nLum = l;
+  let nChroma = c;
 
-  // Ensure minimum saturation for vibrancy
-  if (nSat < 0.4) {
-    nSat = Math.min(nSat + 0.3, 0.8);
+  // Ensure minimum chroma for vibrancy
+  if (nChroma < 0.08) {
+    nChroma = Math.min(nChroma + 0.07, 0.14);
   }
 
   if (isLight) {
     // Light Theme Logic: Darken colors that are too bright
-    if (nLum > 0.6) {
-      nLum = 0.45; // Darken bright colors
-    } else if (nLum > 0.4) {
-      nLum = 0.4; // Slight darken for mid-range
+    if (nLum > 0.7) {
+      nLum = 0.52; // Darken bright colors
+    } else if (nLum > 0.55) {
+      nLum = 0.5; // Slight darken for mid-range
     }
     // Ensure it's not TOO dark though, or it looks like black text
-    if (nLum < 0.2) {
-      nLum = 0.25;
+    if (nLum < 0.35) {
+      nLum = 0.4;
     }
   } else {
     // Dark Theme Logic (Default)
-    // Ensure luminance is in readable range (not too dark, not too bright)
-    if (nLum < 0.5) {
-      nLum = 0.65; // Brighten dark colors
-    } else if (nLum < 0.7) {
-      nLum = 0.7; // Slight boost for mid-range
-    } else if (nLum > 0.85) {
-      nLum = 0.8; // Tone down very bright colors
+    // Ensure lightness is in readable range (not too dark, not too bright)
+    if (nLum < 0.6) {
+      nLum = 0.74; // Brighten dark colors
+    } else if (nLum < 0.76) {
+      nLum = 0.76; // Slight boost for mid-range
+    } else if (nLum > 0.9) {
+      nLum = 0.86; // Tone down very bright colors
     }
   }
 
-  // Apply optional vibrancy boost (35% saturation increase)
-  if (boostVibrancy) {
-    nSat = Math.max(0, Math.min(1, nSat + 0.35));
-  }
-
-  return ExColor.hsl2rgb([nHue, nSat, nLum, a]);
+  const [r, g, b] = ExColor.oklch2rgb([nLum, nChroma, h]);
+  return [r, g, b, rgb[3] ?? 255];
 }
 
 const MAX_CACHE_SIZE = 100; // Prevent memory issues with many characters
@@ -287,7 +907,7 @@ function enforceCacheLimit() {
 /**
  * Adds an entry to the cache with size enforcement
  * @param {string} key
- * @param {ExColor} value
+ * @param {ExColor | ExColor[]} value
  */
 function addToCache(key, value) {
   avatarColorCache[key] = value;
@@ -295,6 +915,69 @@ function addToCache(key, value) {
   enforceCacheLimit();
 }
 
+/**
+ * Gets the cache key of a color extracted from a character's avatar. Keys start with `type|uid|`
+ * and include every setting that affects the extracted color.
+ *
+ * @param {STCharacter} stChar
+ * @param {"solid" | "gradient"} variant The kind of color cached.
+ * @param {number[]} background
+ * @param {ContrastTargetType} contrastTarget
+ * @returns {string}
+ */
+function getAvatarColorCacheKey(stChar, variant, background, contrastTarget) {
+  const colorSettings = getSettingsForChar(stChar);
+  return [
+    stChar.type,
+    stChar.uid,
+    variant,
+    getColorAdjustmentsKey(getAdjustmentsForChar(stChar)),
+    getExtractionOptionsKey(getExtractionOptions(colorSettings)),
+    ExColor.rgb2hex(background),
+    contrastTarget,
+  ].join("|");
+}
+
+/**
+ * Gets the adjustments applied to a character's avatar colors: the ones of its type plus its own.
+ *
+ * @param {STCharacter} stChar
+ * @returns {import("./color-adjustments.js").ColorAdjustments}
+ */
+function getAdjustmentsForChar(stChar) {
+  const colorSettings = getSettingsForChar(stChar);
+  return combineColorAdjustments(
+    colorSettings.adjustments,
+    colorSettings.characterAdjustments?.[stChar.avatarName]
+  );
+}
+
+/**
+ * Gets the contrast target of a character: its own if it has one, otherwise the global one.
+ *
+ * @param {STCharacter} stChar
+ * @returns {ContrastTargetType}
+ */
+function getContrastTargetForChar(stChar) {
+  const ownTarget =
+    getSettingsForChar(stChar).characterAdjustments?.[stChar.avatarName]
+      ?.contrastTarget;
+  return ownTarget in CONTRAST_TARGETS ? ownTarget : getContrastTarget();
+}
+
+/**
+ * Gets which part of the avatars to extract colors from.
+ *
+ * @param {typeof defaultCharColorSettings} colorSettings
+ * @returns {import("./focus-region.js").ExtractionOptions}
+ */
+function getExtractionOptions(colorSettings) {
+  return {
+    mode: colorSettings.extractionMode ?? ExtractionModeType.FULL,
+    alphaAware: colorSettings.alphaAwareExtraction || false,
+  };
+}
+
 /**
  * Clears the cache for a specific character type only
  * @param {CharacterType} charType
@@ -322,86 +1005,604 @@ function clearCacheForCharacter(stChar) {
 }
 
 /**
- * Gets the dialogue color for a character using smart color extraction.
+ * Gets the colorize source that applies to a character, taking per-character overrides into account.
  *
  * @param {STCharacter} stChar
- * @returns {Promise<ExColor?>}
+ * @returns {ColorizeSourceType}
  */
-async function getCharacterDialogueColor(stChar) {
+function getColorizeSourceForChar(stChar) {
   const colorSettings = getSettingsForChar(stChar);
-  const colorizeSource = Object.keys(colorSettings.colorOverrides).includes(
-    stChar.avatarName
-  )
-    ? ColorizeSourceType.CHAR_COLOR_OVERRIDE
-    : colorSettings.colorizeSource;
-
-  switch (colorizeSource) {
-    case ColorizeSourceType.AVATAR_SMART: {
-      const isLight = isLightTheme();
-      // Create cache key that includes character type, vibrancy boost setting, and theme
-      const cacheKey = `${stChar.type}|${stChar.uid}|${
-        colorSettings.boostVibrancy ? "boosted" : "normal"
-      }|${isLight ? "light" : "dark"}`;
-
-      // Check cache first
-      if (avatarColorCache[cacheKey]) {
-        return avatarColorCache[cacheKey];
-      }
-
-      try {
-        const avatar = stChar.getAvatarImageThumbnail();
-        const colorRgb = await getSmartAvatarColor(avatar);
-        const betterContrastRgb = colorRgb
-          ? makeBetterContrast(
-              colorRgb,
-              colorSettings.boostVibrancy || false,
-              isLight
-            )
-          : DEFAULT_STATIC_DIALOGUE_COLOR_RGB;
-        const exColor = ExColor.fromRgb(betterContrastRgb);
-
-        // Cache the result with size enforcement
-        addToCache(cacheKey, exColor);
-        return exColor;
-      } catch (error) {
-        console.warn(
-          `[SDC] Failed to extract color from avatar for ${stChar.uid}:`,
-          error
-        );
-        // Return default color on error
-        const exColor = ExColor.fromRgb(DEFAULT_STATIC_DIALOGUE_COLOR_RGB);
-        addToCache(cacheKey, exColor); // Cache the fallback too
-        return exColor;
-      }
-    }
-    case ColorizeSourceType.STATIC_COLOR: {
-      return ExColor.fromHex(colorSettings.staticColor);
-    }
-    case ColorizeSourceType.CHAR_COLOR_OVERRIDE: {
-      const overrideColor = colorSettings.colorOverrides[stChar.avatarName];
-      return overrideColor ? ExColor.fromHex(overrideColor) : null;
-    }
-    case ColorizeSourceType.DISABLED:
-    default:
-      return null;
+  if (getOverrideColorForChar(stChar)) {
+    return ColorizeSourceType.CHAR_COLOR_OVERRIDE;
+  }
+  if (colorSettings.gradientOverrides?.[stChar.avatarName]) {
+    return ColorizeSourceType.AVATAR_GRADIENT;
   }
+  return colorSettings.colorizeSource;
 }
 
 /**
+ * Gets the color extracted from a character's avatar, before the readability adjustments and the
+ * color adjustments are applied.
  *
- * @param {string} textboxValue
- * @param {any} defaultValue
- * @returns {string | null}
+ * @param {STCharacter} stChar
+ * @returns {Promise<ExColor?>} The color, or `null` if the character's color doesn't come from its avatar
+ * or the extraction failed.
  */
-function getTextValidHexOrDefault(textboxValue, defaultValue) {
-  const trimmed = textboxValue.trim();
-  if (!ExColor.isValidHexString(trimmed)) return defaultValue;
+async function getRawAvatarColor(stChar) {
+  const colorizeSource = getColorizeSourceForChar(stChar);
+  if (
+    colorizeSource !== ColorizeSourceType.AVATAR_SMART &&
+    colorizeSource !== ColorizeSourceType.AVATAR_GRADIENT
+  ) {
+    return null;
+  }
 
-  return ExColor.getHexWithHash(trimmed);
+  try {
+    // The swatches are cached, so this doesn't extract the avatar again
+    const colorRgb = await getSmartAvatarColor(
+      stChar.getAvatarImageThumbnail(),
+      getExtractionOptions(getSettingsForChar(stChar))
+    );
+    return colorRgb ? ExColor.fromRgb(colorRgb) : null;
+  } catch (error) {
+    if (error instanceof ExtractionCancelledError) throw error;
+    return null;
+  }
 }
 
 /**
- * Adds author UID attribute to a message element.
+ * Gets the override color of a character. An override for the current chat wins; otherwise
+ * the local override and the color embedded in the card are chosen between according to the
+ * card color precedence setting. By default the card wins, giving the chain chat → card → global,
+ * and the color source is used if none of them has a color.
+ *
+ * @param {STCharacter} stChar
+ * @returns {string?} The hex color, or `null` if the character has no override.
+ */
+function getOverrideColorForChar(stChar) {
+  const colorSettings = getSettingsForChar(stChar);
+  return (
+    getChatColorOverride(stChar) ??
+    pickOverrideColor(
+      colorSettings.colorOverrides[stChar.avatarName],
+      getCardColor(stChar),
+      extSettings.cardColorPrecedence ?? CardColorPrecedenceType.CARD_FIRST
+    )
+  );
+}
+
+/**
+ * Gets the override stored for a character in one scope, regardless of whether it is the one in effect.
+ *
+ * @param {STCharacter} stChar
+ * @param {OverrideScope} scope
+ * @returns {string?}
+ */
+function getStoredColorOverride(stChar, scope) {
+  if (scope === OverrideScope.CHAT) {
+    return getChatColorOverride(stChar);
+  }
+  return getSettingsForChar(stChar).colorOverrides[stChar.avatarName] ?? null;
+}
+
+/**
+ * Runs a color extracted from an avatar through the readability pipeline:
+ * the basic contrast adjustment, the user's adjustments, then the contrast target
+ * (which wins if an adjustment made the color unreadable).
+ *
+ * @param {import("./ExColor.js").ColorArray} rgb
+ * @param {import("./color-adjustments.js").ColorAdjustments} adjustments
+ * @param {number[]} background
+ * @param {ContrastTargetType} contrastTarget
+ * @returns {ExColor}
+ */
+function makeReadableAvatarColor(rgb, adjustments, background, contrastTarget) {
+  const betterContrastRgb = makeBetterContrast(
+    rgb,
+    isLightBackground(background)
+  );
+  const { rgb: readableRgb } = ensureContrast(
+    applyColorAdjustments(betterContrastRgb, adjustments),
+    background,
+    contrastTarget
+  );
+  return ExColor.fromRgb(readableRgb);
+}
+
+/**
+ * Gets the other readable colors an avatar could provide, in order of preference.
+ *
+ * @param {STCharacter} stChar
+ * @param {number[]} background
+ * @param {ContrastTargetType} contrastTarget
+ * @returns {Promise<ExColor[]>}
+ */
+async function getAlternateAvatarColors(stChar, background, contrastTarget) {
+  try {
+    const colorSettings = getSettingsForChar(stChar);
+    const candidates = await getAvatarColorCandidates(
+      stChar.getAvatarImageThumbnail(),
+      getExtractionOptions(colorSettings)
+    );
+    const adjustments = getAdjustmentsForChar(stChar);
+    return candidates.map((rgb) =>
+      makeReadableAvatarColor(rgb, adjustments, background, contrastTarget)
+    );
+  } catch (error) {
+    if (error instanceof ExtractionCancelledError) throw error;
+    console.warn(
+      `[SDC] Failed to get alternate avatar colors for ${stChar.uid}:`,
+      error
+    );
+    return [];
+  }
+}
+
+/**
+ * Resolves the colors of the current group chat's members with {@linkcode resolveGroupColors},
+ * if group colors are kept distinct.
+ *
+ * @param {STCharacter[]} characterList
+ * @param {number[]=} background
+ * @returns {Promise<Map<string, ExColor?>?>} The resolved colors, or `null` if they're resolved one by one.
+ */
+async function getGroupColorsIfDistinct(characterList, background) {
+  return isInGroupChat() &&
+    (extSettings.distinctGroupColors || getColorBlindSafeDeficiency()) &&
+    characterList.length > 1
+    ? await resolveGroupColors(characterList, background)
+    : null;
+}
+
+/**
+ * Resolves the colors of all characters in a group chat together, nudging colliding colors apart
+ * so that every member stays distinguishable. The current persona takes part as a fixed color, and
+ * colors that don't come from avatars (overrides, static colors) are never changed.
+ *
+ * @param {STCharacter[]} characterList
+ * @param {number[]=} background The background the colors are made readable on. Defaults to the chat background.
+ * @returns {Promise<Map<string, ExColor?>>} The resolved color of each character, keyed by UID.
+ */
+async function resolveGroupColors(
+  characterList,
+  background = getChatBackgroundColor()
+) {
+  /** @type {Map<string, ExColor?>} */
+  const resolvedColors = new Map();
+
+  /** @type {import("./group-palette.js").PaletteEntry[]} */
+  const entries = [];
+  const persona = getCurrentPersona();
+  const personaColor = await getCharacterDialogueColor(persona, background);
+  if (personaColor) {
+    entries.push({ uid: persona.uid, color: personaColor, fixed: true });
+  }
+
+  for (const stChar of characterList) {
+    const color = await getCharacterDialogueColor(stChar, background);
+    resolvedColors.set(stChar.uid, color);
+    if (!color) continue;
+
+    const isAvatarColor =
+      getColorizeSourceForChar(stChar) === ColorizeSourceType.AVATAR_SMART;
+    const alternates = isAvatarColor
+      ? (
+          await getAlternateAvatarColors(
+            stChar,
+            background,
+            getContrastTargetForChar(stChar)
+          )
+        )
+          .filter((alternate) => alternate.toHex() !== color.toHex())
+      : [];
+    entries.push({ uid: stChar.uid, color, fixed: !isAvatarColor, alternates });
+  }
+
+  const safeDeficiency = getColorBlindSafeDeficiency();
+  const distinctColors = resolveDistinctPalette(entries, {
+    minDistance: extSettings.groupColorMinDistance,
+    // In color-blind safe mode, colors must differ as seen with the deficiency
+    distance: safeDeficiency
+      ? createColorVisionDistance(safeDeficiency)
+      : undefined,
+    // Hue-shifted colors are already readable, they only need their contrast re-checked
+    prepareColor: (color, uid) => {
+      const { r, g, b } = color.toRgb();
+      const stChar = characterList.find((char) => char.uid === uid);
+      const contrastTarget = stChar
+        ? getContrastTargetForChar(stChar)
+        : getContrastTarget();
+      return ExColor.fromRgb(
+        ensureContrast([r, g, b], background, contrastTarget).rgb
+      );
+    },
+  });
+  for (const stChar of characterList) {
+    if (distinctColors.has(stChar.uid)) {
+      resolvedColors.set(stChar.uid, distinctColors.get(stChar.uid));
+    }
+  }
+
+  return resolvedColors;
+}
+
+/**
+ * Gets the deficiency group colors must stay distinguishable for.
+ *
+ * @returns {ColorVisionDeficiency?} The deficiency, or `null` if color-blind safe mode is off.
+ */
+function getColorBlindSafeDeficiency() {
+  const deficiency =
+    extSettings.colorVisionDeficiency ?? ColorVisionDeficiency.NONE;
+  return extSettings.colorBlindSafeGroups &&
+    deficiency !== ColorVisionDeficiency.NONE
+    ? deficiency
+    : null;
+}
+
+/**
+ * Gets the two stops of a character's dialogue gradient. Per-character stops are used as they are;
+ * stops extracted from the avatar go through the same readability adjustments as solid avatar colors.
+ *
+ * @param {STCharacter} stChar
+ * @param {number[]=} background The background the stops are made readable on. Defaults to the chat background.
+ * @returns {Promise<[ExColor, ExColor]?>} The stops, or `null` if the character isn't colored with a gradient.
+ */
+async function getCharacterGradientStops(
+  stChar,
+  background = getChatBackgroundColor()
+) {
+  if (getColorizeSourceForChar(stChar) !== ColorizeSourceType.AVATAR_GRADIENT) {
+    return null;
+  }
+
+  const colorSettings = getSettingsForChar(stChar);
+  const overrideStops = colorSettings.gradientOverrides?.[stChar.avatarName];
+  if (overrideStops) {
+    return [ExColor.fromHex(overrideStops[0]), ExColor.fromHex(overrideStops[1])];
+  }
+
+  const contrastTarget = getContrastTargetForChar(stChar);
+  const cacheKey = getAvatarColorCacheKey(
+    stChar,
+    "gradient",
+    background,
+    contrastTarget
+  );
+
+  if (avatarColorCache[cacheKey]) {
+    return avatarColorCache[cacheKey];
+  }
+
+  try {
+    const stopsRgb = await getAvatarGradientColors(
+      stChar.getAvatarImageThumbnail(),
+      getExtractionOptions(colorSettings)
+    );
+    const stops = /** @type {[ExColor, ExColor]} */ (
+      (
+        stopsRgb ?? [
+          DEFAULT_STATIC_DIALOGUE_COLOR_RGB,
+          DEFAULT_STATIC_DIALOGUE_COLOR_RGB,
+        ]
+      ).map((rgb) =>
+        makeReadableAvatarColor(
+          rgb,
+          getAdjustmentsForChar(stChar),
+          background,
+          contrastTarget
+        )
+      )
+    );
+    addToCache(cacheKey, stops);
+    return stops;
+  } catch (error) {
+    // Not a failure; the chat changed and the colors are no longer needed
+    if (error instanceof ExtractionCancelledError) throw error;
+    console.warn(
+      `[SDC] Failed to extract gradient colors from avatar for ${stChar.uid}:`,
+      error
+    );
+    const fallback = ExColor.fromRgb(DEFAULT_STATIC_DIALOGUE_COLOR_RGB);
+    /** @type {[ExColor, ExColor]} */
+    const stops = [fallback, fallback];
+    addToCache(cacheKey, stops);
+    return stops;
+  }
+}
+
+/**
+ * Gets the dialogue color for a character using smart color extraction.
+ *
+ * @param {STCharacter} stChar
+ * @param {number[]=} background The background the color is made readable on. Defaults to the chat background.
+ * @returns {Promise<ExColor?>}
+ */
+async function getCharacterDialogueColor(
+  stChar,
+  background = getChatBackgroundColor()
+) {
+  const colorSettings = getSettingsForChar(stChar);
+  const colorizeSource = getColorizeSourceForChar(stChar);
+
+  switch (colorizeSource) {
+    case ColorizeSourceType.AVATAR_SMART: {
+      const contrastTarget = getContrastTargetForChar(stChar);
+      const cacheKey = getAvatarColorCacheKey(
+        stChar,
+        "solid",
+        background,
+        contrastTarget
+      );
+
+      // Check cache first
+      if (avatarColorCache[cacheKey]) {
+        return avatarColorCache[cacheKey];
+      }
+
+      try {
+        const avatar = stChar.getAvatarImageThumbnail();
+        const colorRgb = await getSmartAvatarColor(
+          avatar,
+          getExtractionOptions(colorSettings)
+        );
+        const exColor = colorRgb
+          ? makeReadableAvatarColor(
+              colorRgb,
+              getAdjustmentsForChar(stChar),
+              background,
+              contrastTarget
+            )
+          : ExColor.fromRgb(
+              ensureContrast(
+                DEFAULT_STATIC_DIALOGUE_COLOR_RGB,
+                background,
+                contrastTarget
+              ).rgb
+            );
+
+        // Cache the result with size enforcement
+        addToCache(cacheKey, exColor);
+        return exColor;
+      } catch (error) {
+        // Not a failure; the chat changed and the color is no longer needed
+        if (error instanceof ExtractionCancelledError) throw error;
+        console.warn(
+          `[SDC] Failed to extract color from avatar for ${stChar.uid}:`,
+          error
+        );
+        // Return default color on error
+        const exColor = ExColor.fromRgb(DEFAULT_STATIC_DIALOGUE_COLOR_RGB);
+        addToCache(cacheKey, exColor); // Cache the fallback too
+        return exColor;
+      }
+    }
+    case ColorizeSourceType.AVATAR_GRADIENT: {
+      // The first stop doubles as the solid color (name coloring, text roles, fallback)
+      const stops = await getCharacterGradientStops(stChar, background);
+      return stops ? stops[0] : null;
+    }
+    case ColorizeSourceType.STATIC_COLOR: {
+      return ExColor.fromHex(colorSettings.staticColor);
+    }
+    case ColorizeSourceType.CHAR_COLOR_OVERRIDE: {
+      const overrideColor = getOverrideColorForChar(stChar);
+      return overrideColor ? ExColor.fromHex(overrideColor) : null;
+    }
+    case ColorizeSourceType.DISABLED:
+    default:
+      return null;
+  }
+}
+
+/**
+ * Applies the chat's mood (see {@linkcode getChatMood}) to a resolved color, then makes it readable again.
+ * This is the last stage of resolving a color; the stored colors and overrides aren't changed.
+ *
+ * @param {ExColor?} color
+ * @param {number[]} background
+ * @param {ContrastTargetType} contrastTarget
+ * @returns {ExColor?}
+ */
+function applyChatMood(color, background, contrastTarget) {
+  const mood = getChatMood();
+  if (!color || mood === MoodType.NONE) return color;
+
+  const { r, g, b } = color.toRgb();
+  const moodRgb = applyMoodTransform([r, g, b], mood);
+  return ExColor.fromRgb(
+    ensureContrast(moodRgb, background, contrastTarget).rgb
+  );
+}
+
+/**
+ *
+ * @param {string} textboxValue
+ * @param {any} defaultValue
+ * @returns {string | null}
+ */
+function getTextValidHexOrDefault(textboxValue, defaultValue) {
+  const trimmed = textboxValue.trim();
+  if (!ExColor.isValidHexString(trimmed)) return defaultValue;
+
+  return ExColor.getHexWithHash(trimmed);
+}
+
+/**
+ * Sets or clears the color override for a character or persona and refreshes its colors.
+ *
+ * @param {STCharacter} stChar
+ * @param {string?} colorValue A hex color string, or an empty string/`null` to clear the override.
+ * @param {OverrideScope=} scope Whether to change the override of every chat or of the current chat only.
+ * @throws {Error} If `scope` is the chat and no chat is open.
+ */
+export function setCharacterColorOverride(
+  stChar,
+  colorValue,
+  scope = OverrideScope.GLOBAL
+) {
+  if (scope === OverrideScope.CHAT) {
+    setChatColorOverride(stChar, colorValue || null);
+  } else {
+    const colorSettings = getSettingsForChar(stChar);
+    if (colorValue && colorValue.length > 0) {
+      colorSettings.colorOverrides[stChar.avatarName] = colorValue;
+    } else {
+      delete colorSettings.colorOverrides[stChar.avatarName];
+    }
+  }
+
+  // Clear cache when override changes
+  clearCacheForCharacter(stChar);
+
+  if (stChar.type === CharacterType.PERSONA) {
+    onPersonaSettingsUpdated();
+    return;
+  }
+
+  // Cards travel with the character, so only colors meant for every chat are saved to them
+  if (extSettings.saveOverridesToCards && scope === OverrideScope.GLOBAL) {
+    writeCardColor(stChar, colorValue || null)
+      .then(() => onCharacterSettingsUpdated())
+      .catch((error) => {
+        console.error(
+          `[SDC] Failed to save the color to the card of ${stChar.uid}:`,
+          error
+        );
+        toastr.error(
+          "Couldn't save the color to the character card.",
+          "Dialogue Colorizer"
+        );
+      });
+  }
+  onCharacterSettingsUpdated();
+}
+
+/**
+ * Sets or clears the per-character gradient stops of a character or persona and refreshes its colors.
+ *
+ * @param {STCharacter} stChar
+ * @param {string[]?} stops Two hex colors, or `null` to clear the gradient.
+ */
+export function setCharacterGradientOverride(stChar, stops) {
+  const colorSettings = getSettingsForChar(stChar);
+  colorSettings.gradientOverrides ??= {};
+
+  if (stops) {
+    colorSettings.gradientOverrides[stChar.avatarName] = [stops[0], stops[1]];
+  } else {
+    delete colorSettings.gradientOverrides[stChar.avatarName];
+  }
+
+  clearCacheForCharacter(stChar);
+
+  if (stChar.type === CharacterType.PERSONA) {
+    onPersonaSettingsUpdated();
+  } else {
+    onCharacterSettingsUpdated();
+  }
+}
+
+/**
+ * Sets or removes a character's own color adjustments (added to the adjustments of its type).
+ *
+ * @param {STCharacter} stChar
+ * @param {import("./color-adjustments.js").CharacterAdjustments?} adjustments `null` or empty to remove them.
+ */
+export function setCharacterAdjustments(stChar, adjustments) {
+  const colorSettings = getSettingsForChar(stChar);
+  colorSettings.characterAdjustments ??= {};
+
+  const sanitized = sanitizeCharacterAdjustments(adjustments);
+  if (Object.keys(sanitized).length > 0) {
+    colorSettings.characterAdjustments[stChar.avatarName] = sanitized;
+  } else {
+    delete colorSettings.characterAdjustments[stChar.avatarName];
+  }
+
+  if (stChar.type === CharacterType.PERSONA) {
+    onPersonaSettingsUpdated();
+  } else {
+    onCharacterSettingsUpdated();
+  }
+}
+
+/**
+ * Sets the colorize source for a character type and refreshes the settings UI and colors.
+ *
+ * @param {CharacterType} charType
+ * @param {ColorizeSourceType} colorizeSource
+ */
+export function setColorizeSource(charType, colorizeSource) {
+  const dropdownId =
+    charType === CharacterType.PERSONA
+      ? "sdc-persona_colorize_source"
+      : "sdc-char_colorize_source";
+  const dropdown = document.getElementById(dropdownId);
+  if (dropdown) {
+    // The dropdown's change handler updates the settings and refreshes colors.
+    $(dropdown).prop("value", colorizeSource).trigger("change");
+    return;
+  }
+
+  getSettingsForChar(charType).colorizeSource = colorizeSource;
+  if (charType === CharacterType.PERSONA) {
+    onPersonaSettingsUpdated();
+  } else {
+    onCharacterSettingsUpdated();
+  }
+}
+
+/**
+ * Gets the color a character's dialogue is currently shown in. This includes adjustments that
+ * depend on the chat (e.g. group palette nudging), so it may differ from {@linkcode getCharacterDialogueColor}.
+ *
+ * @param {STCharacter} stChar
+ * @returns {Promise<ExColor?>}
+ */
+export async function getResolvedDialogueColor(stChar) {
+  if (!isStyledAuthor(stChar)) {
+    // The color recorded for a character outside the chat may be from another chat or older settings
+    return resolveUnstyledDialogueColor(stChar);
+  }
+  if (staleDialogueColors.has(stChar.uid)) {
+    await updateStyleSheetForType(stChar.type);
+  }
+  if (resolvedDialogueColors.has(stChar.uid)) {
+    return resolvedDialogueColors.get(stChar.uid).color;
+  }
+  const background = getChatBackgroundColor();
+  return applyChatMood(
+    await getCharacterDialogueColor(stChar, background),
+    background,
+    getContrastTargetForChar(stChar)
+  );
+}
+
+/**
+ * Refreshes the override widget if it is currently showing the given character or persona.
+ *
+ * @param {STCharacter} stChar
+ */
+export function refreshColorOverrideUI(stChar) {
+  if (stChar.type === CharacterType.PERSONA) {
+    if (getCurrentPersona().avatarName === stChar.avatarName) {
+      onPersonaChanged(stChar);
+    }
+    return;
+  }
+
+  const editedAvatar = document
+    .getElementById("avatar_url_pole")
+    ?.getAttribute("value");
+  if (editedAvatar === stChar.avatarName) {
+    onCharacterChanged(stChar);
+  }
+}
+
+/**
+ * Adds author UID attribute to a message element.
  *
  * @param {HTMLElement} message
  */
@@ -448,72 +1649,696 @@ const schedulePersonaSettingsRefresh = debounce(async () => {
   saveSettingsDebounced();
 }, 120);
 
+const scheduleSystemSettingsRefresh = debounce(async () => {
+  await updateSystemStyleSheet();
+  saveSettingsDebounced();
+}, 120);
+
 const scheduleAllSettingsRefresh = debounce(async () => {
   await updateCharactersStyleSheet();
   await updatePersonasStyleSheet();
+  await updateSystemStyleSheet();
   saveSettingsDebounced();
 }, 120);
 
 function onCharacterSettingsUpdated() {
+  invalidateResolvedDialogueColors(CharacterType.CHARACTER);
   scheduleCharacterSettingsRefresh();
 }
 
 function onPersonaSettingsUpdated() {
+  invalidateResolvedDialogueColors(CharacterType.PERSONA);
   schedulePersonaSettingsRefresh();
 }
 
+function onSystemSettingsUpdated() {
+  invalidateResolvedDialogueColors(CharacterType.SYSTEM);
+  scheduleSystemSettingsRefresh();
+}
+
 function onAnySettingsUpdated() {
+  invalidateResolvedDialogueColors();
   scheduleAllSettingsRefresh();
 }
 
-/**
- *
- * @param {STCharacter} char
- */
-function onCharacterChanged(char) {
-  const colorOverride = document.getElementById("sdc-char_color_override");
-  if (!colorOverride) return;
-  const newValue = extSettings.charColorSettings.colorOverrides[char.avatarName];
-  // Prefer the custom override UI setter if present; fall back to legacy input combo behavior.
-  const setter = /** @type {any} */ (colorOverride).__sdcSetColorOverrideValue;
-  if (typeof setter === "function") {
-    setter(newValue);
-    return;
+/**
+ * Refreshes the achieved contrast readout in the settings drawer for the
+ * characters in the current chat and the current persona.
+ */
+function updateContrastStatusUI() {
+  updateColorVisionPreviewUI();
+  schedulePreviewUpdate();
+
+  const statusElem = document.getElementById("sdc-contrast_status");
+  if (!statusElem) return;
+
+  statusElem.replaceChildren();
+  for (const stChar of getShownCharacters()) {
+    const achieved = achievedContrast.get(stChar.uid);
+    if (achieved === undefined) continue;
+
+    const contrastTarget = getContrastTargetForChar(stChar);
+    const targetDef = CONTRAST_TARGETS[contrastTarget];
+
+    const row = document.createElement("div");
+    const meetsTarget = !targetDef.metric || achieved >= targetDef.value;
+    const icon = document.createElement("i");
+    icon.className = meetsTarget
+      ? "fa-solid fa-circle-check margin5"
+      : "fa-solid fa-triangle-exclamation margin5";
+    icon.title = meetsTarget
+      ? "Meets the contrast target."
+      : "Below the contrast target (manual colors are not adjusted).";
+    row.appendChild(icon);
+    row.append(
+      `${stChar.displayName}: ${formatContrast(achieved, contrastTarget)}`
+    );
+    statusElem.appendChild(row);
+  }
+}
+
+/**
+ * Gets the characters whose colors the current chat shows: its members and the current persona.
+ *
+ * @returns {STCharacter[]}
+ */
+function getShownCharacters() {
+  /** @type {STCharacter[]} */
+  const shownChars = [];
+  if (isInGroupChat()) {
+    shownChars.push(...(getCurrentGroupCharacters() ?? []));
+  } else if (isInCharacterChat()) {
+    shownChars.push(getCurrentCharacter());
+  }
+  shownChars.push(getCurrentPersona());
+  return shownChars;
+}
+
+/**
+ * Shows the current chat's colors next to how they look with the selected color vision deficiency,
+ * and lists the pairs that become hard to tell apart.
+ */
+function updateColorVisionPreviewUI() {
+  const previewElem = document.getElementById("sdc-color_vision_preview");
+  if (!previewElem) return;
+
+  previewElem.replaceChildren();
+  const deficiency =
+    extSettings.colorVisionDeficiency ?? ColorVisionDeficiency.NONE;
+  if (deficiency === ColorVisionDeficiency.NONE) return;
+
+  /** @type {{ name: string, rgb: number[], simulatedRgb: number[] }[]} */
+  const shownColors = [];
+  for (const stChar of getShownCharacters()) {
+    const color = resolvedDialogueColors.get(stChar.uid)?.color;
+    if (!color) continue;
+
+    const { r, g, b } = color.toRgb();
+    shownColors.push({
+      name: stChar.displayName,
+      rgb: [r, g, b],
+      simulatedRgb: simulateColorVision([r, g, b], deficiency),
+    });
+  }
+
+  for (const { name, rgb, simulatedRgb } of shownColors) {
+    const row = document.createElement("div");
+    row.className = "sdc-color-vision-row";
+    for (const swatchRgb of [rgb, simulatedRgb]) {
+      const swatch = document.createElement("span");
+      swatch.className = "sdc-color-vision-swatch";
+      swatch.style.backgroundColor = `#${ExColor.rgb2hex(swatchRgb)}`;
+      row.appendChild(swatch);
+    }
+    row.append(name);
+    previewElem.appendChild(row);
+  }
+
+  /** @type {string[]} */
+  const confusedPairs = [];
+  shownColors.forEach((colorA, i) => {
+    for (const colorB of shownColors.slice(i + 1)) {
+      const distance = ExColor.deltaEOK(
+        colorA.simulatedRgb,
+        colorB.simulatedRgb
+      );
+      if (distance < extSettings.groupColorMinDistance) {
+        confusedPairs.push(`${colorA.name} & ${colorB.name}`);
+      }
+    }
+  });
+  if (confusedPairs.length > 0) {
+    const warning = document.createElement("div");
+    const icon = document.createElement("i");
+    icon.className = "fa-solid fa-triangle-exclamation margin5";
+    warning.appendChild(icon);
+    warning.append(`Hard to tell apart: ${confusedPairs.join(", ")}`);
+    previewElem.appendChild(warning);
+  }
+}
+
+/** The backgrounds the settings preview shows the colors on. */
+const PREVIEW_BACKGROUNDS = {
+  dark: { label: "Dark theme", rgb: [23, 23, 23] },
+  light: { label: "Light theme", rgb: [245, 245, 245] },
+};
+
+/** The text of the preview messages, with one element for every text role. */
+const PREVIEW_MESSAGE_HTML =
+  '<em>Leans closer.</em> <q>"Did you hear that?"</q> <code>Something is off.</code> <strong>CRASH!</strong>';
+
+/** Incremented by every preview update, so a slow update doesn't overwrite a newer one. */
+let previewGeneration = 0;
+
+/**
+ * Renders sample messages of the current chat's characters and persona in the settings drawer,
+ * styled with the same rules as the chat but with colors made readable on a dark and a light theme.
+ */
+async function updatePreviewUI() {
+  const previewElem = document.getElementById("sdc-preview");
+  if (!previewElem) return;
+
+  const generation = ++previewGeneration;
+  const shownChars = getShownCharacters();
+  const members = shownChars.filter(
+    (stChar) => stChar.type !== CharacterType.PERSONA
+  );
+
+  let stylesHtml = "";
+  /** @type {HTMLDivElement[]} */
+  const panes = [];
+  try {
+    for (const [theme, { label, rgb }] of Object.entries(PREVIEW_BACKGROUNDS)) {
+      const groupColors = await getGroupColorsIfDistinct(members, rgb);
+
+      const pane = document.createElement("div");
+      pane.className = `sdc-preview-pane sdc-preview-${theme}`;
+      pane.style.backgroundColor = `#${ExColor.rgb2hex(rgb)}`;
+      const paneLabel = document.createElement("div");
+      paneLabel.className = "sdc-preview-pane-label";
+      paneLabel.textContent = label;
+      pane.appendChild(paneLabel);
+
+      for (const stChar of shownChars) {
+        const color = groupColors?.has(stChar.uid)
+          ? groupColors.get(stChar.uid)
+          : await getCharacterDialogueColor(stChar, rgb);
+        stylesHtml += await getCharStyleString(stChar, color, {
+          background: rgb,
+          messageSelector: `#sdc-preview .sdc-preview-${theme} .sdc-preview-mes[sdc-author_uid="${stChar.uid}"]`,
+        });
+        // The style applies the chat's mood on its own; the label shows the color it ends up with
+        pane.appendChild(
+          createPreviewMessage(
+            stChar,
+            applyChatMood(color, rgb, getContrastTargetForChar(stChar))
+          )
+        );
+      }
+      panes.push(pane);
+    }
+  } catch (error) {
+    // The chat changed while extracting; its update replaces this one
+    if (error instanceof ExtractionCancelledError) return;
+    throw error;
+  }
+
+  if (generation !== previewGeneration) return;
+  previewStyleSheet.innerHTML = stylesHtml;
+  previewElem.replaceChildren(...panes);
+}
+
+/**
+ * @param {STCharacter} stChar
+ * @param {ExColor?} color The character's resolved color, shown as hex.
+ * @returns {HTMLDivElement}
+ */
+function createPreviewMessage(stChar, color) {
+  const message = document.createElement("div");
+  message.className = "sdc-preview-mes";
+  message.setAttribute("sdc-author_uid", stChar.uid);
+
+  const avatar = document.createElement("img");
+  avatar.className = "sdc-preview-avatar";
+  avatar.src = stChar.avatarImageThumbnailFilePath;
+  avatar.alt = "";
+  message.appendChild(avatar);
+
+  const block = document.createElement("div");
+  block.className = "sdc-preview-block";
+
+  const header = document.createElement("div");
+  const name = document.createElement("span");
+  name.className = "name_text";
+  name.textContent = stChar.displayName;
+  header.appendChild(name);
+  const hex = document.createElement("span");
+  hex.className = "sdc-preview-hex";
+  hex.textContent = color ? `#${color.toHex()}` : "not colored";
+  header.appendChild(hex);
+  block.appendChild(header);
+
+  const text = document.createElement("div");
+  text.className = "mes_text";
+  text.innerHTML = PREVIEW_MESSAGE_HTML;
+  block.appendChild(text);
+
+  message.appendChild(block);
+  return message;
+}
+
+const schedulePreviewUpdate = debounce(updatePreviewUI, 300);
+
+/**
+ * Selects the scope an override widget shows for a character: the current chat if the character
+ * has an override there, everywhere otherwise.
+ *
+ * @param {HTMLElement} colorOverride The override widget.
+ * @param {STCharacter} stChar
+ * @returns {string?} The override stored in that scope.
+ */
+function showOverrideScopeFor(colorOverride, stChar) {
+  const scope = getChatColorOverride(stChar)
+    ? OverrideScope.CHAT
+    : OverrideScope.GLOBAL;
+  /** @type {any} */ (colorOverride).__sdcSetOverrideScope?.(scope);
+  return getStoredColorOverride(stChar, scope);
+}
+
+/**
+ *
+ * @param {STCharacter} char
+ */
+function onCharacterChanged(char) {
+  /** @type {any} */ (
+    document.getElementById("sdc-char_npc_roster")
+  )?.__sdcSetRoster?.(char);
+
+  const colorOverride = document.getElementById("sdc-char_color_override");
+  if (!colorOverride) return;
+  const newValue = showOverrideScopeFor(colorOverride, char);
+  /** @type {any} */ (colorOverride).__sdcSetGradientOverrideValue?.(
+    extSettings.charColorSettings.gradientOverrides?.[char.avatarName] ?? null
+  );
+  /** @type {any} */ (colorOverride).__sdcSetAdjustmentsValue?.(
+    extSettings.charColorSettings.characterAdjustments?.[char.avatarName] ??
+      null
+  );
+  // Prefer the custom override UI setter if present; fall back to legacy input combo behavior.
+  const setter = /** @type {any} */ (colorOverride).__sdcSetColorOverrideValue;
+  if (typeof setter === "function") {
+    setter(newValue);
+    return;
+  }
+  setInputColorPickerComboValue(colorOverride, newValue);
+}
+
+/**
+ *
+ * @param {STCharacter} persona
+ */
+function onPersonaChanged(persona) {
+  const colorOverride = document.getElementById("sdc-persona_color_override");
+  if (!colorOverride) return;
+  const newValue = showOverrideScopeFor(colorOverride, persona);
+  /** @type {any} */ (colorOverride).__sdcSetGradientOverrideValue?.(
+    extSettings.personaColorSettings.gradientOverrides?.[persona.avatarName] ??
+      null
+  );
+  /** @type {any} */ (colorOverride).__sdcSetAdjustmentsValue?.(
+    extSettings.personaColorSettings.characterAdjustments?.[
+      persona.avatarName
+    ] ?? null
+  );
+  // Prefer the custom override UI setter if present; fall back to legacy input combo behavior.
+  const setter = /** @type {any} */ (colorOverride).__sdcSetColorOverrideValue;
+  if (typeof setter === "function") {
+    setter(newValue);
+    return;
+  }
+  setInputColorPickerComboValue(colorOverride, newValue);
+}
+
+//#endregion Event Handlers
+
+//#region Initialization
+
+function initializeStyleSheets() {
+  charactersStyleSheet = createAndAppendStyleSheet("sdc-chars_style_sheet");
+  personasStyleSheet = createAndAppendStyleSheet("sdc-personas_style_sheet");
+  systemStyleSheet = createAndAppendStyleSheet("sdc-system_style_sheet");
+  speakersStyleSheet = createAndAppendStyleSheet("sdc-speakers_style_sheet");
+  previewStyleSheet = createAndAppendStyleSheet("sdc-preview_style_sheet");
+
+  function createAndAppendStyleSheet(id) {
+    const styleSheet = document.createElement("style");
+    styleSheet.id = id;
+    return document.body.appendChild(styleSheet);
+  }
+}
+
+/** The labels and help texts of the color adjustment sliders. */
+const COLOR_ADJUSTMENT_LABELS = {
+  hueShift: {
+    label: "Hue Shift",
+    description: "Rotates the hue of avatar colors, in degrees.",
+  },
+  saturation: {
+    label: "Saturation",
+    description:
+      "Makes avatar colors more (positive) or less (negative) colorful, in percent.",
+  },
+  lightness: {
+    label: "Lightness",
+    description:
+      "Makes avatar colors lighter or darker. The contrast target still applies, so colors stay readable.",
+  },
+};
+
+/**
+ * Creates the group of color adjustment sliders for a dialogue settings block.
+ *
+ * @param {string} idPrefix The prefix for the created slider IDs (e.g. `sdc-char`).
+ * @param {typeof defaultCharColorSettings} colorSettings The settings object the sliders write to.
+ * @param {() => void} onSettingsUpdated Called after a slider is moved.
+ * @returns {HTMLDivElement}
+ */
+function createAdjustmentSlidersGroup(idPrefix, colorSettings, onSettingsUpdated) {
+  const group = document.createElement("div");
+  group.className = "dc-adjustments-group";
+
+  const groupLabel = document.createElement("label");
+  groupLabel.textContent = "Avatar Color Adjustments";
+  groupLabel.title =
+    "Applied to every color extracted from an avatar (Avatar Smart and Avatar Gradient). Characters can add their own adjustments in the character editor.";
+  group.appendChild(groupLabel);
+
+  for (const [key, range] of Object.entries(COLOR_ADJUSTMENT_RANGES)) {
+    const slider = createSliderWithLabel(
+      `${idPrefix}_adjust_${key}`,
+      COLOR_ADJUSTMENT_LABELS[key].label,
+      COLOR_ADJUSTMENT_LABELS[key].description,
+      range.min,
+      range.max,
+      range.step,
+      sanitizeColorAdjustments(colorSettings.adjustments)[key],
+      (value) => {
+        colorSettings.adjustments = {
+          ...sanitizeColorAdjustments(colorSettings.adjustments),
+          [key]: value,
+        };
+        onSettingsUpdated();
+      }
+    );
+    group.appendChild(slider);
+  }
+
+  return group;
+}
+
+/**
+ * Creates the group of per-role checkboxes for a dialogue settings block.
+ *
+ * @param {string} idPrefix The prefix for the created checkbox IDs (e.g. `sdc-char`).
+ * @param {typeof defaultCharColorSettings} colorSettings The settings object the checkboxes write to.
+ * @param {() => void} onSettingsUpdated Called after a role is toggled.
+ * @returns {HTMLDivElement}
+ */
+function createTextRolesGroup(idPrefix, colorSettings, onSettingsUpdated) {
+  const group = document.createElement("div");
+  group.className = "dc-adjustments-group";
+
+  const groupLabel = document.createElement("label");
+  groupLabel.textContent = "Colored Text";
+  groupLabel.title =
+    "Which kinds of message text get a shade of the character color.";
+  group.appendChild(groupLabel);
+
+  for (const [role, roleDef] of Object.entries(TEXT_ROLES)) {
+    const checkbox = createCheckboxWithLabel(
+      `${idPrefix}_text_role_${role}`,
+      roleDef.label,
+      roleDef.description,
+      isTextRoleEnabled(colorSettings, role),
+      (checked) => {
+        colorSettings.textRoles = {
+          ...DEFAULT_TEXT_ROLES,
+          ...colorSettings.textRoles,
+          [role]: checked,
+        };
+        onSettingsUpdated();
+      }
+    );
+    group.appendChild(checkbox);
+  }
+
+  return group;
+}
+
+/** @type {Record<TargetMixColor, string>} */
+const TARGET_MIX_LABELS = {
+  [TargetMixColor.NONE]: "No mix",
+  [TargetMixColor.WHITE]: "Mix with white",
+  [TargetMixColor.BLACK]: "Mix with black",
+  [TargetMixColor.BACKGROUND]: "Mix with background",
+};
+
+/**
+ * Creates the editor of the custom target rules, which color more of each message than the dialogue.
+ *
+ * @param {string} id
+ * @returns {HTMLDivElement}
+ */
+function createTargetRulesEditor(id) {
+  const wrapper = document.createElement("div");
+  wrapper.id = id;
+  wrapper.className = "sdc-target-rules";
+
+  const rowsContainer = document.createElement("div");
+  rowsContainer.className = "sdc-target-rules-rows";
+
+  const buttonRow = document.createElement("div");
+  buttonRow.className = "flex-container alignItemsCenter";
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "menu_button menu_button_icon sdc-target-rules-add";
+  addBtn.innerHTML = '<i class="fa-solid fa-plus"></i><span>Add rule</span>';
+  addBtn.onclick = () => {
+    const row = createRuleRow({ ...DEFAULT_TARGET_RULE });
+    rowsContainer.appendChild(row);
+    /** @type {HTMLInputElement} */ (row.querySelector(".sdc-target-selector")).focus();
+    saveRules();
+  };
+
+  const presetSelect = document.createElement("select");
+  presetSelect.className = "sdc-target-preset";
+  presetSelect.title = "Adds a ready-made rule.";
+  presetSelect.innerHTML = `<option value="">Add preset…</option>`;
+  for (const [key, preset] of Object.entries(TARGET_RULE_PRESETS)) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = preset.label;
+    option.title = preset.description;
+    presetSelect.appendChild(option);
+  }
+  presetSelect.addEventListener("change", () => {
+    const preset = TARGET_RULE_PRESETS[presetSelect.value];
+    presetSelect.value = "";
+    if (!preset) return;
+    rowsContainer.appendChild(createRuleRow({ ...preset.rule }));
+    saveRules();
+  });
+
+  buttonRow.appendChild(addBtn);
+  buttonRow.appendChild(presetSelect);
+
+  /**
+   * @param {string} className
+   * @param {string} value
+   * @param {string} placeholder
+   * @param {string} title
+   * @returns {HTMLInputElement}
+   */
+  function createTextInput(className, value, placeholder, title) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = `text_pole ${className}`;
+    input.value = value;
+    input.placeholder = placeholder;
+    input.title = title;
+    input.addEventListener("change", saveRules);
+    return input;
+  }
+
+  /**
+   * @param {string} className
+   * @param {number} value
+   * @param {string} title
+   * @returns {HTMLInputElement}
+   */
+  function createPercentInput(className, value, title) {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.className = `text_pole ${className}`;
+    input.min = "0";
+    input.max = "100";
+    input.step = "5";
+    input.value = String(value);
+    input.title = title;
+    input.addEventListener("change", saveRules);
+    return input;
+  }
+
+  /**
+   * @param {import("./target-rules.js").TargetRule} rule
+   * @returns {HTMLDivElement}
+   */
+  function createRuleRow(rule) {
+    const row = document.createElement("div");
+    row.className = "sdc-target-rule";
+
+    const enabledCheckbox = document.createElement("input");
+    enabledCheckbox.type = "checkbox";
+    enabledCheckbox.className = "sdc-target-enabled";
+    enabledCheckbox.checked = rule.enabled;
+    enabledCheckbox.title = "Apply this rule.";
+    enabledCheckbox.addEventListener("change", saveRules);
+
+    const selectorInput = createTextInput(
+      "sdc-target-selector",
+      rule.selector,
+      "(the message itself)",
+      "The elements to color, relative to the message, e.g. '.mes_text em'. Leave empty to style the message itself."
+    );
+    const propertyInput = createTextInput(
+      "sdc-target-property",
+      rule.property,
+      "color",
+      "The CSS property to set, e.g. 'color' or 'border-left-color'."
+    );
+    const valueInput = createTextInput(
+      "sdc-target-value",
+      rule.value,
+      "{color}",
+      "The property's value; {color} is replaced by the character's color, e.g. '3px solid {color}'."
+    );
+    const opacityInput = createPercentInput(
+      "sdc-target-opacity",
+      rule.opacity,
+      "The color's opacity, in percent."
+    );
+
+    const mixSelect = document.createElement("select");
+    mixSelect.className = "sdc-target-mix";
+    mixSelect.title = "Blends the character's color with another color.";
+    for (const [mixColor, label] of Object.entries(TARGET_MIX_LABELS)) {
+      const option = document.createElement("option");
+      option.value = mixColor;
+      option.textContent = label;
+      mixSelect.appendChild(option);
+    }
+    mixSelect.value = rule.mixWith;
+    mixSelect.addEventListener("change", saveRules);
+
+    const mixAmountInput = createPercentInput(
+      "sdc-target-mix_amount",
+      rule.mixAmount,
+      "How much of the other color is mixed in, in percent."
+    );
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "menu_button menu_button_icon sdc-reset-btn";
+    removeBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+    removeBtn.title = "Remove this rule";
+    removeBtn.onclick = () => {
+      row.remove();
+      saveRules();
+    };
+
+    const targetLine = document.createElement("div");
+    targetLine.className = "sdc-target-rule-line";
+    targetLine.append(enabledCheckbox, selectorInput, propertyInput, removeBtn);
+
+    const valueLine = document.createElement("div");
+    valueLine.className = "sdc-target-rule-line";
+    valueLine.append(valueInput, opacityInput, mixSelect, mixAmountInput);
+
+    const errorLine = document.createElement("div");
+    errorLine.className = "sdc-target-rule-error";
+
+    row.append(targetLine, valueLine, errorLine);
+    showRuleErrors(row, rule);
+    return row;
+  }
+
+  /**
+   * Outlines the invalid fields of a row and shows why its rule isn't applied.
+   *
+   * @param {HTMLElement} row
+   * @param {import("./target-rules.js").TargetRule} rule
+   */
+  function showRuleErrors(row, rule) {
+    const errors = getTargetRuleErrors(rule);
+    for (const field of ["selector", "property", "value"]) {
+      row
+        .querySelector(`.sdc-target-${field}`)
+        .classList.toggle("sdc-invalid", field in errors);
+    }
+
+    const errorLine = /** @type {HTMLElement} */ (
+      row.querySelector(".sdc-target-rule-error")
+    );
+    errorLine.textContent = Object.values(errors).join(" ");
+    errorLine.style.display = errorLine.textContent ? "block" : "none";
+  }
+
+  /**
+   * Saves the rows as the target rules. Rows with an invalid selector, property or value are saved as they
+   * are, so they can be fixed later, but show why they aren't applied.
+   */
+  function saveRules() {
+    const rules = [];
+    for (const row of rowsContainer.querySelectorAll(".sdc-target-rule")) {
+      /** @param {string} selector */
+      const input = (selector) =>
+        /** @type {HTMLInputElement} */ (row.querySelector(selector));
+
+      const rule = normalizeTargetRule({
+        enabled: input(".sdc-target-enabled").checked,
+        selector: input(".sdc-target-selector").value,
+        property: input(".sdc-target-property").value,
+        value: input(".sdc-target-value").value,
+        opacity: Number(input(".sdc-target-opacity").value),
+        mixWith: input(".sdc-target-mix").value,
+        mixAmount: Number(input(".sdc-target-mix_amount").value),
+      });
+      showRuleErrors(/** @type {HTMLElement} */ (row), rule);
+      rules.push(rule);
+    }
+
+    extSettings.targetRules = rules;
+    onAnySettingsUpdated();
   }
-  setInputColorPickerComboValue(colorOverride, newValue);
-}
 
-/**
- *
- * @param {STCharacter} persona
- */
-function onPersonaChanged(persona) {
-  const colorOverride = document.getElementById("sdc-persona_color_override");
-  if (!colorOverride) return;
-  const newValue =
-    extSettings.personaColorSettings.colorOverrides[persona.avatarName];
-  // Prefer the custom override UI setter if present; fall back to legacy input combo behavior.
-  const setter = /** @type {any} */ (colorOverride).__sdcSetColorOverrideValue;
-  if (typeof setter === "function") {
-    setter(newValue);
-    return;
+  /**
+   * Updates ONLY the editor's rows. Does not update settings.
+   *
+   * @param {import("./target-rules.js").TargetRule[]} rules
+   */
+  function setUIRules(rules) {
+    rowsContainer.replaceChildren(...rules.map(createRuleRow));
   }
-  setInputColorPickerComboValue(colorOverride, newValue);
-}
 
-//#endregion Event Handlers
+  wrapper.appendChild(rowsContainer);
+  wrapper.appendChild(buttonRow);
 
-//#region Initialization
+  /** @type {any} */ (wrapper).__sdcSetRules = setUIRules;
 
-function initializeStyleSheets() {
-  charactersStyleSheet = createAndAppendStyleSheet("sdc-chars_style_sheet");
-  personasStyleSheet = createAndAppendStyleSheet("sdc-personas_style_sheet");
+  setUIRules(normalizeTargetRules(extSettings.targetRules));
 
-  function createAndAppendStyleSheet(id) {
-    const styleSheet = document.createElement("style");
-    styleSheet.id = id;
-    return document.body.appendChild(styleSheet);
-  }
+  return wrapper;
 }
 
 function initializeSettingsUI() {
@@ -534,9 +2359,11 @@ function initializeSettingsUI() {
       const value = $(changedEvent.target).prop("value");
       extSettings.charColorSettings.colorizeSource = value;
 
-      // Show/hide static color picker based on selection
+      // Show/hide static color picker and gradient angle based on selection
       charStaticColorRow.style.display =
         value === ColorizeSourceType.STATIC_COLOR ? "block" : "none";
+      charGradientAngleSlider.style.display =
+        value === ColorizeSourceType.AVATAR_GRADIENT ? "block" : "none";
 
       onCharacterSettingsUpdated();
     }
@@ -575,19 +2402,144 @@ function initializeSettingsUI() {
     charColorNameCheckbox
   );
 
-  // Vibrancy boost checkbox (insert after color name checkbox to maintain correct order)
-  const charVibrancyCheckbox = createCheckboxWithLabel(
-    "sdc-char_boost_vibrancy",
-    "Boost color vibrancy",
-    "Increases saturation by 35% for more colorful dialogue (Avatar Smart mode only).",
-    extSettings.charColorSettings.boostVibrancy || false,
+  // Adjustment sliders (insert after color name checkbox to maintain correct order)
+  const charAdjustmentsGroup = createAdjustmentSlidersGroup(
+    "sdc-char",
+    extSettings.charColorSettings,
+    onCharacterSettingsUpdated
+  );
+  charColorNameCheckbox.insertAdjacentElement("afterend", charAdjustmentsGroup);
+
+  // Text role checkboxes
+  const charTextRolesGroup = createTextRolesGroup(
+    "sdc-char",
+    extSettings.charColorSettings,
+    onCharacterSettingsUpdated
+  );
+  charAdjustmentsGroup.insertAdjacentElement("afterend", charTextRolesGroup);
+
+  // Card color precedence dropdown
+  const cardColorPrecedenceDropdown = createDropdownWithLabel(
+    "sdc-card_color_precedence",
+    [
+      {
+        value: CardColorPrecedenceType.CARD_FIRST,
+        text: "Prefer card colors",
+        description:
+          "Use the color embedded in the card if there is one, otherwise your own override.",
+      },
+      {
+        value: CardColorPrecedenceType.LOCAL_FIRST,
+        text: "Prefer local overrides",
+        description:
+          "Use your own override if there is one, otherwise the color embedded in the card.",
+      },
+      {
+        value: CardColorPrecedenceType.IGNORE,
+        text: "Ignore card colors",
+        description: "Never use colors embedded in character cards.",
+      },
+    ],
+    "Card Colors",
+    "Character cards can carry a dialogue color chosen by their author. Choose which wins when a character has both a card color and a local override.",
+    (changedEvent) => {
+      extSettings.cardColorPrecedence = $(changedEvent.target).prop("value");
+      onCharacterSettingsUpdated();
+    }
+  );
+  charTextRolesGroup.insertAdjacentElement(
+    "afterend",
+    cardColorPrecedenceDropdown
+  );
+  $(cardColorPrecedenceDropdown.querySelector("select")).prop(
+    "value",
+    extSettings.cardColorPrecedence ?? CardColorPrecedenceType.CARD_FIRST
+  );
+
+  // Save overrides to cards checkbox
+  const saveOverridesToCardsCheckbox = createCheckboxWithLabel(
+    "sdc-save_overrides_to_cards",
+    "Save overrides into character cards",
+    "When enabled, setting or resetting a character's color override also writes it into the character card, so it is kept when the card is shared or its avatar is renamed.",
+    extSettings.saveOverridesToCards || false,
+    (checked) => {
+      extSettings.saveOverridesToCards = checked;
+      saveSettingsDebounced();
+    }
+  );
+  cardColorPrecedenceDropdown.insertAdjacentElement(
+    "afterend",
+    saveOverridesToCardsCheckbox
+  );
+
+  // Speaker attribution checkbox
+  const speakerAttributionCheckbox = createCheckboxWithLabel(
+    "sdc-speaker_attribution",
+    "Color NPC dialogue by speaker",
+    "When enabled, quotes in a character's messages that are attributed to a name in the card's NPC roster (set in the character editor) use that NPC's color. Useful for narrator cards that voice several characters.",
+    extSettings.speakerAttribution || false,
+    (checked) => {
+      extSettings.speakerAttribution = checked;
+      updateSpeakersStyleSheet();
+      applySpeakerAttributionToAllMessages();
+      saveSettingsDebounced();
+    }
+  );
+  saveOverridesToCardsCheckbox.insertAdjacentElement(
+    "afterend",
+    speakerAttributionCheckbox
+  );
+
+  // Extraction area dropdown and alpha checkbox (inserted after the adjustment sliders)
+  const charExtractionModeDropdown = createExtractionModeDropdown(
+    "sdc-char_extraction_mode",
+    (changedEvent) => {
+      extSettings.charColorSettings.extractionMode = $(changedEvent.target).prop("value");
+      onCharacterSettingsUpdated();
+    }
+  );
+  charAdjustmentsGroup.insertAdjacentElement(
+    "afterend",
+    charExtractionModeDropdown
+  );
+  $(charExtractionModeDropdown.querySelector("select")).prop(
+    "value",
+    extSettings.charColorSettings.extractionMode ?? ExtractionModeType.FULL
+  );
+
+  const charAlphaAwareCheckbox = createCheckboxWithLabel(
+    "sdc-char_alpha_aware",
+    "Treat transparency as background",
+    "For avatars with transparent backgrounds: ignores soft edges and centers on the visible part of the image.",
+    extSettings.charColorSettings.alphaAwareExtraction || false,
     (checked) => {
-      extSettings.charColorSettings.boostVibrancy = checked;
-      clearCacheForCharType(CharacterType.CHARACTER); // Clear character cache
+      extSettings.charColorSettings.alphaAwareExtraction = checked;
+      onCharacterSettingsUpdated();
+    }
+  );
+  charExtractionModeDropdown.insertAdjacentElement(
+    "afterend",
+    charAlphaAwareCheckbox
+  );
+
+  // Gradient angle slider
+  const charGradientAngleSlider = createSliderWithLabel(
+    "sdc-char_gradient_angle",
+    "Gradient Angle",
+    "The direction of dialogue gradients in degrees (0 = bottom to top, 90 = left to right).",
+    0,
+    360,
+    15,
+    extSettings.charColorSettings.gradientAngle ?? 90,
+    (value) => {
+      extSettings.charColorSettings.gradientAngle = value;
       onCharacterSettingsUpdated();
     }
   );
-  charColorNameCheckbox.insertAdjacentElement("afterend", charVibrancyCheckbox);
+  charStaticColorRow.insertAdjacentElement(
+    "afterend",
+    charGradientAngleSlider
+  );
 
   // Initialize values and visibility
   charStaticColorRow.style.display =
@@ -615,76 +2567,737 @@ function initializeSettingsUI() {
       const value = $(changedEvent.target).prop("value");
       extSettings.personaColorSettings.colorizeSource = value;
 
-      // Show/hide static color picker based on selection
+      // Show/hide static color picker and gradient angle based on selection
       personaStaticColorRow.style.display =
         value === ColorizeSourceType.STATIC_COLOR ? "block" : "none";
+      personaGradientAngleSlider.style.display =
+        value === ColorizeSourceType.AVATAR_GRADIENT ? "block" : "none";
+
+      onPersonaSettingsUpdated();
+    }
+  );
+  personaDialogueSettings.children[0].insertAdjacentElement(
+    "afterend",
+    personaColorSourceDropdown
+  );
+
+  // Static color picker
+  const personaStaticColorPickerCombo = createColorTextPickerCombo(
+    (textboxValue) => getTextValidHexOrDefault(textboxValue, null),
+    (colorValue) => {
+      extSettings.personaColorSettings.staticColor = colorValue;
+      onPersonaSettingsUpdated();
+    }
+  );
+  personaDialogueSettings.children[2].insertAdjacentElement(
+    "beforeend",
+    personaStaticColorPickerCombo
+  );
+
+  // Color name text checkbox
+  const personaColorNameCheckbox = createCheckboxWithLabel(
+    "sdc-persona_color_name",
+    "Apply color to persona names",
+    "When enabled, persona names will be colored in addition to dialogue quotes.",
+    extSettings.personaColorSettings.colorNameText || false,
+    (checked) => {
+      extSettings.personaColorSettings.colorNameText = checked;
+      onPersonaSettingsUpdated();
+    }
+  );
+  personaDialogueSettings.children[2].insertAdjacentElement(
+    "afterend",
+    personaColorNameCheckbox
+  );
+
+  // Adjustment sliders (insert after color name checkbox to maintain correct order)
+  const personaAdjustmentsGroup = createAdjustmentSlidersGroup(
+    "sdc-persona",
+    extSettings.personaColorSettings,
+    onPersonaSettingsUpdated
+  );
+  personaColorNameCheckbox.insertAdjacentElement(
+    "afterend",
+    personaAdjustmentsGroup
+  );
+
+  // Text role checkboxes
+  const personaTextRolesGroup = createTextRolesGroup(
+    "sdc-persona",
+    extSettings.personaColorSettings,
+    onPersonaSettingsUpdated
+  );
+  personaAdjustmentsGroup.insertAdjacentElement(
+    "afterend",
+    personaTextRolesGroup
+  );
+
+  // Extraction area dropdown and alpha checkbox (inserted after the adjustment sliders)
+  const personaExtractionModeDropdown = createExtractionModeDropdown(
+    "sdc-persona_extraction_mode",
+    (changedEvent) => {
+      extSettings.personaColorSettings.extractionMode = $(changedEvent.target).prop("value");
+      onPersonaSettingsUpdated();
+    }
+  );
+  personaAdjustmentsGroup.insertAdjacentElement(
+    "afterend",
+    personaExtractionModeDropdown
+  );
+  $(personaExtractionModeDropdown.querySelector("select")).prop(
+    "value",
+    extSettings.personaColorSettings.extractionMode ?? ExtractionModeType.FULL
+  );
+
+  const personaAlphaAwareCheckbox = createCheckboxWithLabel(
+    "sdc-persona_alpha_aware",
+    "Treat transparency as background",
+    "For avatars with transparent backgrounds: ignores soft edges and centers on the visible part of the image.",
+    extSettings.personaColorSettings.alphaAwareExtraction || false,
+    (checked) => {
+      extSettings.personaColorSettings.alphaAwareExtraction = checked;
+      onPersonaSettingsUpdated();
+    }
+  );
+  personaExtractionModeDropdown.insertAdjacentElement(
+    "afterend",
+    personaAlphaAwareCheckbox
+  );
+
+  // Gradient angle slider
+  const personaGradientAngleSlider = createSliderWithLabel(
+    "sdc-persona_gradient_angle",
+    "Gradient Angle",
+    "The direction of dialogue gradients in degrees (0 = bottom to top, 90 = left to right).",
+    0,
+    360,
+    15,
+    extSettings.personaColorSettings.gradientAngle ?? 90,
+    (value) => {
+      extSettings.personaColorSettings.gradientAngle = value;
+      onPersonaSettingsUpdated();
+    }
+  );
+  personaStaticColorRow.insertAdjacentElement(
+    "afterend",
+    personaGradientAngleSlider
+  );
+
+  // Initialize values and visibility
+  personaStaticColorRow.style.display =
+    extSettings.personaColorSettings.colorizeSource ===
+    ColorizeSourceType.STATIC_COLOR
+      ? "block"
+      : "none";
+  $(personaColorSourceDropdown.querySelector("select"))
+    .prop("value", extSettings.personaColorSettings.colorizeSource)
+    .trigger("change");
+  $(personaStaticColorPickerCombo.querySelector('input[type="text"]'))
+    .prop("value", extSettings.personaColorSettings.staticColor)
+    .trigger("focusout");
+
+  // ===== SYSTEM / NARRATOR SETTINGS =====
+  const systemDialogueSettings = elemExtensionSettings.querySelector(
+    "#sdc-system_dialogue_settings"
+  );
+  const systemStaticColorRow = systemDialogueSettings.children[1]; // The static color label/container
+
+  // Color source dropdown
+  const systemColorSourceDropdown = createColorSourceDropdown(
+    "sdc-system_colorize_source",
+    (changedEvent) => {
+      const value = $(changedEvent.target).prop("value");
+      extSettings.systemColorSettings.colorizeSource = value;
+
+      // Show/hide static color picker and gradient angle based on selection
+      systemStaticColorRow.style.display =
+        value === ColorizeSourceType.STATIC_COLOR ? "block" : "none";
+      systemGradientAngleSlider.style.display =
+        value === ColorizeSourceType.AVATAR_GRADIENT ? "block" : "none";
+
+      onSystemSettingsUpdated();
+    }
+  );
+  systemDialogueSettings.children[0].insertAdjacentElement(
+    "afterend",
+    systemColorSourceDropdown
+  );
+
+  // Static color picker
+  const systemStaticColorPickerCombo = createColorTextPickerCombo(
+    (textboxValue) => getTextValidHexOrDefault(textboxValue, null),
+    (colorValue) => {
+      extSettings.systemColorSettings.staticColor = colorValue;
+      onSystemSettingsUpdated();
+    }
+  );
+  systemDialogueSettings.children[2].insertAdjacentElement(
+    "beforeend",
+    systemStaticColorPickerCombo
+  );
+
+  // Color name text checkbox
+  const systemColorNameCheckbox = createCheckboxWithLabel(
+    "sdc-system_color_name",
+    "Apply color to the System name",
+    "When enabled, the name of system and narrator messages will be colored in addition to dialogue quotes.",
+    extSettings.systemColorSettings.colorNameText || false,
+    (checked) => {
+      extSettings.systemColorSettings.colorNameText = checked;
+      onSystemSettingsUpdated();
+    }
+  );
+  systemDialogueSettings.children[2].insertAdjacentElement(
+    "afterend",
+    systemColorNameCheckbox
+  );
+
+  // Adjustment sliders (insert after color name checkbox to maintain correct order)
+  const systemAdjustmentsGroup = createAdjustmentSlidersGroup(
+    "sdc-system",
+    extSettings.systemColorSettings,
+    onSystemSettingsUpdated
+  );
+  systemColorNameCheckbox.insertAdjacentElement(
+    "afterend",
+    systemAdjustmentsGroup
+  );
+
+  // Text role checkboxes
+  const systemTextRolesGroup = createTextRolesGroup(
+    "sdc-system",
+    extSettings.systemColorSettings,
+    onSystemSettingsUpdated
+  );
+  systemAdjustmentsGroup.insertAdjacentElement(
+    "afterend",
+    systemTextRolesGroup
+  );
+
+  // Gradient angle slider
+  const systemGradientAngleSlider = createSliderWithLabel(
+    "sdc-system_gradient_angle",
+    "Gradient Angle",
+    "The direction of dialogue gradients in degrees (0 = bottom to top, 90 = left to right).",
+    0,
+    360,
+    15,
+    extSettings.systemColorSettings.gradientAngle ?? 90,
+    (value) => {
+      extSettings.systemColorSettings.gradientAngle = value;
+      onSystemSettingsUpdated();
+    }
+  );
+  systemStaticColorRow.insertAdjacentElement(
+    "afterend",
+    systemGradientAngleSlider
+  );
+
+  // Initialize values and visibility
+  systemStaticColorRow.style.display =
+    extSettings.systemColorSettings.colorizeSource ===
+    ColorizeSourceType.STATIC_COLOR
+      ? "block"
+      : "none";
+  $(systemColorSourceDropdown.querySelector("select"))
+    .prop("value", extSettings.systemColorSettings.colorizeSource)
+    .trigger("change");
+  $(systemStaticColorPickerCombo.querySelector('input[type="text"]'))
+    .prop("value", extSettings.systemColorSettings.staticColor)
+    .trigger("focusout");
+
+  // ===== MESSAGE STYLING SETTINGS =====
+  const stylingSettings = elemExtensionSettings.querySelector(
+    "#sdc-styling_settings"
+  );
+
+  // Tint opacity slider, shown below the tint checkbox
+  const bubbleTintAlphaSlider = createSliderWithLabel(
+    "sdc-bubble_tint_alpha",
+    "Tint Opacity",
+    "How strongly messages are tinted. Dialogue colors are adjusted to stay readable on the tint.",
+    BUBBLE_TINT_ALPHA_RANGE.min,
+    BUBBLE_TINT_ALPHA_RANGE.max,
+    BUBBLE_TINT_ALPHA_RANGE.step,
+    extSettings.bubbleTintAlpha ?? DEFAULT_BUBBLE_TINT_ALPHA,
+    (value) => {
+      extSettings.bubbleTintAlpha = value;
+      onAnySettingsUpdated();
+    }
+  );
+  bubbleTintAlphaSlider.style.display = isStylingModeEnabled(
+    extSettings.stylingModes,
+    StylingModeType.BUBBLE_TINT
+  )
+    ? "block"
+    : "none";
+
+  let lastStylingElem = stylingSettings.children[0];
+  for (const [mode, modeDef] of Object.entries(STYLING_MODES)) {
+    const modeCheckbox = createCheckboxWithLabel(
+      `sdc-styling_${mode}`,
+      modeDef.label,
+      modeDef.description,
+      isStylingModeEnabled(extSettings.stylingModes, mode),
+      (checked) => {
+        extSettings.stylingModes = {
+          ...DEFAULT_STYLING_MODES,
+          ...extSettings.stylingModes,
+          [mode]: checked,
+        };
+        if (mode === StylingModeType.BUBBLE_TINT) {
+          bubbleTintAlphaSlider.style.display = checked ? "block" : "none";
+        }
+        onAnySettingsUpdated();
+      }
+    );
+    lastStylingElem.insertAdjacentElement("afterend", modeCheckbox);
+    lastStylingElem = modeCheckbox;
+
+    if (mode === StylingModeType.BUBBLE_TINT) {
+      lastStylingElem.insertAdjacentElement("afterend", bubbleTintAlphaSlider);
+      lastStylingElem = bubbleTintAlphaSlider;
+    }
+  }
+
+  // ===== CUSTOM TARGET SETTINGS =====
+  const targetRulesSettings = elemExtensionSettings.querySelector(
+    "#sdc-target_rules_settings"
+  );
+  targetRulesSettings.children[0].insertAdjacentElement(
+    "afterend",
+    createTargetRulesEditor("sdc-target_rules")
+  );
+
+  // ===== MOOD SETTINGS =====
+  const moodSettings = elemExtensionSettings.querySelector(
+    "#sdc-mood_settings"
+  );
+
+  // Chat mood dropdown; the mood is saved in the chat, not the settings
+  const chatMoodDropdown = createDropdownWithLabel(
+    "sdc-chat_mood",
+    Object.entries(MOODS).map(([mood, moodDef]) => ({
+      value: mood,
+      text: moodDef.label,
+      description: moodDef.description,
+    })),
+    "Chat Mood",
+    "The mood of the current chat. Only available in a chat.",
+    (changedEvent) => {
+      try {
+        setMood($(changedEvent.target).prop("value"));
+      } catch (error) {
+        toastr.warning(error.message, "Dialogue Colorizer");
+        updateMoodUI();
+      }
+    }
+  );
+  moodSettings.children[0].insertAdjacentElement("afterend", chatMoodDropdown);
+
+  // Keyword detection checkbox
+  const moodKeywordList = Object.values(MOODS)
+    .filter((moodDef) => moodDef.keywords.length > 0)
+    .map((moodDef) => `${moodDef.label} (${moodDef.keywords.join(", ")})`)
+    .join("; ");
+  const moodKeywordDetectionCheckbox = createCheckboxWithLabel(
+    "sdc-mood_keyword_detection",
+    "Detect the mood from messages",
+    `When enabled, the latest message sets the chat's mood if it mentions one of its keywords: ${moodKeywordList}.`,
+    extSettings.moodKeywordDetection || false,
+    (checked) => {
+      extSettings.moodKeywordDetection = checked;
+      saveSettingsDebounced();
+    }
+  );
+  chatMoodDropdown.insertAdjacentElement(
+    "afterend",
+    moodKeywordDetectionCheckbox
+  );
+  updateMoodUI();
+
+  // ===== READABILITY SETTINGS =====
+  const readabilitySettings = elemExtensionSettings.querySelector(
+    "#sdc-readability_settings"
+  );
+
+  // Contrast target dropdown
+  const contrastTargetDropdown = createContrastTargetDropdown(
+    "sdc-contrast_target",
+    (changedEvent) => {
+      extSettings.contrastTarget = $(changedEvent.target).prop("value");
+      onAnySettingsUpdated();
+    }
+  );
+  readabilitySettings.children[0].insertAdjacentElement(
+    "afterend",
+    contrastTargetDropdown
+  );
+  $(contrastTargetDropdown.querySelector("select")).prop(
+    "value",
+    getContrastTarget()
+  );
+
+  // ===== GROUP CHAT SETTINGS =====
+  const groupSettings = elemExtensionSettings.querySelector(
+    "#sdc-group_settings"
+  );
+
+  // Distinct colors checkbox
+  const distinctGroupColorsCheckbox = createCheckboxWithLabel(
+    "sdc-distinct_group_colors",
+    "Keep group members distinguishable",
+    "Nudges avatar colors of group members apart when they are too similar, trying other colors from the same avatar first. Manual overrides and static colors are never changed.",
+    extSettings.distinctGroupColors,
+    (checked) => {
+      extSettings.distinctGroupColors = checked;
+      minDistanceSlider.style.display = checked ? "block" : "none";
+      onCharacterSettingsUpdated();
+    }
+  );
+  groupSettings.children[0].insertAdjacentElement(
+    "afterend",
+    distinctGroupColorsCheckbox
+  );
 
-      onPersonaSettingsUpdated();
+  // Minimum distance slider
+  const minDistanceSlider = createSliderWithLabel(
+    "sdc-group_color_min_distance",
+    "Minimum Color Difference",
+    "The minimum perceptual difference (OKLab ΔE) between group members' colors. 0.02 is barely noticeable, 0.1 is clearly distinct.",
+    0.02,
+    0.3,
+    0.01,
+    extSettings.groupColorMinDistance,
+    (value) => {
+      extSettings.groupColorMinDistance = value;
+      onCharacterSettingsUpdated();
     }
   );
-  personaDialogueSettings.children[0].insertAdjacentElement(
+  distinctGroupColorsCheckbox.insertAdjacentElement(
     "afterend",
-    personaColorSourceDropdown
+    minDistanceSlider
   );
+  minDistanceSlider.style.display = extSettings.distinctGroupColors
+    ? "block"
+    : "none";
 
-  // Static color picker
-  const personaStaticColorPickerCombo = createColorTextPickerCombo(
-    (textboxValue) => getTextValidHexOrDefault(textboxValue, null),
-    (colorValue) => {
-      extSettings.personaColorSettings.staticColor = colorValue;
-      onPersonaSettingsUpdated();
+  // ===== COLOR BLINDNESS SETTINGS =====
+  const colorVisionSettings = elemExtensionSettings.querySelector(
+    "#sdc-color_vision_settings"
+  );
+
+  // Simulated deficiency dropdown
+  const colorVisionDropdown = createColorVisionDropdown(
+    "sdc-color_vision",
+    (changedEvent) => {
+      extSettings.colorVisionDeficiency = $(changedEvent.target).prop("value");
+      if (extSettings.colorBlindSafeGroups) {
+        onCharacterSettingsUpdated();
+      } else {
+        updateColorVisionPreviewUI();
+        saveSettingsDebounced();
+      }
     }
   );
-  personaDialogueSettings.children[2].insertAdjacentElement(
-    "beforeend",
-    personaStaticColorPickerCombo
+  colorVisionSettings.children[0].insertAdjacentElement(
+    "afterend",
+    colorVisionDropdown
+  );
+  $(colorVisionDropdown.querySelector("select")).prop(
+    "value",
+    extSettings.colorVisionDeficiency ?? ColorVisionDeficiency.NONE
   );
 
-  // Color name text checkbox
-  const personaColorNameCheckbox = createCheckboxWithLabel(
-    "sdc-persona_color_name",
-    "Apply color to persona names",
-    "When enabled, persona names will be colored in addition to dialogue quotes.",
-    extSettings.personaColorSettings.colorNameText || false,
+  // Color-blind safe group colors checkbox
+  const colorBlindSafeCheckbox = createCheckboxWithLabel(
+    "sdc-color_blind_safe",
+    "Color-blind safe group colors",
+    "Keeps group members' colors distinguishable as seen with the selected deficiency, using the minimum color difference of the group settings. Manual overrides and static colors are never changed.",
+    extSettings.colorBlindSafeGroups || false,
     (checked) => {
-      extSettings.personaColorSettings.colorNameText = checked;
-      onPersonaSettingsUpdated();
+      extSettings.colorBlindSafeGroups = checked;
+      onCharacterSettingsUpdated();
     }
   );
-  personaDialogueSettings.children[2].insertAdjacentElement(
+  colorVisionDropdown.insertAdjacentElement(
     "afterend",
-    personaColorNameCheckbox
+    colorBlindSafeCheckbox
   );
 
-  // Vibrancy boost checkbox (insert after color name checkbox to maintain correct order)
-  const personaVibrancyCheckbox = createCheckboxWithLabel(
-    "sdc-persona_boost_vibrancy",
-    "Boost color vibrancy",
-    "Increases saturation by 35% for more colorful dialogue (Avatar Smart mode only).",
-    extSettings.personaColorSettings.boostVibrancy || false,
-    (checked) => {
-      extSettings.personaColorSettings.boostVibrancy = checked;
-      clearCacheForCharType(CharacterType.PERSONA); // Clear persona cache
-      onPersonaSettingsUpdated();
+  // ===== COLOR SCHEME SETTINGS =====
+  const schemeSettings = elemExtensionSettings.querySelector(
+    "#sdc-scheme_settings"
+  );
+
+  // Import mode dropdown
+  const importModeDropdown = createDropdownWithLabel(
+    "sdc-scheme_import_mode",
+    [
+      {
+        value: SchemeImportMode.MERGE,
+        text: "Merge",
+        description:
+          "Add the file's color overrides, replacing existing overrides for the same avatars. Other settings are kept.",
+      },
+      {
+        value: SchemeImportMode.REPLACE,
+        text: "Replace",
+        description:
+          "Replace all color overrides and settings with the ones in the file.",
+      },
+    ],
+    "Import Mode",
+    "How imported schemes are combined with the current colors.",
+    (changedEvent) => {
+      extSettings.schemeImportMode = $(changedEvent.target).prop("value");
+      saveSettingsDebounced();
     }
   );
-  personaColorNameCheckbox.insertAdjacentElement(
+  schemeSettings.children[0].insertAdjacentElement(
     "afterend",
-    personaVibrancyCheckbox
+    importModeDropdown
+  );
+  $(importModeDropdown.querySelector("select")).prop(
+    "value",
+    extSettings.schemeImportMode ?? SchemeImportMode.MERGE
   );
 
-  // Initialize values and visibility
-  personaStaticColorRow.style.display =
-    extSettings.personaColorSettings.colorizeSource ===
-    ColorizeSourceType.STATIC_COLOR
-      ? "block"
-      : "none";
-  $(personaColorSourceDropdown.querySelector("select"))
-    .prop("value", extSettings.personaColorSettings.colorizeSource)
+  const importFileInput = /** @type {HTMLInputElement} */ (
+    schemeSettings.querySelector("#sdc-scheme_import_file")
+  );
+  $(schemeSettings.querySelector("#sdc-scheme_export")).on("click", () =>
+    exportColorScheme()
+  );
+  $(schemeSettings.querySelector("#sdc-scheme_import")).on("click", () =>
+    importFileInput.click()
+  );
+  $(importFileInput).on("change", async () => {
+    const file = importFileInput.files?.[0];
+    importFileInput.value = "";
+    if (file) {
+      await importColorScheme(file);
+    }
+  });
+
+  // ===== COLOR CACHE SETTINGS =====
+  $("#sdc-cache_clear").on("click", async () => {
+    await clearSwatchCache();
+    clearCacheForCharType(CharacterType.CHARACTER);
+    clearCacheForCharType(CharacterType.PERSONA);
+    clearCacheForCharType(CharacterType.SYSTEM);
+    onAnySettingsUpdated();
+    toastr.success("Avatar colors will be extracted again.", "Color cache cleared");
+    updateCacheStatsUI();
+  });
+
+  // Statistics change constantly, so only refresh them when the drawer is opened
+  $(elemExtensionSettings.querySelector(".inline-drawer-toggle")).on(
+    "click",
+    () => updateCacheStatsUI()
+  );
+}
+
+/**
+ * Refreshes the persistent color cache statistics in the settings drawer.
+ */
+async function updateCacheStatsUI() {
+  const statsElem = document.getElementById("sdc-cache_stats");
+  if (!statsElem) return;
+
+  const stats = await getPersistentCacheStats();
+  if (!stats.available) {
+    statsElem.textContent =
+      "The browser doesn't allow saving colors (IndexedDB unavailable); colors are extracted on every reload.";
+    return;
+  }
+
+  const sizeKb = (stats.approxBytes / 1024).toFixed(1);
+  const lookups = stats.hits + stats.misses;
+  const hitRate =
+    lookups > 0 ? ` (${Math.round((stats.hits / lookups) * 100)}% hits)` : "";
+  statsElem.textContent = `${stats.entries} avatar palette(s) saved, ~${sizeKb} KB. This session: ${stats.hits} loaded from cache, ${stats.misses} extracted${hitRate}.`;
+}
+
+/**
+ * Syncs the settings drawer controls with the current settings, e.g. after a scheme was imported.
+ */
+function refreshSettingsUI() {
+  for (const [idPrefix, colorSettings] of [
+    ["sdc-char", extSettings.charColorSettings],
+    ["sdc-persona", extSettings.personaColorSettings],
+    ["sdc-system", extSettings.systemColorSettings],
+  ]) {
+    // The dropdown's change handler also updates the static color row's visibility.
+    $(`#${idPrefix}_colorize_source`)
+      .prop("value", colorSettings.colorizeSource)
+      .trigger("change");
+    const staticColorCombo = document.querySelector(
+      `#${idPrefix}_dialogue_settings .dc-color-input-combo`
+    );
+    if (staticColorCombo) {
+      setInputColorPickerComboValue(
+        /** @type {HTMLElement} */ (staticColorCombo),
+        colorSettings.staticColor
+      );
+    }
+    $(`#${idPrefix}_gradient_angle`)
+      .prop("value", colorSettings.gradientAngle ?? 90)
+      .trigger("input");
+    $(`#${idPrefix}_extraction_mode`).prop(
+      "value",
+      colorSettings.extractionMode ?? ExtractionModeType.FULL
+    );
+    $(`#${idPrefix}_alpha_aware`).prop(
+      "checked",
+      colorSettings.alphaAwareExtraction || false
+    );
+    $(`#${idPrefix}_color_name`).prop(
+      "checked",
+      colorSettings.colorNameText || false
+    );
+    const adjustments = sanitizeColorAdjustments(colorSettings.adjustments);
+    for (const key of Object.keys(COLOR_ADJUSTMENT_RANGES)) {
+      $(`#${idPrefix}_adjust_${key}`)
+        .prop("value", adjustments[key])
+        .trigger("input");
+    }
+    for (const role of Object.keys(TEXT_ROLES)) {
+      $(`#${idPrefix}_text_role_${role}`).prop(
+        "checked",
+        isTextRoleEnabled(colorSettings, role)
+      );
+    }
+  }
+
+  $("#sdc-card_color_precedence").prop(
+    "value",
+    extSettings.cardColorPrecedence ?? CardColorPrecedenceType.CARD_FIRST
+  );
+  $("#sdc-save_overrides_to_cards").prop(
+    "checked",
+    extSettings.saveOverridesToCards || false
+  );
+  $("#sdc-speaker_attribution").prop(
+    "checked",
+    extSettings.speakerAttribution || false
+  );
+  updateSpeakersStyleSheet();
+  applySpeakerAttributionToAllMessages();
+  // The checkboxes' change handlers also update the tint opacity slider's visibility.
+  for (const mode of Object.keys(STYLING_MODES)) {
+    $(`#sdc-styling_${mode}`)
+      .prop("checked", isStylingModeEnabled(extSettings.stylingModes, mode))
+      .trigger("change");
+  }
+  $("#sdc-bubble_tint_alpha")
+    .prop("value", extSettings.bubbleTintAlpha ?? DEFAULT_BUBBLE_TINT_ALPHA)
+    .trigger("input");
+  /** @type {any} */ (document.getElementById("sdc-target_rules"))?.__sdcSetRules(
+    normalizeTargetRules(extSettings.targetRules)
+  );
+  $("#sdc-mood_keyword_detection").prop(
+    "checked",
+    extSettings.moodKeywordDetection || false
+  );
+  $("#sdc-contrast_target").prop("value", getContrastTarget());
+  $("#sdc-distinct_group_colors")
+    .prop("checked", extSettings.distinctGroupColors)
     .trigger("change");
-  $(personaStaticColorPickerCombo.querySelector('input[type="text"]'))
-    .prop("value", extSettings.personaColorSettings.staticColor)
-    .trigger("focusout");
+  $("#sdc-group_color_min_distance")
+    .prop("value", extSettings.groupColorMinDistance)
+    .trigger("input");
+  $("#sdc-color_vision").prop(
+    "value",
+    extSettings.colorVisionDeficiency ?? ColorVisionDeficiency.NONE
+  );
+  $("#sdc-color_blind_safe").prop(
+    "checked",
+    extSettings.colorBlindSafeGroups || false
+  );
+
+  refreshColorOverrideWidgets();
+}
+
+/**
+ * Refreshes the override widgets, which show the override of the character being edited and the current persona.
+ */
+function refreshColorOverrideWidgets() {
+  if ($("#avatar_url_pole").attr("value")) {
+    onCharacterChanged(getCharacterBeingEdited());
+  }
+  onPersonaChanged(getCurrentPersona());
+}
+
+/**
+ * Saves the current colors and settings to a color scheme file.
+ */
+function exportColorScheme() {
+  const scheme = createColorScheme(extSettings);
+  download(
+    JSON.stringify(scheme, null, 2),
+    "sdc-color-scheme.json",
+    "application/json"
+  );
+}
+
+/**
+ * Loads colors and settings from a color scheme file, using the selected import mode.
+ *
+ * @param {File} file
+ */
+async function importColorScheme(file) {
+  const reportElem = document.getElementById("sdc-scheme_report");
+
+  let parsed;
+  try {
+    parsed = parseColorScheme(await getFileText(file));
+  } catch (err) {
+    console.error("[SDC] Failed to import color scheme:", err);
+    toastr.error(err.message, "Color scheme import failed");
+    return;
+  }
+
+  const { scheme, warnings } = parsed;
+  const mode = extSettings.schemeImportMode ?? SchemeImportMode.MERGE;
+  applyColorScheme(extSettings, scheme, mode);
+
+  // Everything may have changed, so start over with fresh colors.
+  clearCacheForCharType(CharacterType.CHARACTER);
+  clearCacheForCharType(CharacterType.PERSONA);
+  clearCacheForCharType(CharacterType.SYSTEM);
+  refreshSettingsUI();
+  onAnySettingsUpdated();
+
+  const missing = findMissingAvatars(scheme);
+  const overrideCount =
+    Object.keys(scheme.characters.colorOverrides).length +
+    Object.keys(scheme.personas.colorOverrides).length;
+  toastr.success(
+    `Imported ${overrideCount} color override(s) (${mode}).`,
+    "Color scheme imported"
+  );
+
+  if (!reportElem) return;
+  reportElem.replaceChildren();
+  /** @type {[string, string[]][]} */
+  const reportSections = [
+    ["Characters not found locally", missing.characters],
+    ["Personas not found locally", missing.personas],
+    ["Skipped entries", warnings],
+  ];
+  for (const [title, items] of reportSections) {
+    if (items.length === 0) continue;
+    const row = document.createElement("div");
+    row.textContent = `${title}: ${items.join(", ")}`;
+    reportElem.appendChild(row);
+  }
+  if (missing.characters.length > 0 || missing.personas.length > 0) {
+    const note = document.createElement("div");
+    note.textContent =
+      "Overrides for missing avatars were kept and apply once those avatars are added.";
+    reportElem.appendChild(note);
+  }
 }
 
 /**
@@ -803,6 +3416,35 @@ function initializeCharSpecificUI() {
         `;
     labelRow.appendChild(label);
 
+    // Whether a picked color applies everywhere or only in the current chat
+    const scopeSelect = document.createElement("select");
+    scopeSelect.className = "text_pole sdc-override-scope";
+    scopeSelect.title =
+      "Where a color picked here applies. A color for this chat only takes precedence over the others.";
+    scopeSelect.innerHTML = `
+            <option value="${OverrideScope.GLOBAL}">Everywhere</option>
+            <option value="${OverrideScope.CHAT}">This chat only</option>
+        `;
+    scopeSelect.addEventListener("change", () => {
+      setUIOverrideValue(
+        getStoredColorOverride(stCharGetter(), scopeSelect.value)
+      );
+    });
+    labelRow.appendChild(scopeSelect);
+
+    /**
+     * Selects a scope in the UI, falling back to everywhere when no chat is open.
+     *
+     * @param {OverrideScope} scope
+     */
+    function setUIOverrideScope(scope) {
+      const chatOption = /** @type {HTMLOptionElement} */ (
+        scopeSelect.querySelector(`option[value="${OverrideScope.CHAT}"]`)
+      );
+      chatOption.disabled = !isInAnyChat();
+      scopeSelect.value = chatOption.disabled ? OverrideScope.GLOBAL : scope;
+    }
+
     // Create the inline control row
     const controlRow = document.createElement("div");
     controlRow.className = "sdc-inline-color-row";
@@ -844,24 +3486,11 @@ function initializeCharSpecificUI() {
      * @param {string} colorValue
      */
     function applyColorOverride(colorValue) {
-      const stChar = stCharGetter();
-      const colorSettings = getSettingsForChar(stChar);
-
-      if (colorValue && colorValue.length > 0) {
-        colorSettings.colorOverrides[stChar.avatarName] = colorValue;
-      } else {
-        delete colorSettings.colorOverrides[stChar.avatarName];
-      }
-
-      // Clear cache when override changes
-      clearCacheForCharacter(stChar);
-
-      if (stChar.type === CharacterType.PERSONA) {
-        onPersonaSettingsUpdated();
-      } else {
-        onCharacterSettingsUpdated();
-      }
-
+      setCharacterColorOverride(
+        stCharGetter(),
+        colorValue,
+        /** @type {OverrideScope} */ (scopeSelect.value)
+      );
       setUIOverrideValue(colorValue);
     }
 
@@ -874,6 +3503,7 @@ function initializeCharSpecificUI() {
     function setUIOverrideValue(colorValue) {
       const value = colorValue ?? "";
       updateSwatchSelection(value);
+      renderAvatarPalette(value);
 
       // Update custom input to show the color
       if (value) {
@@ -968,26 +3598,474 @@ function initializeCharSpecificUI() {
     controlRow.appendChild(customInputWrapper);
     controlRow.appendChild(resetBtn);
 
+    // Avatar palette row: the swatches extracted from the avatar and how they were judged
+    const paletteLabelRow = document.createElement("div");
+    paletteLabelRow.className = "sdc-label-row";
+    paletteLabelRow.innerHTML = `
+            <label class="sdc-override-label">
+                <span>Avatar Palette</span>
+                <i class="fa-solid fa-circle-info margin5 opacity50p"
+                   title="Colors extracted from the avatar. The starred one is the automatic pick; hover a color to see why it was or wasn't used, click it to use it as the override."></i>
+            </label>
+        `;
+
+    const paletteRow = document.createElement("div");
+    paletteRow.className = "sdc-inline-color-row sdc-avatar-palette";
+
+    const paletteSummary = document.createElement("div");
+    paletteSummary.className = "sdc-avatar-palette-summary";
+
+    /** @type {string?} The avatar + extraction options the palette was last rendered for. */
+    let renderedPaletteKey = null;
+    /** @type {HTMLButtonElement[]} */
+    let paletteButtons = [];
+
+    /**
+     * Renders the avatar's swatches, re-extracting them only when the character or extraction settings changed.
+     *
+     * @param {string} selectedColor The current override, highlighted if it is one of the swatches.
+     */
+    async function renderAvatarPalette(selectedColor) {
+      let stChar;
+      try {
+        stChar = stCharGetter();
+      } catch {
+        return; // Nothing selected yet
+      }
+
+      const extractionOptions = getExtractionOptions(getSettingsForChar(stChar));
+      const paletteKey = `${stChar.uid}|${getExtractionOptionsKey(
+        extractionOptions
+      )}`;
+      if (paletteKey !== renderedPaletteKey) {
+        renderedPaletteKey = paletteKey;
+        try {
+          const report = await getAvatarSwatchReport(
+            stChar.getAvatarImageThumbnail(),
+            extractionOptions
+          );
+          // Another character may have been selected while extracting
+          if (renderedPaletteKey !== paletteKey) return;
+          buildPaletteButtons(report);
+        } catch (error) {
+          if (error instanceof ExtractionCancelledError) {
+            renderedPaletteKey = null; // Extract again next time
+            return;
+          }
+          console.warn(
+            `[SDC] Failed to get the avatar palette for ${stChar.uid}:`,
+            error
+          );
+          paletteRow.replaceChildren();
+          paletteButtons = [];
+          paletteSummary.textContent = "Couldn't read the avatar's colors.";
+        }
+      }
+
+      paletteButtons.forEach((btn) =>
+        btn.classList.toggle(
+          "selected",
+          btn.dataset.color.toUpperCase() === selectedColor.toUpperCase()
+        )
+      );
+    }
+
+    /**
+     * @param {import("./color-utils.js").SwatchReportEntry} entry
+     * @returns {string} The rejection reason without its measurements, e.g. `too dark`.
+     */
+    function getShortReason(entry) {
+      return (entry.reason ?? "").replace(/\s*\(.*\)$/, "").toLowerCase();
+    }
+
+    /**
+     * @param {import("./color-utils.js").SwatchReportEntry[]} report
+     */
+    function buildPaletteButtons(report) {
+      paletteRow.replaceChildren();
+      paletteButtons = [];
+
+      for (const entry of report) {
+        if (!entry.rgb) continue;
+
+        const hex = `#${ExColor.rgb2hex(entry.rgb)}`;
+        const swatch = document.createElement("button");
+        swatch.type = "button";
+        swatch.className = `sdc-preset-swatch sdc-avatar-swatch ${entry.status}`;
+        swatch.dataset.color = hex;
+        swatch.style.backgroundColor = hex;
+
+        const statusText = {
+          chosen: "Automatic pick",
+          passed: "Good, but a preferred swatch was picked",
+          rejected: `Rejected: ${entry.reason}`,
+        }[entry.status];
+        const sourceText = entry.isColorThiefFallback ? " (Color Thief)" : "";
+        swatch.title = `${entry.name}${sourceText} ${hex.toUpperCase()}\n${statusText}`;
+        swatch.onclick = () => applyColorOverride(hex);
+
+        paletteButtons.push(swatch);
+        paletteRow.appendChild(swatch);
+      }
+
+      const chosen = report.find((entry) => entry.status === "chosen");
+      const rejected = report.filter((entry) => entry.status === "rejected");
+      const missing = report.filter((entry) => entry.status === "missing");
+      paletteSummary.textContent = [
+        chosen ? `Automatic pick: ${chosen.name}.` : "No usable color found.",
+        rejected.length > 0
+          ? `Rejected: ${rejected
+              .map((entry) => `${entry.name} (${getShortReason(entry)})`)
+              .join(", ")}.`
+          : "",
+        missing.length > 0
+          ? `Not found: ${missing.map((entry) => entry.name).join(", ")}.`
+          : "",
+      ]
+        .filter((part) => part)
+        .join(" ");
+    }
+
+    // Gradient stops row
+    const gradientLabelRow = document.createElement("div");
+    gradientLabelRow.className = "sdc-label-row";
+    gradientLabelRow.innerHTML = `
+            <label class="sdc-override-label">
+                <span>Dialogue Gradient</span>
+                <i class="fa-solid fa-circle-info margin5 opacity50p"
+                   title="Pick two colors to color this character's dialogue with a gradient. Click reset to go back to the color above."></i>
+            </label>
+        `;
+
+    const gradientRow = document.createElement("div");
+    gradientRow.className = "sdc-inline-color-row";
+
+    /** @type {HTMLInputElement[]} */
+    const gradientInputs = [0, 1].map(() => {
+      const stopInput = document.createElement("input");
+      stopInput.type = "color";
+      stopInput.className = "dc-color-picker";
+      stopInput.value = "#808080";
+      stopInput.addEventListener("change", () =>
+        applyGradientOverride(gradientInputs.map((input) => input.value))
+      );
+      return stopInput;
+    });
+
+    const gradientPreview = document.createElement("div");
+    gradientPreview.className = "sdc-gradient-preview";
+
+    const gradientResetBtn = document.createElement("button");
+    gradientResetBtn.type = "button";
+    gradientResetBtn.className = "menu_button menu_button_icon sdc-reset-btn";
+    gradientResetBtn.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
+    gradientResetBtn.title = "Remove the gradient";
+    gradientResetBtn.style.display = "none";
+    gradientResetBtn.onclick = () => applyGradientOverride(null);
+
+    for (const stopInput of gradientInputs) {
+      const stopPickerWrapper = document.createElement("div");
+      stopPickerWrapper.className =
+        "dc-color-picker-wrapper sdc-custom-picker-wrapper";
+      stopPickerWrapper.appendChild(stopInput);
+      gradientRow.appendChild(stopPickerWrapper);
+    }
+    gradientRow.appendChild(gradientPreview);
+    gradientRow.appendChild(gradientResetBtn);
+
+    /**
+     * Applies a gradient override
+     * @param {string[]?} stops
+     */
+    function applyGradientOverride(stops) {
+      setCharacterGradientOverride(stCharGetter(), stops);
+      setUIGradientValue(stops);
+    }
+
+    /**
+     * Updates ONLY the gradient UI state. Does not update settings.
+     *
+     * @param {string[]?} stops
+     */
+    function setUIGradientValue(stops) {
+      gradientInputs.forEach((input, i) => {
+        input.value = stops?.[i] ?? "#808080";
+      });
+      gradientPreview.style.backgroundImage = stops
+        ? `linear-gradient(90deg, ${stops.join(", ")})`
+        : "";
+      gradientResetBtn.style.display = stops ? "flex" : "none";
+    }
+
+    // Per-character adjustments of avatar colors
+    const adjustmentsLabelRow = document.createElement("div");
+    adjustmentsLabelRow.className = "sdc-label-row";
+    adjustmentsLabelRow.innerHTML = `
+            <label class="sdc-override-label">
+                <span>Color Adjustments</span>
+                <i class="fa-solid fa-circle-info margin5 opacity50p"
+                   title="Added to the global adjustments for colors extracted from this avatar. No effect on picked colors."></i>
+            </label>
+        `;
+
+    const adjustmentsPreview = document.createElement("span");
+    adjustmentsPreview.className = "sdc-adjustments-preview";
+    adjustmentsPreview.title = "The resulting dialogue color";
+    adjustmentsLabelRow.appendChild(adjustmentsPreview);
+
+    const adjustmentsResetBtn = document.createElement("button");
+    adjustmentsResetBtn.type = "button";
+    adjustmentsResetBtn.className = "menu_button menu_button_icon sdc-reset-btn";
+    adjustmentsResetBtn.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
+    adjustmentsResetBtn.title = "Remove this character's adjustments";
+    adjustmentsResetBtn.style.display = "none";
+    adjustmentsResetBtn.onclick = () => applyAdjustments(null);
+    adjustmentsLabelRow.appendChild(adjustmentsResetBtn);
+
+    const adjustmentsGroup = document.createElement("div");
+    adjustmentsGroup.className = "sdc-char-adjustments";
+
+    /** @type {Record<string, HTMLInputElement>} */
+    const adjustmentSliders = {};
+    for (const [key, range] of Object.entries(COLOR_ADJUSTMENT_RANGES)) {
+      const slider = createSliderWithLabel(
+        `${id}_adjust_${key}`,
+        COLOR_ADJUSTMENT_LABELS[key].label,
+        COLOR_ADJUSTMENT_LABELS[key].description,
+        range.min,
+        range.max,
+        range.step,
+        0,
+        () => applyAdjustments(readUIAdjustments())
+      );
+      adjustmentSliders[key] = slider.querySelector("input");
+      adjustmentsGroup.appendChild(slider);
+    }
+
+    const contrastTargetSelect = document.createElement("select");
+    contrastTargetSelect.className = "text_pole";
+    contrastTargetSelect.innerHTML = [
+      `<option value="">Minimum contrast: global setting</option>`,
+      ...Object.entries(CONTRAST_TARGETS).map(
+        ([value, target]) =>
+          `<option value="${value}">Minimum contrast: ${target.text}</option>`
+      ),
+    ].join("");
+    contrastTargetSelect.addEventListener("change", () =>
+      applyAdjustments(readUIAdjustments())
+    );
+    adjustmentsGroup.appendChild(contrastTargetSelect);
+
+    /**
+     * @returns {import("./color-adjustments.js").CharacterAdjustments}
+     */
+    function readUIAdjustments() {
+      return {
+        ...Object.fromEntries(
+          Object.entries(adjustmentSliders).map(([key, slider]) => [
+            key,
+            Number(slider.value),
+          ])
+        ),
+        contrastTarget: contrastTargetSelect.value || undefined,
+      };
+    }
+
+    /**
+     * Applies the character's adjustments
+     * @param {import("./color-adjustments.js").CharacterAdjustments?} adjustments
+     */
+    function applyAdjustments(adjustments) {
+      const stChar = stCharGetter();
+      setCharacterAdjustments(stChar, adjustments);
+      setUIAdjustmentsValue(
+        getSettingsForChar(stChar).characterAdjustments?.[stChar.avatarName] ??
+          null
+      );
+    }
+
+    /**
+     * Updates ONLY the adjustments UI state. Does not update settings.
+     *
+     * @param {import("./color-adjustments.js").CharacterAdjustments?} adjustments
+     */
+    function setUIAdjustmentsValue(adjustments) {
+      for (const [key, slider] of Object.entries(adjustmentSliders)) {
+        slider.value = String(adjustments?.[key] ?? 0);
+        const valueDisplay = slider.parentElement?.querySelector(".dc-slider-value");
+        if (valueDisplay) valueDisplay.textContent = slider.value;
+      }
+      contrastTargetSelect.value = adjustments?.contrastTarget ?? "";
+      adjustmentsResetBtn.style.display = adjustments ? "flex" : "none";
+      updateAdjustmentsPreview();
+    }
+
+    // Debounced, so dragging a slider doesn't queue an extraction per step
+    const updateAdjustmentsPreview = debounce(async () => {
+      try {
+        const color = await getCharacterDialogueColor(stCharGetter());
+        adjustmentsPreview.style.backgroundColor = color
+          ? `#${color.toHex()}`
+          : "";
+        adjustmentsPreview.textContent = color ? `#${color.toHex()}` : "";
+      } catch (error) {
+        if (!(error instanceof ExtractionCancelledError)) throw error;
+      }
+    }, 150);
+
     // Assemble wrapper
     wrapper.appendChild(separator);
     wrapper.appendChild(labelRow);
     wrapper.appendChild(controlRow);
-
-    // Expose a setter so the persona/character change handlers can refresh UI state
+    wrapper.appendChild(paletteLabelRow);
+    wrapper.appendChild(paletteRow);
+    wrapper.appendChild(paletteSummary);
+    wrapper.appendChild(gradientLabelRow);
+    wrapper.appendChild(gradientRow);
+    wrapper.appendChild(adjustmentsLabelRow);
+    wrapper.appendChild(adjustmentsGroup);
+
+    // Expose setters so the persona/character change handlers can refresh UI state
     // when the selected persona/character changes.
     /** @type {any} */ (wrapper).__sdcSetColorOverrideValue = setUIOverrideValue;
+    /** @type {any} */ (wrapper).__sdcSetOverrideScope = setUIOverrideScope;
+    /** @type {any} */ (wrapper).__sdcSetGradientOverrideValue =
+      setUIGradientValue;
+    /** @type {any} */ (wrapper).__sdcSetAdjustmentsValue = setUIAdjustmentsValue;
 
     // Initialize with current value
     setTimeout(() => {
       const stChar = stCharGetter();
       const colorSettings = getSettingsForChar(stChar);
-      const savedColor = colorSettings.colorOverrides[stChar.avatarName] || "";
+      const savedColor = showOverrideScopeFor(wrapper, stChar) || "";
       setUIOverrideValue(savedColor);
+      setUIGradientValue(
+        colorSettings.gradientOverrides?.[stChar.avatarName] ?? null
+      );
+      setUIAdjustmentsValue(
+        colorSettings.characterAdjustments?.[stChar.avatarName] ?? null
+      );
     }, 100);
 
     return wrapper;
   }
 
+  /**
+   * Creates the editor of a card's NPC roster, the names and colors used by speaker attribution.
+   *
+   * @param {string} id
+   * @param {() => STCharacter} stCharGetter
+   */
+  function createNpcRosterElem(id, stCharGetter) {
+    const wrapper = document.createElement("div");
+    wrapper.id = id;
+    wrapper.className = "sdc-color-override-container sdc-npc-roster";
+
+    const labelRow = document.createElement("div");
+    labelRow.className = "sdc-label-row";
+    labelRow.innerHTML = `
+            <label class="sdc-override-label">
+                <span>NPC Roster</span>
+                <i class="fa-solid fa-circle-info margin5 opacity50p"
+                   title="Characters this card voices. With 'Color NPC dialogue by speaker' enabled, their quotes use these colors. A quote is theirs after 'Name:' at the start of a line, inside <Name></Name> tags, or with a speech tag such as 'Name said'."></i>
+            </label>
+        `;
+
+    const rowsContainer = document.createElement("div");
+    rowsContainer.className = "sdc-npc-roster-rows";
+
+    const addBtn = document.createElement("button");
+    addBtn.type = "button";
+    addBtn.className = "menu_button menu_button_icon sdc-npc-roster-add";
+    addBtn.innerHTML = '<i class="fa-solid fa-plus"></i><span>Add NPC</span>';
+    addBtn.onclick = () => {
+      const row = createRosterRow({ name: "", color: "#808080" });
+      rowsContainer.appendChild(row);
+      /** @type {HTMLInputElement} */ (row.querySelector("input")).focus();
+    };
+
+    /**
+     * @param {import("./speaker-attribution.js").RosterEntry} entry
+     * @returns {HTMLDivElement}
+     */
+    function createRosterRow(entry) {
+      const row = document.createElement("div");
+      row.className = "sdc-inline-color-row sdc-npc-roster-row";
+
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "text_pole sdc-npc-name";
+      nameInput.placeholder = "Name";
+      nameInput.value = entry.name;
+      nameInput.addEventListener("change", saveRoster);
+
+      const colorPickerWrapper = document.createElement("div");
+      colorPickerWrapper.className =
+        "dc-color-picker-wrapper sdc-custom-picker-wrapper";
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      colorInput.className = "dc-color-picker sdc-npc-color";
+      colorInput.value = entry.color;
+      colorInput.addEventListener("change", saveRoster);
+      colorPickerWrapper.appendChild(colorInput);
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "menu_button menu_button_icon sdc-reset-btn";
+      removeBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+      removeBtn.title = "Remove from the roster";
+      removeBtn.onclick = () => {
+        row.remove();
+        saveRoster();
+      };
+
+      row.appendChild(nameInput);
+      row.appendChild(colorPickerWrapper);
+      row.appendChild(removeBtn);
+      return row;
+    }
+
+    /** Saves the rows that have a name as the card's roster. */
+    function saveRoster() {
+      const roster = Array.from(
+        rowsContainer.querySelectorAll(".sdc-npc-roster-row")
+      )
+        .map((row) => ({
+          name: /** @type {HTMLInputElement} */ (
+            row.querySelector(".sdc-npc-name")
+          ).value.trim(),
+          color: /** @type {HTMLInputElement} */ (
+            row.querySelector(".sdc-npc-color")
+          ).value,
+        }))
+        .filter((entry) => entry.name);
+      setNpcRoster(stCharGetter(), roster);
+    }
+
+    /**
+     * Updates ONLY the roster UI state. Does not update settings.
+     *
+     * @param {STCharacter} stChar
+     */
+    function setUIRoster(stChar) {
+      rowsContainer.replaceChildren(
+        ...(extSettings.npcRosters?.[stChar.avatarName] ?? []).map(
+          createRosterRow
+        )
+      );
+    }
+
+    wrapper.appendChild(labelRow);
+    wrapper.appendChild(rowsContainer);
+    wrapper.appendChild(addBtn);
+
+    /** @type {any} */ (wrapper).__sdcSetRoster = setUIRoster;
+
+    setTimeout(() => setUIRoster(stCharGetter()), 100);
+
+    return wrapper;
+  }
+
   /**
    * Attempts to insert the character override UI into the character editor.
    * This UI target isn't always present (e.g. if user hasn't opened the editor yet).
@@ -1009,6 +4087,10 @@ function initializeCharSpecificUI() {
       getCharacterBeingEdited
     );
     elemAvatarNameBlock.insertAdjacentElement("afterend", elemCharColorOverride);
+    elemCharColorOverride.insertAdjacentElement(
+      "afterend",
+      createNpcRosterElem("sdc-char_npc_roster", getCharacterBeingEdited)
+    );
     return true;
   }
 
@@ -1089,9 +4171,46 @@ jQuery(async ($) => {
 
   // Add extension menu button for quick access to settings
   addExtensionMenuButton();
-
-  eventSource.on(event_types.CHAT_CHANGED, () => updateCharactersStyleSheet());
-  expEventSource.on(exp_event_type.MESSAGE_ADDED, addAuthorUidClassToMessage);
+  registerSlashCommands();
+  registerPublicApi();
+
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    prioritizeCurrentChatAvatars();
+    if (getChatMood() !== styledChatMood) {
+      // The mood colors every author, not just the chat's characters
+      refreshMoodStyles();
+    } else {
+      updateCharactersStyleSheet();
+      if (
+        personaStylesHaveChatOverrides ||
+        hasChatColorOverrides(CharacterType.PERSONA)
+      ) {
+        updatePersonasStyleSheet();
+      }
+    }
+    updateMoodUI();
+    refreshColorOverrideWidgets();
+  });
+  expEventSource.on(exp_event_type.MESSAGE_ADDED, (message) => {
+    addAuthorUidClassToMessage(message);
+    applyThoughtMarks(message);
+    applySpeakerAttribution(message);
+  });
+  // Rendering and editing replace the message text, and with it the thought and speaker marks
+  eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, refreshMessageMarks);
+  eventSource.on(event_types.USER_MESSAGE_RENDERED, refreshMessageMarks);
+  eventSource.on(event_types.MESSAGE_UPDATED, refreshMessageMarks);
+  eventSource.on(event_types.MESSAGE_SWIPED, refreshMessageMarks);
+  eventSource.on(
+    event_types.CHARACTER_MESSAGE_RENDERED,
+    detectMoodFromMessage
+  );
+  eventSource.on(event_types.USER_MESSAGE_RENDERED, detectMoodFromMessage);
+  // World Info entries tagged 'sdc-mood:<mood>' set the chat's mood when they activate
+  eventSource.on(event_types.WORLD_INFO_ACTIVATED, (entries) => {
+    const mood = findWorldInfoMood(entries);
+    if (mood && isInAnyChat()) setMood(mood);
+  });
 
   expEventSource.on(exp_event_type.CHAR_CARD_CHANGED, (char) => {
     onCharacterChanged(char);
@@ -1115,8 +4234,17 @@ jQuery(async ($) => {
   eventSource.once(event_types.APP_READY, () => {
     onPersonaChanged(getCurrentPersona()); // Initialize color inputs with starting values.
     addAuthorUidToExistingMessages();
+    prioritizeCurrentChatAvatars();
+    styledChatMood = getChatMood();
     updateCharactersStyleSheet();
     updatePersonasStyleSheet();
+    updateSystemStyleSheet();
+    updateSpeakersStyleSheet();
+    document
+      .querySelectorAll("#chat > .mes")
+      .forEach((message) => applyThoughtMarks(message));
+    applySpeakerAttributionToAllMessages();
+    updateMoodUI();
   });
 
   // Watch for persona changes in the Persona Management panel (#PersonaManagement)
@@ -1151,24 +4279,31 @@ jQuery(async ($) => {
     panelWatcher.observe(document.body, { childList: true, subtree: true });
   }
 
-  // Watch for theme changes to update colors automatically
-  let lastThemeIsLight = isLightTheme();
+  // Watch for theme changes (including SmartTheme color variables set on the root element)
+  // to update colors automatically
+  let lastBackgroundHex = ExColor.rgb2hex(getChatBackgroundColor());
   const themeObserver = new MutationObserver(
     debounce(() => {
-      // Check if the theme actually changed to avoid unnecessary updates
-      const currentThemeIsLight = isLightTheme();
-      if (currentThemeIsLight !== lastThemeIsLight) {
-        lastThemeIsLight = currentThemeIsLight;
+      // Check if the chat background actually changed to avoid unnecessary updates
+      const currentBackgroundHex = ExColor.rgb2hex(getChatBackgroundColor());
+      if (currentBackgroundHex !== lastBackgroundHex) {
+        lastBackgroundHex = currentBackgroundHex;
+        invalidateResolvedDialogueColors();
         updateCharactersStyleSheet();
         updatePersonasStyleSheet();
+        updateSystemStyleSheet();
+        updateSpeakersStyleSheet();
       }
     }, 500)
   );
 
-  themeObserver.observe(document.body, {
+  /** @type {MutationObserverInit} */
+  const themeObserverConfig = {
     attributes: true,
     attributeFilter: ["class", "style"],
-  });
+  };
+  themeObserver.observe(document.body, themeObserverConfig);
+  themeObserver.observe(document.documentElement, themeObserverConfig);
 });
 
 //#endregion Initialization
@@ -0,0 +1,193 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { eventSource, event_types, setUserAvatar } from "./testing/stubs/script.js";
+import { testContext } from "./testing/stubs/scripts/extensions.js";
+import { power_user } from "./testing/stubs/scripts/power-user.js";
+import { SlashCommandParser } from "./testing/stubs/scripts/slash-commands/SlashCommandParser.js";
+import { AVATAR_HUES } from "./testing/fixtures/generate-avatars.js";
+
+import { ExColor } from "./ExColor.js";
+import { CharacterType, STCharacter } from "./STCharacter.js";
+import { CONTRAST_TARGETS, ContrastTargetType, getContrastRatio } from "./contrast-utils.js";
+import { expEventSource, exp_event_type } from "./st-utils.js";
+
+/** @type {typeof import("./index.js")} */
+let extension;
+
+/**
+ * Polls until `condition` returns a truthy value.
+ *
+ * @template T
+ * @param {() => T} condition
+ * @param {string} description What's being waited for, for the timeout error.
+ * @returns {Promise<T>}
+ */
+async function waitFor(condition, description) {
+    const deadline = Date.now() + 10000;
+    for (;;) {
+        const result = condition();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}.`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * @param {string} id
+ * @param {string} uid
+ * @returns {number[]?} The `--character-color` the style sheet gives the author's messages.
+ */
+function getStyledColor(id, uid) {
+    const css = document.getElementById(id)?.textContent ?? "";
+    const selector = `.mes[sdc-author_uid="${uid}"] {`;
+    const rule = css.slice(css.indexOf(selector));
+    const hex = css.includes(selector) ? rule.match(/--character-color: #([0-9a-f]{6});/)?.[1] : null;
+    return hex ? ExColor.hex2rgb(hex).slice(0, 3) : null;
+}
+
+/**
+ * @param {number[]} rgb
+ * @param {number} hue
+ * @returns {boolean}
+ */
+function isCloseToHue(rgb, hue) {
+    const difference = Math.abs(ExColor.rgb2hsl(rgb)[0] * 360 - hue) % 360;
+    return Math.min(difference, 360 - difference) < 15;
+}
+
+before(async () => {
+    testContext.characters = [
+        { name: "Ocean", avatar: "ocean.png" },
+        { name: "Crimson", avatar: "crimson.png" },
+    ];
+    testContext.characterId = "1";
+    power_user.personas = { "violet.png": "Violet" };
+    setUserAvatar("violet.png");
+    // The character editor shows the current character
+    document.getElementById("avatar_url_pole").setAttribute("value", "crimson.png");
+
+    const message = document.createElement("div");
+    message.className = "mes";
+    message.setAttribute("is_user", "false");
+    message.setAttribute("is_system", "false");
+    message.innerHTML = `<div class="mesAvatarWrapper"><div class="avatar"><img src="/thumbnail?type=avatar&file=crimson.png"></div></div>`
+        + `<div class="mes_text"><q>"Hello."</q></div>`;
+    document.getElementById("chat").append(message);
+
+    extension = await import("./index.js");
+    await waitFor(() => document.getElementById("sdc-chars_style_sheet"), "the style sheets");
+    await eventSource.emit(event_types.APP_READY);
+});
+
+describe("makeBetterContrast", () => {
+    test("brightens dark colors for dark themes, keeping the hue and alpha", () => {
+        const rgb = [90, 20, 30, 128];
+        const [l, c, h] = ExColor.rgb2oklch(extension.makeBetterContrast(rgb));
+        assert.ok(Math.abs(l - 0.74) < 0.01);
+        assert.ok(c >= 0.08);
+        assert.ok(Math.abs(h - ExColor.rgb2oklch(rgb)[2]) < 3);
+        assert.equal(extension.makeBetterContrast(rgb)[3], 128);
+        assert.equal(extension.makeBetterContrast([90, 20, 30])[3], 255);
+    });
+
+    test("tones down very bright colors for dark themes", () => {
+        const [l] = ExColor.rgb2oklch(extension.makeBetterContrast([250, 250, 210]));
+        assert.ok(Math.abs(l - 0.86) < 0.01);
+    });
+
+    test("darkens bright colors for light themes", () => {
+        const [l] = ExColor.rgb2oklch(extension.makeBetterContrast([250, 220, 120], true));
+        assert.ok(Math.abs(l - 0.52) < 0.01);
+        const [darkL] = ExColor.rgb2oklch(extension.makeBetterContrast([40, 10, 10], true));
+        assert.ok(Math.abs(darkL - 0.4) < 0.01);
+    });
+
+    test("gives grays some chroma", () => {
+        const [, c] = ExColor.rgb2oklch(extension.makeBetterContrast([128, 128, 128]));
+        assert.ok(Math.abs(c - 0.07) < 0.01);
+    });
+});
+
+describe("style sheets", () => {
+    test("mark the existing messages with their author", () => {
+        const message = document.querySelector("#chat > .mes");
+        assert.equal(message.getAttribute("sdc-author_uid"), "character|crimson.png");
+    });
+
+    test("color the current character from its avatar, readable on the chat", async () => {
+        const rgb = await waitFor(() => getStyledColor("sdc-chars_style_sheet", "character|crimson.png"), "the character styles");
+        assert.ok(isCloseToHue(rgb, AVATAR_HUES["crimson.png"]), ExColor.rgb2hex(rgb));
+        assert.ok(getContrastRatio(rgb, [23, 23, 23]) >= CONTRAST_TARGETS[ContrastTargetType.WCAG_AA].value);
+        assert.equal(getStyledColor("sdc-chars_style_sheet", "character|ocean.png"), null);
+
+        const resolved = await extension.getResolvedDialogueColor(STCharacter.fromAvatar(CharacterType.CHARACTER, "crimson.png"));
+        assert.equal(resolved.toHex(), ExColor.rgb2hex(rgb));
+    });
+
+    test("color the personas from their avatars", async () => {
+        const rgb = await waitFor(() => getStyledColor("sdc-personas_style_sheet", "persona|violet.png"), "the persona styles");
+        assert.ok(isCloseToHue(rgb, AVATAR_HUES["violet.png"]), ExColor.rgb2hex(rgb));
+    });
+
+    test("follow color overrides", async () => {
+        const crimson = STCharacter.fromAvatar(CharacterType.CHARACTER, "crimson.png");
+        extension.setCharacterColorOverride(crimson, "#e0c040");
+        assert.equal((await extension.getResolvedDialogueColor(crimson)).toHex(), "e0c040");
+
+        await waitFor(
+            () => getStyledColor("sdc-chars_style_sheet", crimson.uid)?.join() === "224,192,64",
+            "the override to be styled");
+    });
+});
+
+describe("resolved colors", () => {
+    test("follow overrides of characters outside the chat, announcing the change", async (t) => {
+        const ocean = STCharacter.fromAvatar(CharacterType.CHARACTER, "ocean.png");
+        const avatarColor = (await extension.getResolvedDialogueColor(ocean)).toHex();
+        assert.ok(isCloseToHue(ExColor.hex2rgb(avatarColor), AVATAR_HUES["ocean.png"]), avatarColor);
+
+        const changes = [];
+        const listener = (stChar, color, previousColor) => changes.push([stChar.uid, color, previousColor]);
+        expEventSource.on(exp_event_type.DIALOGUE_COLOR_CHANGED, listener);
+        t.after(() => expEventSource.removeListener(exp_event_type.DIALOGUE_COLOR_CHANGED, listener));
+
+        extension.setCharacterColorOverride(ocean, "#00ff00");
+        assert.equal((await extension.getResolvedDialogueColor(ocean)).toHex(), "00ff00");
+        await waitFor(() => changes.length > 0, "the color change event");
+        assert.deepEqual(changes, [[ocean.uid, "#00ff00", `#${avatarColor}`]]);
+
+        extension.setCharacterColorOverride(ocean, null);
+        await waitFor(() => changes.length > 1, "the color change event");
+        assert.deepEqual(changes[1], [ocean.uid, `#${avatarColor}`, "#00ff00"]);
+        assert.equal((await extension.getResolvedDialogueColor(ocean)).toHex(), avatarColor);
+    });
+
+    test("prefer chat overrides, then card colors, then global overrides", async (t) => {
+        const ocean = STCharacter.fromAvatar(CharacterType.CHARACTER, "ocean.png");
+        const card = testContext.characters.find(character => character.avatar === "ocean.png");
+        t.after(() => {
+            delete card.data;
+            extension.setCharacterColorOverride(ocean, null, "chat");
+            extension.setCharacterColorOverride(ocean, null);
+        });
+
+        card.data = { extensions: { smart_dialogue_colorizer: { color: "#ff8800" } } };
+        extension.setCharacterColorOverride(ocean, "#00ff00");
+        assert.equal((await extension.getResolvedDialogueColor(ocean)).toHex(), "ff8800");
+
+        extension.setCharacterColorOverride(ocean, "#3366ff", "chat");
+        assert.equal((await extension.getResolvedDialogueColor(ocean)).toHex(), "3366ff");
+    });
+
+    test("are returned by /sdc-get after /sdc-color and /sdc-reset", async () => {
+        const { "sdc-color": colorCommand, "sdc-reset": resetCommand, "sdc-get": getCommand } = SlashCommandParser.commands;
+        const avatarColor = await getCommand.callback({ name: "Ocean" });
+
+        await colorCommand.callback({ name: "Ocean" }, "#3366ff");
+        assert.equal(await getCommand.callback({ name: "Ocean" }), "3366ff");
+
+        await resetCommand.callback({ name: "Ocean" });
+        assert.equal(await getCommand.callback({ name: "Ocean" }), avatarColor);
+    });
+});
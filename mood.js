@@ -0,0 +1,178 @@
+import { chat_metadata } from "../../../../script.js";
+import { saveMetadataDebounced } from "../../../extensions.js";
+
+import { ExColor } from "./ExColor.js";
+import { CHAT_METADATA_KEY } from "./chat-overrides.js";
+import { isInAnyChat } from "./st-utils.js";
+
+/**
+ * @typedef {ValueOf<typeof MoodType>} MoodType
+ * @readonly
+ */
+export const MoodType = {
+    NONE: "none",
+    NIGHT: "night",
+    ANGER: "anger",
+    FLASHBACK: "flashback",
+};
+
+/**
+ * A change applied to every color while a mood is active, in OKLCH.
+ *
+ * @typedef {object} MoodTransform
+ * @property {number?} targetHue The hue colors are pulled towards, in degrees, or `null` to keep hues.
+ * @property {number} hueAmount How far hues are pulled towards `targetHue`, in `0-1`.
+ * @property {number} chromaScale The factor chroma is multiplied by.
+ * @property {number} lightnessShift Added to the lightness (`0-1`); the contrast target still applies afterwards.
+ */
+
+/**
+ * @typedef {object} MoodDefinition
+ * @property {string} label The label shown in the settings UI.
+ * @property {string} description The help text shown in the settings UI.
+ * @property {string[]} keywords Words that set the mood when they appear in a message, if keyword detection is on.
+ * @property {MoodTransform?} transform
+ */
+
+/** @type {Record<MoodType, MoodDefinition>} */
+export const MOODS = {
+    [MoodType.NONE]: {
+        label: "None",
+        description: "Colors are shown as they are.",
+        keywords: [],
+        transform: null,
+    },
+    [MoodType.NIGHT]: {
+        label: "Night",
+        description: "Cooler, dimmer colors.",
+        keywords: ["night", "midnight", "nightfall", "moonlight", "moonlit"],
+        transform: { targetHue: 265, hueAmount: 0.35, chromaScale: 0.7, lightnessShift: -0.08 },
+    },
+    [MoodType.ANGER]: {
+        label: "Anger",
+        description: "Colors shifted towards red and intensified.",
+        keywords: ["angry", "furious", "rage", "enraged", "seething"],
+        transform: { targetHue: 25, hueAmount: 0.45, chromaScale: 1.25, lightnessShift: 0 },
+    },
+    [MoodType.FLASHBACK]: {
+        label: "Flashback",
+        description: "Faded, almost colorless colors.",
+        keywords: ["flashback", "years ago", "years earlier", "back then"],
+        transform: { targetHue: null, hueAmount: 0, chromaScale: 0.2, lightnessShift: 0 },
+    },
+};
+
+/** Matches the mood tag of a World Info entry, e.g. `sdc-mood:night` in its title or content. */
+const WORLD_INFO_MOOD_PATTERN = /\bsdc-mood:\s*([a-z]+)/i;
+
+/**
+ * @param {any} mood
+ * @returns {mood is MoodType}
+ */
+export function isMoodType(mood) {
+    return Object.hasOwn(MOODS, mood);
+}
+
+/**
+ * Gets the mood of the current chat.
+ *
+ * @returns {MoodType} {@linkcode MoodType.NONE} if the chat has no mood or there's no chat.
+ */
+export function getChatMood() {
+    const mood = chat_metadata?.[CHAT_METADATA_KEY]?.mood;
+    return isMoodType(mood) ? mood : MoodType.NONE;
+}
+
+/**
+ * Sets the mood of the current chat and saves the chat metadata.
+ *
+ * @param {MoodType} mood
+ * @returns {boolean} Whether the mood changed.
+ * @throws {Error} If no chat is open.
+ */
+export function setChatMood(mood) {
+    if (!isInAnyChat()) {
+        throw new Error("No chat is open; moods are set per chat.");
+    }
+    if (mood === getChatMood()) {
+        return false;
+    }
+
+    const block = chat_metadata[CHAT_METADATA_KEY] ??= {};
+    if (mood === MoodType.NONE) {
+        delete block.mood;
+    } else {
+        block.mood = mood;
+    }
+    saveMetadataDebounced();
+    return true;
+}
+
+/**
+ * Applies a mood's transform to a color. Stored colors aren't changed; this is applied to resolved colors only.
+ *
+ * @param {import("./ExColor.js").ColorArray} rgb
+ * @param {MoodType} mood
+ * @returns {import("./ExColor.js").ColorArray} The transformed color, with the alpha of the original.
+ */
+export function applyMoodTransform(rgb, mood) {
+    const transform = MOODS[mood]?.transform;
+    if (!transform) {
+        return rgb;
+    }
+
+    const [l, c, h] = ExColor.rgb2oklch(rgb);
+    let hue = h;
+    if (transform.targetHue !== null) {
+        // Along the shorter way around the hue circle
+        const delta = ((transform.targetHue - h + 540) % 360) - 180;
+        hue = (h + delta * transform.hueAmount + 360) % 360;
+    }
+    const lightness = Math.min(1, Math.max(0, l + transform.lightnessShift));
+
+    const [r, g, b] = ExColor.oklch2rgb([lightness, c * transform.chromaScale, hue]);
+    return [r, g, b, rgb[3] ?? 255];
+}
+
+/**
+ * Finds the mood a message suggests: the one whose keywords it mentions most often.
+ *
+ * @param {string} text
+ * @returns {MoodType?} The mood, or `null` if no keyword is mentioned.
+ */
+export function detectMoodKeyword(text) {
+    if (!text) return null;
+
+    let bestMood = null;
+    let bestCount = 0;
+    for (const [mood, moodDef] of Object.entries(MOODS)) {
+        let count = 0;
+        for (const keyword of moodDef.keywords) {
+            const pattern = new RegExp(`\\b${keyword.replace(/\s+/g, "\\s+")}\\b`, "gi");
+            count += text.match(pattern)?.length ?? 0;
+        }
+        if (count > bestCount) {
+            bestMood = mood;
+            bestCount = count;
+        }
+    }
+    return bestMood;
+}
+
+/**
+ * Finds the mood set by activated World Info entries, tagged with `sdc-mood:<mood>` in their title or content.
+ *
+ * @param {{ comment?: string, content?: string }[]} entries
+ * @returns {MoodType?} The mood of the last tagged entry, or `null` if no entry is tagged with a known mood.
+ */
+export function findWorldInfoMood(entries) {
+    let foundMood = null;
+    for (const entry of entries ?? []) {
+        const match = `${entry?.comment ?? ""}\n${entry?.content ?? ""}`.match(WORLD_INFO_MOOD_PATTERN);
+        const mood = match?.[1].toLowerCase();
+        if (isMoodType(mood)) {
+            foundMood = mood;
+        }
+    }
+    return foundMood;
+}
@@ -0,0 +1,134 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { chat_metadata } from "./testing/stubs/script.js";
+import { testContext } from "./testing/stubs/scripts/extensions.js";
+
+import { ExColor } from "./ExColor.js";
+import { CHAT_METADATA_KEY } from "./chat-overrides.js";
+import {
+    MoodType,
+    applyMoodTransform,
+    detectMoodKeyword,
+    findWorldInfoMood,
+    getChatMood,
+    setChatMood,
+} from "./mood.js";
+
+/**
+ * Gets the shortest distance between two hues, in degrees.
+ *
+ * @param {number} hueA
+ * @param {number} hueB
+ * @returns {number}
+ */
+function hueDistance(hueA, hueB) {
+    const difference = Math.abs(hueA - hueB) % 360;
+    return Math.min(difference, 360 - difference);
+}
+
+describe("detectMoodKeyword", () => {
+    test("finds the mood whose keywords are mentioned", () => {
+        assert.equal(detectMoodKeyword("The moonlit road was empty."), MoodType.NIGHT);
+        assert.equal(detectMoodKeyword("She was FURIOUS."), MoodType.ANGER);
+    });
+
+    test("matches multi-word keywords across any whitespace", () => {
+        assert.equal(detectMoodKeyword("It happened years\nago."), MoodType.FLASHBACK);
+    });
+
+    test("matches whole words only", () => {
+        assert.equal(detectMoodKeyword("A knightly outrage."), null);
+    });
+
+    test("picks the mood mentioned most often", () => {
+        assert.equal(detectMoodKeyword("Angry at midnight, furious by nightfall... no, enraged."), MoodType.ANGER);
+    });
+
+    test("returns `null` without text or keywords", () => {
+        assert.equal(detectMoodKeyword(""), null);
+        assert.equal(detectMoodKeyword("A sunny afternoon."), null);
+    });
+});
+
+describe("applyMoodTransform", () => {
+    const rgb = [60, 180, 90, 200];
+
+    test("leaves colors unchanged without a mood", () => {
+        assert.equal(applyMoodTransform(rgb, MoodType.NONE), rgb);
+    });
+
+    test("night pulls hues towards blue and dims them", () => {
+        const [l, c, h] = ExColor.rgb2oklch(rgb);
+        const [nightL, nightC, nightH] = ExColor.rgb2oklch(applyMoodTransform(rgb, MoodType.NIGHT));
+
+        assert.ok(hueDistance(nightH, 265) < hueDistance(h, 265));
+        assert.ok(nightC < c);
+        assert.ok(nightL < l);
+    });
+
+    test("anger pulls hues towards red the short way around", () => {
+        // Violet (about 310°) reaches red (25°) faster through 360° than back through green
+        const violet = [150, 60, 200];
+        const [, , h] = ExColor.rgb2oklch(violet);
+        const [, , angryH] = ExColor.rgb2oklch(applyMoodTransform(violet, MoodType.ANGER));
+
+        assert.ok(h > 270);
+        assert.ok(angryH > h || angryH < 25);
+        assert.ok(hueDistance(angryH, 25) < hueDistance(h, 25));
+    });
+
+    test("flashback fades colors but keeps their hue", () => {
+        const [, c, h] = ExColor.rgb2oklch(rgb);
+        const [, fadedC, fadedH] = ExColor.rgb2oklch(applyMoodTransform(rgb, MoodType.FLASHBACK));
+
+        assert.ok(fadedC < c * 0.3);
+        assert.ok(hueDistance(fadedH, h) < 5);
+    });
+
+    test("keeps the alpha", () => {
+        assert.equal(applyMoodTransform(rgb, MoodType.NIGHT)[3], 200);
+        assert.equal(applyMoodTransform([60, 180, 90], MoodType.NIGHT)[3], 255);
+    });
+});
+
+test("findWorldInfoMood uses the last entry tagged with a known mood", () => {
+    const entries = [
+        { comment: "Forest [sdc-mood: night]", content: "Tall trees." },
+        { comment: "Castle", content: "sdc-mood:Anger" },
+        { comment: "Unknown", content: "sdc-mood:joy" },
+        { comment: "Untagged", content: "Nothing here." },
+    ];
+    assert.equal(findWorldInfoMood(entries), MoodType.ANGER);
+    assert.equal(findWorldInfoMood(entries.slice(2)), null);
+    assert.equal(findWorldInfoMood(undefined), null);
+});
+
+describe("chat mood", () => {
+    afterEach(() => {
+        delete chat_metadata[CHAT_METADATA_KEY];
+        testContext.characterId = undefined;
+    });
+
+    test("is stored in the chat metadata", () => {
+        testContext.characterId = "0";
+
+        assert.equal(getChatMood(), MoodType.NONE);
+        assert.equal(setChatMood(MoodType.NIGHT), true);
+        assert.equal(chat_metadata[CHAT_METADATA_KEY].mood, MoodType.NIGHT);
+        assert.equal(getChatMood(), MoodType.NIGHT);
+
+        assert.equal(setChatMood(MoodType.NIGHT), false);
+        assert.equal(setChatMood(MoodType.NONE), true);
+        assert.equal(chat_metadata[CHAT_METADATA_KEY].mood, undefined);
+    });
+
+    test("ignores unknown moods in the metadata", () => {
+        chat_metadata[CHAT_METADATA_KEY] = { mood: "joy" };
+        assert.equal(getChatMood(), MoodType.NONE);
+    });
+
+    test("can't be set outside a chat", () => {
+        assert.throws(() => setChatMood(MoodType.NIGHT), /No chat is open/);
+    });
+});
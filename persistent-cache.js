@@ -0,0 +1,195 @@
+const DB_NAME = "SmartDialogueColorizer";
+const DB_VERSION = 1;
+const STORE_NAME = "swatches";
+/** Oldest entries (by last use) are evicted past this count. */
+const MAX_ENTRIES = 2000;
+
+/**
+ * @typedef {object} PersistentCacheEntry
+ * @property {string} key The full cache key.
+ * @property {string} group Entries in the same group are versions of the same thing; storing one replaces the others.
+ * @property {any} value The cached value. Must be structured-cloneable.
+ * @property {number} lastUsed When the entry was last read or written, as a timestamp.
+ */
+
+/**
+ * @typedef {object} PersistentCacheStats
+ * @property {number} entries The number of stored entries.
+ * @property {number} approxBytes The approximate size of the stored values.
+ * @property {number} hits Lookups served from the cache this session.
+ * @property {number} misses Lookups not in the cache this session.
+ * @property {boolean} available Whether IndexedDB could be opened.
+ */
+
+/** @type {Promise<IDBDatabase?>?} */
+let dbPromise = null;
+let hits = 0;
+let misses = 0;
+
+/**
+ * Opens the cache database, creating it if necessary.
+ * Resolves to `null` if IndexedDB isn't available (e.g. in some private browsing modes),
+ * in which case the cache silently does nothing.
+ *
+ * @returns {Promise<IDBDatabase?>}
+ */
+function openDatabase() {
+    dbPromise ??= new Promise((resolve) => {
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+                store.createIndex("group", "group");
+                store.createIndex("lastUsed", "lastUsed");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn("[SDC] Persistent color cache unavailable:", request.error);
+                resolve(null);
+            };
+        } catch (err) {
+            console.warn("[SDC] Persistent color cache unavailable:", err);
+            resolve(null);
+        }
+    });
+    return dbPromise;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Gets a value from the persistent cache.
+ *
+ * @param {string} key
+ * @returns {Promise<any>} The value, or `undefined` if it isn't cached.
+ */
+export async function getPersistentEntry(key) {
+    const db = await openDatabase();
+    if (!db) return undefined;
+
+    try {
+        const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+        /** @type {PersistentCacheEntry?} */
+        const entry = await promisifyRequest(store.get(key));
+        if (!entry) {
+            misses++;
+            return undefined;
+        }
+
+        hits++;
+        entry.lastUsed = Date.now();
+        store.put(entry);
+        return entry.value;
+    } catch (err) {
+        console.warn("[SDC] Failed to read from the persistent color cache:", err);
+        return undefined;
+    }
+}
+
+/**
+ * Stores a value in the persistent cache, replacing every other entry in the same group.
+ *
+ * @param {string} key
+ * @param {string} group See {@linkcode PersistentCacheEntry.group}.
+ * @param {any} value Must be structured-cloneable.
+ * @returns {Promise<void>}
+ */
+export async function setPersistentEntry(key, group, value) {
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const store = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME);
+        const staleKeys = await promisifyRequest(store.index("group").getAllKeys(group));
+        for (const staleKey of staleKeys) {
+            store.delete(staleKey);
+        }
+        store.put(/** @type {PersistentCacheEntry} */ ({ key, group, value, lastUsed: Date.now() }));
+
+        const count = await promisifyRequest(store.count());
+        if (count > MAX_ENTRIES) {
+            await evictOldest(store, count - MAX_ENTRIES);
+        }
+    } catch (err) {
+        console.warn("[SDC] Failed to write to the persistent color cache:", err);
+    }
+}
+
+/**
+ * Deletes the least recently used entries.
+ *
+ * @param {IDBObjectStore} store
+ * @param {number} count The number of entries to delete.
+ * @returns {Promise<void>}
+ */
+function evictOldest(store, count) {
+    return new Promise((resolve, reject) => {
+        let deleted = 0;
+        const request = store.index("lastUsed").openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || deleted >= count) {
+                resolve();
+                return;
+            }
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Deletes every entry of the persistent cache and resets the statistics.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearPersistentCache() {
+    hits = 0;
+    misses = 0;
+
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        await promisifyRequest(db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).clear());
+    } catch (err) {
+        console.warn("[SDC] Failed to clear the persistent color cache:", err);
+    }
+}
+
+/**
+ * Gets statistics about the persistent cache.
+ *
+ * @returns {Promise<PersistentCacheStats>}
+ */
+export async function getPersistentCacheStats() {
+    const db = await openDatabase();
+    if (!db) {
+        return { entries: 0, approxBytes: 0, hits, misses, available: false };
+    }
+
+    try {
+        const store = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME);
+        /** @type {PersistentCacheEntry[]} */
+        const entries = await promisifyRequest(store.getAll());
+        const approxBytes = entries.reduce((total, entry) => total + entry.key.length + JSON.stringify(entry.value).length, 0);
+        return { entries: entries.length, approxBytes, hits, misses, available: true };
+    } catch (err) {
+        console.warn("[SDC] Failed to read the persistent color cache statistics:", err);
+        return { entries: 0, approxBytes: 0, hits, misses, available: false };
+    }
+}
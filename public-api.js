@@ -0,0 +1,195 @@
+import { ExColor } from "./ExColor.js";
+import { CharacterType, STCharacter } from "./STCharacter.js";
+import { OverrideScope } from "./chat-overrides.js";
+import {
+    getResolvedDialogueColor,
+    refreshColorOverrideUI,
+    setCharacterColorOverride,
+} from "./index.js";
+import { expEventSource, exp_event_type } from "./st-utils.js";
+
+/** The version of the API; incremented when it changes in a way that breaks existing callers. */
+export const API_VERSION = 1;
+
+/** The name of the global the API is published as. */
+const GLOBAL_NAME = "SmartDialogueColorizer";
+
+/**
+ * A character, persona or the System: an {@linkcode STCharacter}, an avatar file name or name,
+ * or an object with an `avatar` property such as a SillyTavern character.
+ *
+ * @typedef {STCharacter | string | { avatar: string }} CharacterRef
+ */
+
+/**
+ * @typedef {object} TargetOptions
+ * @property {CharacterType=} type What `charOrAvatar` refers to when it isn't an {@linkcode STCharacter}:
+ * `character` (the default), `persona` or `system`.
+ */
+
+/**
+ * @typedef {object} OverrideOptions
+ * @property {CharacterType=} type See {@linkcode TargetOptions.type}.
+ * @property {OverrideScope=} scope `global` (the default) to change the override of every chat,
+ * or `chat` for the current chat only.
+ */
+
+/**
+ * @typedef {object} ColorChange
+ * @property {string} uid The character's unique ID (`type|avatar`), as in the `sdc-author_uid` message attribute.
+ * @property {CharacterType} type
+ * @property {string} avatar The avatar file name.
+ * @property {string} name The display name.
+ * @property {string?} color The new color (`#rrggbb`), or `null` if the character is no longer colored.
+ * @property {string?} previousColor The previous color, or `null` if the character wasn't colored.
+ */
+
+/**
+ * @param {CharacterRef} charOrAvatar
+ * @param {CharacterType=} type
+ * @returns {STCharacter}
+ * @throws {TypeError} If `type` is unknown or `charOrAvatar` isn't a character reference.
+ * @throws {Error} If no such character exists.
+ */
+function resolveCharacter(charOrAvatar, type = CharacterType.CHARACTER) {
+    if (charOrAvatar instanceof STCharacter) {
+        return charOrAvatar;
+    }
+    if (!Object.values(CharacterType).includes(type)) {
+        throw new TypeError(`Unknown character type '${type}'.`);
+    }
+    if (type === CharacterType.SYSTEM) {
+        return STCharacter.System;
+    }
+
+    if (charOrAvatar && typeof charOrAvatar === "object" && typeof charOrAvatar.avatar === "string") {
+        return STCharacter.fromAvatar(type, charOrAvatar.avatar);
+    }
+    if (typeof charOrAvatar !== "string" || charOrAvatar.length === 0) {
+        throw new TypeError("Expected an STCharacter, an avatar file name, a name or an object with an 'avatar'.");
+    }
+
+    try {
+        return STCharacter.fromAvatar(type, charOrAvatar);
+    } catch {
+        try {
+            return STCharacter.fromName(type, charOrAvatar);
+        } catch {
+            throw new Error(`Couldn't find ${type} '${charOrAvatar}'.`);
+        }
+    }
+}
+
+/**
+ * @param {OverrideScope=} scope
+ * @returns {OverrideScope}
+ * @throws {TypeError} If the scope is unknown.
+ */
+function validateScope(scope = OverrideScope.GLOBAL) {
+    if (!Object.values(OverrideScope).includes(scope)) {
+        throw new TypeError(`Unknown override scope '${scope}'.`);
+    }
+    return scope;
+}
+
+/**
+ * Gets the color a character's dialogue is shown in, including the adjustments that depend on the
+ * current chat (e.g. distinct group colors).
+ *
+ * @param {CharacterRef} charOrAvatar
+ * @param {TargetOptions=} options
+ * @returns {Promise<string?>} The color as `#rrggbb`, or `null` if the character isn't colored.
+ */
+async function getColor(charOrAvatar, options = {}) {
+    const color = await getResolvedDialogueColor(resolveCharacter(charOrAvatar, options.type));
+    return color ? `#${color.toHex()}` : null;
+}
+
+/**
+ * Sets a character's color override.
+ *
+ * @param {CharacterRef} charOrAvatar
+ * @param {string} color A hex color (`#rgb` or `#rrggbb`, the `#` is optional).
+ * @param {OverrideOptions=} options
+ * @throws {TypeError} If the color isn't a hex color.
+ * @throws {Error} If the scope is the chat and no chat is open.
+ */
+function setOverride(charOrAvatar, color, options = {}) {
+    if (!ExColor.isValidHexString(color)) {
+        throw new TypeError(`'${color}' isn't a hex color.`);
+    }
+
+    const stChar = resolveCharacter(charOrAvatar, options.type);
+    setCharacterColorOverride(stChar, ExColor.getHexWithHash(color), validateScope(options.scope));
+    refreshColorOverrideUI(stChar);
+}
+
+/**
+ * Removes a character's color override, so its color is chosen by the settings again.
+ *
+ * @param {CharacterRef} charOrAvatar
+ * @param {OverrideOptions=} options
+ * @throws {Error} If the scope is the chat and no chat is open.
+ */
+function clearOverride(charOrAvatar, options = {}) {
+    const stChar = resolveCharacter(charOrAvatar, options.type);
+    setCharacterColorOverride(stChar, null, validateScope(options.scope));
+    refreshColorOverrideUI(stChar);
+}
+
+/**
+ * Calls a function whenever the color a character's messages are shown in changes, including when
+ * it is first resolved (e.g. after a chat is opened).
+ *
+ * @param {(change: ColorChange) => void} onColorsChanged
+ * @returns {() => void} Stops calling the function.
+ */
+function subscribe(onColorsChanged) {
+    if (typeof onColorsChanged !== "function") {
+        throw new TypeError("Expected a function.");
+    }
+
+    /**
+     * @param {STCharacter} stChar
+     * @param {string?} color
+     * @param {string?} previousColor
+     */
+    const listener = (stChar, color, previousColor) => {
+        try {
+            onColorsChanged({
+                uid: stChar.uid,
+                type: stChar.type,
+                avatar: stChar.avatarName,
+                name: stChar.displayName,
+                color,
+                previousColor,
+            });
+        } catch (err) {
+            console.error("[SDC] A color change subscriber threw an error:", err);
+        }
+    };
+
+    expEventSource.on(exp_event_type.DIALOGUE_COLOR_CHANGED, listener);
+    return () => expEventSource.removeListener(exp_event_type.DIALOGUE_COLOR_CHANGED, listener);
+}
+
+/**
+ * The API for other extensions and scripts, also published as `window.SmartDialogueColorizer`.
+ * @readonly
+ */
+export const SmartDialogueColorizerApi = Object.freeze({
+    version: API_VERSION,
+    getColor,
+    setOverride,
+    clearOverride,
+    subscribe,
+});
+
+/**
+ * Publishes the API as `window.SmartDialogueColorizer` and announces it with a
+ * `smart-dialogue-colorizer:ready` event on `document`, for extensions that load first.
+ */
+export function registerPublicApi() {
+    globalThis[GLOBAL_NAME] = SmartDialogueColorizerApi;
+    document.dispatchEvent(new CustomEvent("smart-dialogue-colorizer:ready", { detail: SmartDialogueColorizerApi }));
+}
@@ -0,0 +1,226 @@
+import { extension_settings } from "../../../extensions.js";
+
+import { ExColor } from "./ExColor.js";
+import { DEFAULT_COLOR_ADJUSTMENTS, LEGACY_VIBRANCY_BOOST_SATURATION } from "./color-adjustments.js";
+import {
+    COLOR_SETTINGS_KEYS,
+    GLOBAL_SETTINGS_KEYS,
+    SchemeImportMode,
+    validateColorSettings,
+    validateGlobalSettings,
+} from "./color-scheme.js";
+import { ColorVisionDeficiency } from "./color-vision.js";
+import { ColorizeSourceType } from "./index.js";
+
+/** The version of the settings written by this version of the extension. */
+export const SETTINGS_VERSION = 2;
+
+/**
+ * The names the original Dialogue Colorizer Plus (`xdc-`) extension stores its settings under, in the order
+ * they are looked for when this extension runs for the first time.
+ */
+export const LEGACY_EXTENSION_NAMES = ["SillyTavern-Dialogue-Colorizer-Plus", "SillyTavern-Dialogue-Colorizer"];
+
+/** The per-type settings sections. */
+const COLOR_SETTINGS_SECTIONS = ["charColorSettings", "personaColorSettings", "systemColorSettings"];
+
+/** The per-type settings of the original extension that mean the same here. */
+const LEGACY_COLOR_SETTINGS_KEYS = ["colorizeSource", "staticColor", "colorOverrides", "colorNameText"];
+
+/**
+ * @typedef {object} SettingsMigration
+ * @property {number} version The version the step upgrades the settings to.
+ * @property {string} description What the step changes, for the log.
+ * @property {(settings: any) => void} migrate Upgrades the settings in place.
+ */
+
+/** @type {SettingsMigration[]} */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: "the 'Boost vibrancy' checkbox becomes the equivalent saturation adjustment",
+        migrate(settings) {
+            for (const colorSettings of [settings.charColorSettings, settings.personaColorSettings]) {
+                if (!colorSettings || typeof colorSettings !== "object" || !("boostVibrancy" in colorSettings)) continue;
+
+                if (colorSettings.boostVibrancy === true && !colorSettings.adjustments) {
+                    colorSettings.adjustments = {
+                        ...DEFAULT_COLOR_ADJUSTMENTS,
+                        saturation: LEGACY_VIBRANCY_BOOST_SATURATION,
+                    };
+                }
+                delete colorSettings.boostVibrancy;
+            }
+        },
+    },
+    {
+        version: 2,
+        description: "the 'Avatar Vibrant' color source of Dialogue Colorizer Plus becomes 'Avatar Smart'",
+        migrate(settings) {
+            for (const section of COLOR_SETTINGS_SECTIONS) {
+                if (settings[section]?.colorizeSource === "avatar_vibrant") {
+                    settings[section].colorizeSource = ColorizeSourceType.AVATAR_SMART;
+                }
+            }
+        },
+    },
+];
+
+/**
+ * Gets the settings of the original Dialogue Colorizer Plus extension, converted to the oldest version of
+ * this extension's settings so the migration steps bring them up to date.
+ *
+ * @returns {object?} The converted settings, or `null` if the original extension's settings aren't found.
+ */
+export function importLegacySettings() {
+    const legacyName = LEGACY_EXTENSION_NAMES.find(name => extension_settings[name]?.charColorSettings);
+    if (!legacyName) {
+        return null;
+    }
+
+    const legacySettings = extension_settings[legacyName];
+    const settings = { settingsVersion: 0 };
+    for (const section of ["charColorSettings", "personaColorSettings"]) {
+        const legacyColorSettings = legacySettings[section];
+        if (!legacyColorSettings || typeof legacyColorSettings !== "object") continue;
+
+        settings[section] = Object.fromEntries(LEGACY_COLOR_SETTINGS_KEYS
+            .filter(key => legacyColorSettings[key] !== undefined)
+            .map(key => [key, structuredClone(legacyColorSettings[key])]));
+    }
+
+    console.info(`[SDC] Imported the settings of '${legacyName}'.`);
+    return settings;
+}
+
+/**
+ * Runs the migration steps the settings haven't had yet.
+ *
+ * @param {any} settings The settings to upgrade in place.
+ */
+export function migrateSettings(settings) {
+    const fromVersion = Number.isInteger(settings.settingsVersion) ? settings.settingsVersion : 0;
+    if (fromVersion > SETTINGS_VERSION) {
+        console.warn(`[SDC] The settings were saved by a newer version of the extension (settings version ${fromVersion}, supported up to ${SETTINGS_VERSION}).`);
+        return;
+    }
+
+    for (const step of MIGRATIONS) {
+        if (step.version <= fromVersion) continue;
+
+        step.migrate(settings);
+        console.info(`[SDC] Upgrading the settings to version ${step.version}: ${step.description}.`);
+    }
+    settings.settingsVersion = SETTINGS_VERSION;
+}
+
+/**
+ * @param {Record<string, any>} npcRosters
+ * @param {string} avatarName
+ * @param {any} roster
+ * @param {string[]} warnings The list to add warnings to.
+ */
+function repairNpcRoster(npcRosters, avatarName, roster, warnings) {
+    if (!Array.isArray(roster)) {
+        warnings.push(`Ignored invalid NPC roster of '${avatarName}'.`);
+        delete npcRosters[avatarName];
+        return;
+    }
+
+    const validRoster = roster.filter(entry =>
+        typeof entry?.name === "string" && entry.name.trim() && ExColor.isValidHexString(entry.color));
+    if (validRoster.length < roster.length) {
+        warnings.push(`Ignored ${roster.length - validRoster.length} invalid NPC roster entries of '${avatarName}'.`);
+    }
+    if (validRoster.length > 0) {
+        npcRosters[avatarName] = validRoster.map(entry => ({ name: entry.name.trim(), color: ExColor.getHexWithHash(entry.color) }));
+    } else {
+        delete npcRosters[avatarName];
+    }
+}
+
+/**
+ * Removes invalid values from the settings, so the defaults are used for them instead.
+ *
+ * @param {any} settings The settings to repair in place.
+ * @returns {string[]} A description of every value that was removed.
+ */
+export function repairSettings(settings) {
+    /** @type {string[]} */
+    const warnings = [];
+
+    for (const section of COLOR_SETTINGS_SECTIONS) {
+        const colorSettings = settings[section];
+        if (colorSettings === undefined) continue;
+
+        const validSettings = validateColorSettings(colorSettings, section, warnings);
+        if (!colorSettings || typeof colorSettings !== "object") {
+            // Already reported; the defaults replace the whole section
+            delete settings[section];
+            continue;
+        }
+        for (const key of COLOR_SETTINGS_KEYS) {
+            if (Object.hasOwn(validSettings, key)) {
+                colorSettings[key] = validSettings[key];
+            } else {
+                delete colorSettings[key];
+            }
+        }
+    }
+
+    const validGlobalSettings = validateGlobalSettings(settings, warnings);
+    for (const key of GLOBAL_SETTINGS_KEYS) {
+        if (Object.hasOwn(validGlobalSettings, key)) {
+            settings[key] = validGlobalSettings[key];
+        } else {
+            delete settings[key];
+        }
+    }
+
+    for (const [key, enumType] of [["schemeImportMode", SchemeImportMode], ["colorVisionDeficiency", ColorVisionDeficiency]]) {
+        if (settings[key] !== undefined && !Object.values(enumType).includes(settings[key])) {
+            warnings.push(`Ignored unknown '${key}' value '${settings[key]}'.`);
+            delete settings[key];
+        }
+    }
+    for (const key of ["saveOverridesToCards", "colorBlindSafeGroups", "speakerAttribution", "moodKeywordDetection"]) {
+        if (settings[key] !== undefined && typeof settings[key] !== "boolean") {
+            warnings.push(`Ignored invalid '${key}' value.`);
+            delete settings[key];
+        }
+    }
+
+    if (settings.npcRosters !== undefined) {
+        if (settings.npcRosters && typeof settings.npcRosters === "object" && !Array.isArray(settings.npcRosters)) {
+            for (const [avatarName, roster] of Object.entries(settings.npcRosters)) {
+                repairNpcRoster(settings.npcRosters, avatarName, roster, warnings);
+            }
+        } else {
+            warnings.push("Ignored invalid 'npcRosters' value.");
+            delete settings.npcRosters;
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Brings saved settings up to date, for use with {@linkcode import("./settings-utils.js").initializeSettings}:
+ * imports the original extension's settings on the first run, runs the migration steps and repairs
+ * invalid values. The defaults are filled in afterwards.
+ *
+ * @param {any} savedSettings The saved settings, or `undefined` on the first run.
+ * @returns {object}
+ */
+export function upgradeSettings(savedSettings) {
+    const settings = savedSettings && typeof savedSettings === "object" && !Array.isArray(savedSettings)
+        ? savedSettings
+        : importLegacySettings() ?? { settingsVersion: SETTINGS_VERSION };
+
+    migrateSettings(settings);
+    const warnings = repairSettings(settings);
+    if (warnings.length > 0) {
+        console.warn("[SDC] Repaired invalid settings:", warnings);
+    }
+    return settings;
+}
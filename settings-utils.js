@@ -81,16 +81,57 @@ export class STExtensionSettingsWrapper {
     }
 }
 
+/**
+ * @param {any} value
+ * @returns {boolean} `true` if the value is an object but not an array (or `null`).
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Fills in the values missing from saved settings with copies of the defaults, recursing into nested objects.
+ * Arrays and other values that are present are kept as saved; keys the defaults don't have are kept too.
+ * A saved value that should be an object but isn't is replaced by the default.
+ *
+ * @template T
+ * @param {T} defaultValue
+ * @param {any} savedValue
+ * @returns {T}
+ */
+export function mergeDefaults(defaultValue, savedValue) {
+    if (savedValue === undefined) {
+        return structuredClone(defaultValue);
+    }
+    if (!isPlainObject(defaultValue)) {
+        return savedValue;
+    }
+    if (!isPlainObject(savedValue)) {
+        return structuredClone(defaultValue);
+    }
+
+    const merged = { ...savedValue };
+    for (const [key, value] of Object.entries(defaultValue)) {
+        merged[key] = mergeDefaults(value, savedValue[key]);
+    }
+    return merged;
+}
+
 /**
  * Ensures the settings dictionary for the specified extension is initialized and then returns it.
  * 
  * @template TSettings
  * @param {string} extensionName 
  * @param {TSettings=} defaultSettings 
+ * @param {((savedSettings: any) => any)=} upgrade Brings the saved settings (`undefined` on the first run) up to date
+ * before the defaults are filled in, e.g. by migrating them from an older version.
  * @returns {TSettings}
  */
-export function initializeSettings(extensionName, defaultSettings) {
-    const savedSettings = extension_settings[extensionName];
-    extension_settings[extensionName] = Object.assign({}, defaultSettings ? structuredClone(defaultSettings) : {}, savedSettings);
+export function initializeSettings(extensionName, defaultSettings, upgrade) {
+    let savedSettings = extension_settings[extensionName];
+    if (upgrade) {
+        savedSettings = upgrade(savedSettings);
+    }
+    extension_settings[extensionName] = mergeDefaults(defaultSettings ?? {}, savedSettings ?? {});
     return extension_settings[extensionName];
-}
\ No newline at end of file
+}
@@ -0,0 +1,301 @@
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from "../../../slash-commands/SlashCommandArgument.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+
+import { ExColor } from "./ExColor.js";
+import { CharacterType, STCharacter } from "./STCharacter.js";
+import { OverrideScope } from "./chat-overrides.js";
+import {
+    ColorizeSourceType,
+    getResolvedDialogueColor,
+    refreshColorOverrideUI,
+    setCharacterColorOverride,
+    setColorizeSource,
+    setMood,
+} from "./index.js";
+import { MOODS, getChatMood, isMoodType } from "./mood.js";
+import { getCurrentCharacter, getCurrentPersona } from "./st-utils.js";
+
+/** The values accepted by the `type` argument, mapped to the character type they select. */
+const TARGET_TYPES = {
+    character: CharacterType.CHARACTER,
+    persona: CharacterType.PERSONA,
+};
+
+/**
+ * Gets the character or persona a command targets.
+ * With no name, the current chat character (or the current persona for `type=persona`) is used.
+ *
+ * @param {string=} name A character/persona name or avatar file name.
+ * @param {string=} type `character` or `persona`.
+ * @returns {STCharacter?} The target, or `null` (after warning the user) if it couldn't be found.
+ */
+function resolveTarget(name, type) {
+    const charType = TARGET_TYPES[String(type || "character").toLowerCase()];
+    if (!charType) {
+        toastr.warning(`Unknown type '${type}'. Use 'character' or 'persona'.`, "Dialogue Colorizer");
+        return null;
+    }
+
+    if (!name) {
+        const stChar = charType === CharacterType.PERSONA ? getCurrentPersona() : getCurrentCharacter();
+        if (!stChar) {
+            toastr.warning("No character is selected; specify one with name=...", "Dialogue Colorizer");
+        }
+        return stChar;
+    }
+
+    try {
+        return STCharacter.fromName(charType, name);
+    } catch {
+        try {
+            return STCharacter.fromAvatar(charType, name);
+        } catch {
+            toastr.warning(`Couldn't find ${charType} '${name}'.`, "Dialogue Colorizer");
+            return null;
+        }
+    }
+}
+
+/**
+ * Sets or clears an override, warning the user if it can't be stored in the requested scope.
+ *
+ * @param {STCharacter} stChar
+ * @param {string?} colorHex
+ * @param {string=} scope `global` or `chat`.
+ * @returns {boolean} Whether the override was changed.
+ */
+function applyOverride(stChar, colorHex, scope) {
+    const overrideScope = String(scope || OverrideScope.GLOBAL).toLowerCase();
+    if (!Object.values(OverrideScope).includes(overrideScope)) {
+        toastr.warning(`Unknown scope '${scope}'. Use 'global' or 'chat'.`, "Dialogue Colorizer");
+        return false;
+    }
+
+    try {
+        setCharacterColorOverride(stChar, colorHex, overrideScope);
+    } catch (err) {
+        toastr.warning(err.message, "Dialogue Colorizer");
+        return false;
+    }
+    refreshColorOverrideUI(stChar);
+    return true;
+}
+
+/**
+ * Creates the `scope` named argument of the commands that change overrides.
+ * @returns {SlashCommandNamedArgument}
+ */
+function createScopeArgument() {
+    return SlashCommandNamedArgument.fromProps({
+        name: "scope",
+        description: "Whether the override applies everywhere or in the current chat only.",
+        typeList: [ARGUMENT_TYPE.STRING],
+        defaultValue: OverrideScope.GLOBAL,
+        enumList: Object.values(OverrideScope),
+        isRequired: false,
+    });
+}
+
+/**
+ * Creates the `name` and `type` named arguments shared by the per-character commands.
+ * @returns {SlashCommandNamedArgument[]}
+ */
+function createTargetArguments() {
+    return [
+        SlashCommandNamedArgument.fromProps({
+            name: "name",
+            description: "The character or persona name (or avatar file name). Defaults to the current character/persona.",
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired: false,
+        }),
+        SlashCommandNamedArgument.fromProps({
+            name: "type",
+            description: "Whether to target a character or a persona.",
+            typeList: [ARGUMENT_TYPE.STRING],
+            defaultValue: "character",
+            enumList: Object.keys(TARGET_TYPES),
+            isRequired: false,
+        }),
+    ];
+}
+
+/**
+ * @param {{ name?: string, type?: string, scope?: string }} args
+ * @param {string} value
+ * @returns {string}
+ */
+function onColorCommand(args, value) {
+    const colorHex = String(value ?? "").trim();
+    if (!ExColor.isValidHexString(colorHex)) {
+        toastr.warning(`'${colorHex}' isn't a valid hex color.`, "Dialogue Colorizer");
+        return "";
+    }
+
+    const stChar = resolveTarget(args.name, args.type);
+    if (!stChar) return "";
+
+    const normalizedHex = ExColor.getHexWithHash(colorHex);
+    return applyOverride(stChar, normalizedHex, args.scope) ? normalizedHex : "";
+}
+
+/**
+ * @param {{ name?: string, type?: string, scope?: string }} args
+ * @returns {string}
+ */
+function onResetCommand(args) {
+    const stChar = resolveTarget(args.name, args.type);
+    if (!stChar) return "";
+
+    applyOverride(stChar, null, args.scope);
+    return "";
+}
+
+/**
+ * @param {{ type?: string }} args
+ * @param {string} value
+ * @returns {string}
+ */
+function onSourceCommand(args, value) {
+    const charType = TARGET_TYPES[String(args.type || "character").toLowerCase()];
+    if (!charType) {
+        toastr.warning(`Unknown type '${args.type}'. Use 'character' or 'persona'.`, "Dialogue Colorizer");
+        return "";
+    }
+
+    const colorizeSource = String(value ?? "").trim().toLowerCase();
+    if (!Object.values(ColorizeSourceType).includes(colorizeSource)) {
+        toastr.warning(`Unknown color source '${colorizeSource}'. Use one of: ${Object.values(ColorizeSourceType).join(", ")}.`, "Dialogue Colorizer");
+        return "";
+    }
+
+    setColorizeSource(charType, colorizeSource);
+    return colorizeSource;
+}
+
+/**
+ * @param {{ name?: string, type?: string }} args
+ * @returns {Promise<string>}
+ */
+async function onGetCommand(args) {
+    const stChar = resolveTarget(args.name, args.type);
+    if (!stChar) return "";
+
+    const color = await getResolvedDialogueColor(stChar);
+    return color ? color.toHex() : "";
+}
+
+/**
+ * @param {object} _args
+ * @param {string} value
+ * @returns {string}
+ */
+function onMoodCommand(_args, value) {
+    const mood = String(value ?? "").trim().toLowerCase();
+    if (!mood) {
+        return getChatMood();
+    }
+    if (!isMoodType(mood)) {
+        toastr.warning(`Unknown mood '${mood}'. Use one of: ${Object.keys(MOODS).join(", ")}.`, "Dialogue Colorizer");
+        return "";
+    }
+
+    try {
+        setMood(mood);
+    } catch (err) {
+        toastr.warning(err.message, "Dialogue Colorizer");
+        return "";
+    }
+    return mood;
+}
+
+/**
+ * Registers the extension's slash commands.
+ */
+export function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "sdc-color",
+        callback: onColorCommand,
+        returns: "the color that was set",
+        namedArgumentList: [...createTargetArguments(), createScopeArgument()],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "The hex color, e.g. #ff8800.",
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>Sets the dialogue color override for a character or persona, everywhere or (with <code>scope=chat</code>) in the current chat only.</div>
+            <div><strong>Example:</strong> <code>/sdc-color name=Seraphina #ff8800</code></div>
+            <div><strong>Example:</strong> <code>/sdc-color name=Seraphina scope=chat #8b0000</code></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "sdc-reset",
+        callback: onResetCommand,
+        namedArgumentList: [...createTargetArguments(), createScopeArgument()],
+        helpString: `
+            <div>Removes the dialogue color override of a character or persona, everywhere or (with <code>scope=chat</code>) in the current chat only.</div>
+            <div><strong>Example:</strong> <code>/sdc-reset type=persona</code></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "sdc-source",
+        callback: onSourceCommand,
+        returns: "the color source that was set",
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: "type",
+                description: "Whether to change the character or the persona settings.",
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: "character",
+                enumList: Object.keys(TARGET_TYPES),
+                isRequired: false,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "The color source.",
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.values(ColorizeSourceType),
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>Sets the color source used for characters or personas.</div>
+            <div><strong>Example:</strong> <code>/sdc-source type=persona static_color</code></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "sdc-get",
+        callback: onGetCommand,
+        returns: "the hex color of the character's dialogue, or an empty string if it isn't colored",
+        namedArgumentList: createTargetArguments(),
+        helpString: `
+            <div>Gets the dialogue color currently used for a character or persona, e.g. for use in scripts.</div>
+            <div><strong>Example:</strong> <code>/sdc-get name=Seraphina | /echo</code></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: "sdc-mood",
+        callback: onMoodCommand,
+        returns: "the chat's mood",
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: "The mood to set. Leave empty to get the current mood.",
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(MOODS),
+                isRequired: false,
+            }),
+        ],
+        helpString: `
+            <div>Sets the mood of the current chat, which shifts every dialogue color without changing the colors you picked. Use <code>none</code> to clear it, or no argument to get the current mood.</div>
+            <div><strong>Example:</strong> <code>/sdc-mood night</code></div>
+        `,
+    }));
+}
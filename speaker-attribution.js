@@ -0,0 +1,103 @@
+/**
+ * @typedef {object} RosterEntry
+ * @property {string} name The NPC's name as it appears in messages.
+ * @property {string} color The hex color of the NPC's dialogue.
+ */
+
+/**
+ * Matches the quotes SillyTavern wraps in `<q>` elements, in the same order. Code spans and blocks are
+ * matched (without a capture) so the quotes inside them, which aren't wrapped, are skipped.
+ */
+const QUOTE_PATTERN = /```[\s\S]*?```|~~~[\s\S]*?~~~|``[\s\S]*?``|`[\s\S]*?`|(".*?"|“.*?”|«.*?»|「.*?」|『.*?』|＂.*?＂)/g;
+
+/** Verbs that attribute a quote to the name next to them, e.g. `"...", Anna said`. */
+const SPEECH_VERBS = [
+    "said", "says", "asked", "asks", "replied", "replies", "answered", "answers", "added", "adds",
+    "whispered", "whispers", "shouted", "shouts", "yelled", "yells", "called", "calls", "cried", "cries",
+    "muttered", "mutters", "murmured", "murmurs", "exclaimed", "exclaims", "continued", "continues",
+    "growled", "growls", "snapped", "snaps",
+].join("|");
+
+/** How far (in characters) after a quote a speech tag is looked for. */
+const SPEECH_TAG_LOOKAHEAD = 60;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Gets the key a speaker is identified by in the DOM (the `sdc-speaker` attribute of quotes).
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function getSpeakerKey(name) {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Works out who speaks each quote of a message, recognizing the roster's names in these patterns:
+ * - `Name: "..."` at the start of a line (the whole line is theirs),
+ * - `<Name>"..."</Name>` tags,
+ * - speech tags: `"...", Name said`, `"...", said Name` and `Name said, "..."`.
+ *
+ * @param {string} text The raw message text.
+ * @param {string[]} names The roster's names.
+ * @returns {(string?)[]} The speaker of each quote, as written in the roster, in the order the quotes
+ * appear in the rendered message; `null` for quotes that aren't attributed to a roster name.
+ */
+export function attributeQuotes(text, names) {
+    const validNames = names.map(name => name.trim()).filter(name => name.length > 0);
+    if (!text || validNames.length === 0) return [];
+
+    /** @type {Map<string, string>} Roster names keyed by {@linkcode getSpeakerKey}. */
+    const namesByKey = new Map(validNames.map(name => [getSpeakerKey(name), name]));
+    // Longest first, so "Anna Lee" wins over "Anna"
+    const namePattern = validNames
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join("|");
+    const markup = "[*_]*";
+
+    const linePrefixPattern = new RegExp(`^\\s*${markup}(${namePattern})${markup}\\s*:`, "i");
+    const tagPattern = new RegExp(`<(${namePattern})>([\\s\\S]*?)</\\1>`, "gi");
+    const tagAfterPattern = new RegExp(
+        `^\\s*[,.!?]?\\s*(?:${markup}(${namePattern})${markup}\\s+(?:${SPEECH_VERBS})\\b|(?:${SPEECH_VERBS})\\s+${markup}(${namePattern})${markup}(?![\\w]))`,
+        "i");
+    const tagBeforePattern = new RegExp(`${markup}(${namePattern})${markup}\\s+(?:${SPEECH_VERBS})\\s*[,:]?\\s*$`, "i");
+
+    /** @type {{ start: number, end: number, name: string }[]} */
+    const taggedRanges = [];
+    for (const match of text.matchAll(tagPattern)) {
+        taggedRanges.push({ start: match.index, end: match.index + match[0].length, name: match[1] });
+    }
+
+    /** @type {(string?)[]} */
+    const speakers = [];
+    for (const match of text.matchAll(QUOTE_PATTERN)) {
+        if (match[1] === undefined) continue; // Code, not a quote
+
+        const start = match.index;
+        const end = start + match[0].length;
+        // Attribution never crosses lines, so a speech tag on the next line isn't taken for this quote's
+        const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+        const nextNewline = text.indexOf("\n", end);
+        const lineEnd = nextNewline === -1 ? text.length : nextNewline;
+        const before = text.slice(lineStart, start);
+        const after = text.slice(end, Math.min(lineEnd, end + SPEECH_TAG_LOOKAHEAD));
+
+        const afterMatch = after.match(tagAfterPattern);
+        const speaker = taggedRanges.find(range => range.start <= start && end <= range.end)?.name
+            ?? before.match(linePrefixPattern)?.[1]
+            ?? afterMatch?.[1] ?? afterMatch?.[2]
+            ?? before.match(tagBeforePattern)?.[1]
+            ?? null;
+
+        speakers.push(speaker ? namesByKey.get(getSpeakerKey(speaker)) ?? null : null);
+    }
+    return speakers;
+}
@@ -0,0 +1,62 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { attributeQuotes, getSpeakerKey } from "./speaker-attribution.js";
+
+const ROSTER = ["Anna", "Anna Lee", "Marcus"];
+
+describe("attributeQuotes", () => {
+    test("attributes the quotes of a line to its `Name:` prefix", () => {
+        const text = 'Anna: "Hello." She smiles. "How are you?"\nMarcus: "Fine."';
+        assert.deepEqual(attributeQuotes(text, ROSTER), ["Anna", "Anna", "Marcus"]);
+    });
+
+    test("allows markup around the prefix and matches names case-insensitively", () => {
+        assert.deepEqual(attributeQuotes('**marcus**: "Over here!"', ROSTER), ["Marcus"]);
+    });
+
+    test("prefers the longest matching name", () => {
+        assert.deepEqual(attributeQuotes('Anna Lee: "It\'s me."', ROSTER), ["Anna Lee"]);
+    });
+
+    test("attributes quotes inside `<Name>` tags", () => {
+        const text = '<Marcus>"Stay back," he warns. "I mean it."</Marcus> "Who said that?"';
+        assert.deepEqual(attributeQuotes(text, ROSTER), ["Marcus", "Marcus", null]);
+    });
+
+    test("attributes quotes by speech verbs before and after them", () => {
+        const text = [
+            '"Come in," Anna said.',
+            '"Thanks!" replied Marcus.',
+            'Marcus whispered, "Quiet."',
+        ].join("\n");
+        assert.deepEqual(attributeQuotes(text, ROSTER), ["Anna", "Marcus", "Marcus"]);
+    });
+
+    test("doesn't take a speech tag from the next line", () => {
+        assert.deepEqual(attributeQuotes('"Hm."\nAnna said nothing.', ROSTER), [null]);
+    });
+
+    test("leaves unattributed quotes and unknown names as `null`", () => {
+        const text = '"Anyone there?" Nobody answered. Stranger: "Me." "Who?" asked Bob.';
+        assert.deepEqual(attributeQuotes(text, ROSTER), [null, null, null]);
+    });
+
+    test("skips quotes in code, which SillyTavern doesn't wrap", () => {
+        const text = 'Anna: `say("hi")` "Done."\n```\nMarcus: "x"\n```';
+        assert.deepEqual(attributeQuotes(text, ROSTER), ["Anna"]);
+    });
+
+    test("recognizes the other quote styles", () => {
+        assert.deepEqual(attributeQuotes("Anna: “Hi.” «Salut.» 「やあ」", ROSTER), ["Anna", "Anna", "Anna"]);
+    });
+
+    test("returns no speakers without text or names", () => {
+        assert.deepEqual(attributeQuotes("", ROSTER), []);
+        assert.deepEqual(attributeQuotes('Anna: "Hi."', ["", "  "]), []);
+    });
+});
+
+test("getSpeakerKey ignores case and surrounding whitespace", () => {
+    assert.equal(getSpeakerKey("  Anna Lee "), getSpeakerKey("anna lee"));
+});
@@ -44,6 +44,14 @@ export const exp_event_type = {
      * @param {HTMLElement} removedMessage
      */
     MESSAGE_REMOVED: "message_removed",
+    /**
+     * Emitted when the color a character's messages are shown in changes, including when it is first resolved.
+     * Receives the character, its new hex color and its previous hex color.
+     * @param {STCharacter} character The character whose color changed.
+     * @param {string?} color The new color (`#rrggbb`), or `null` if the character is no longer colored.
+     * @param {string?} previousColor The previous color, or `null` if the character wasn't colored.
+     */
+    DIALOGUE_COLOR_CHANGED: "dialogue_color_changed",
 };
 
 /**
@@ -0,0 +1,183 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { setUserAvatar } from "./testing/stubs/script.js";
+import { testContext } from "./testing/stubs/scripts/extensions.js";
+import { power_user } from "./testing/stubs/scripts/power-user.js";
+
+import { CharacterType, STCharacter } from "./STCharacter.js";
+import {
+    expEventSource,
+    exp_event_type,
+    getAllCharacters,
+    getAllPersonas,
+    getCharacterBeingEdited,
+    getCurrentCharacter,
+    getCurrentGroupCharacters,
+    getCurrentPersona,
+    getMessageAuthor,
+    isInAnyChat,
+    isInCharacterChat,
+    isInGroupChat,
+} from "./st-utils.js";
+
+/** @type {(() => void)[]} */
+let stopRecording = [];
+
+/**
+ * Collects the arguments of every emission of an event until the test ends.
+ *
+ * @param {string} eventType
+ * @returns {any[]}
+ */
+function recordEvents(eventType) {
+    const received = [];
+    const listener = (arg) => received.push(arg);
+    expEventSource.on(eventType, listener);
+    stopRecording.push(() => expEventSource.removeListener(eventType, listener));
+    return received;
+}
+
+/** Waits for the mutation observers to run. */
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+/**
+ * @param {string} avatarSrc
+ * @param {{ isUser?: boolean, isSystem?: boolean }} [options]
+ * @returns {HTMLElement}
+ */
+function createMessage(avatarSrc, { isUser = false, isSystem = false } = {}) {
+    const message = document.createElement("div");
+    message.className = "mes";
+    message.setAttribute("is_user", String(isUser));
+    message.setAttribute("is_system", String(isSystem));
+    message.innerHTML = `<div class="mesAvatarWrapper"><div class="avatar"><img src="${avatarSrc}"></div></div>`;
+    return message;
+}
+
+beforeEach(() => {
+    testContext.characters = [
+        { name: "Ocean", avatar: "ocean.png" },
+        { name: "Lady Lake", avatar: "lady lake.png" },
+    ];
+    power_user.personas = { "violet.png": "Violet", "forest.png": "Forest" };
+});
+
+afterEach(() => {
+    stopRecording.forEach(stop => stop());
+    stopRecording = [];
+    testContext.characters = [];
+    testContext.groups = [];
+    testContext.characterId = undefined;
+    testContext.groupId = null;
+    power_user.personas = {};
+    document.getElementById("user_avatar_block").replaceChildren();
+    document.getElementById("chat").replaceChildren();
+});
+
+describe("events", () => {
+    test("are emitted when the character card changes", async () => {
+        const received = recordEvents(exp_event_type.CHAR_CARD_CHANGED);
+        const avatarUrl = document.getElementById("avatar_url_pole");
+
+        avatarUrl.setAttribute("value", "lady lake.png");
+        await nextTask();
+        assert.equal(getCharacterBeingEdited().uid, "character|lady lake.png");
+
+        // Cleared while SillyTavern creates a new character
+        avatarUrl.setAttribute("value", "");
+        await nextTask();
+
+        assert.deepEqual(received.map(character => character.uid), ["character|lady lake.png"]);
+    });
+
+    test("are emitted when personas are added, selected and removed", async () => {
+        const added = recordEvents(exp_event_type.PERSONA_ADDED);
+        const changed = recordEvents(exp_event_type.PERSONA_CHANGED);
+        const removed = recordEvents(exp_event_type.PERSONA_REMOVED);
+        const avatarBlock = document.getElementById("user_avatar_block");
+
+        const persona = document.createElement("div");
+        persona.className = "avatar";
+        persona.setAttribute("imgfile", "User Avatars/violet.png");
+        const other = document.createElement("div");
+        other.className = "avatar-container";
+        avatarBlock.append(persona, other);
+        await nextTask();
+
+        persona.classList.add("selected");
+        await nextTask();
+        persona.remove();
+        other.remove();
+        await nextTask();
+
+        for (const received of [added, changed, removed]) {
+            assert.deepEqual(received.map(character => character.uid), ["persona|violet.png"]);
+        }
+    });
+
+    test("are emitted when messages are added to and removed from the chat", async () => {
+        const added = recordEvents(exp_event_type.MESSAGE_ADDED);
+        const removed = recordEvents(exp_event_type.MESSAGE_REMOVED);
+        const chat = document.getElementById("chat");
+
+        const message = createMessage("/thumbnail?type=avatar&file=ocean.png");
+        chat.append(message, document.createElement("hr"), "text");
+        await nextTask();
+        chat.replaceChildren();
+        await nextTask();
+
+        assert.deepEqual(added, [message]);
+        assert.deepEqual(removed, [message]);
+    });
+});
+
+describe("chat state", () => {
+    test("is read from SillyTavern's context", () => {
+        assert.equal(isInAnyChat(), false);
+        assert.equal(getCurrentCharacter(), null);
+        assert.equal(getCurrentGroupCharacters(), null);
+
+        testContext.characterId = "1";
+        assert.equal(isInCharacterChat(), true);
+        assert.equal(isInAnyChat(), true);
+        assert.equal(getCurrentCharacter().uid, "character|lady lake.png");
+    });
+
+    test("lists the members of the current group", () => {
+        testContext.groups = [{ id: "7", members: ["ocean.png", "lady lake.png"] }];
+        testContext.groupId = "7";
+
+        assert.equal(isInGroupChat(), true);
+        assert.equal(isInCharacterChat(), false);
+        assert.deepEqual(getCurrentGroupCharacters().map(character => character.avatarName), ["ocean.png", "lady lake.png"]);
+    });
+
+    test("lists all characters and personas", () => {
+        assert.deepEqual(getAllCharacters().map(character => character.uid), ["character|ocean.png", "character|lady lake.png"]);
+        assert.deepEqual(getAllPersonas().map(persona => persona.uid), ["persona|violet.png", "persona|forest.png"]);
+
+        setUserAvatar("forest.png");
+        assert.equal(getCurrentPersona().displayName, "Forest");
+    });
+});
+
+describe("getMessageAuthor", () => {
+    test("finds characters by their thumbnail", () => {
+        const author = getMessageAuthor(createMessage("/thumbnail?type=avatar&file=lady%20lake.png"));
+        assert.equal(author.type, CharacterType.CHARACTER);
+        assert.equal(author.avatarName, "lady lake.png");
+    });
+
+    test("finds personas for user messages", () => {
+        assert.equal(getMessageAuthor(createMessage("/thumbnail?type=persona&file=violet.png", { isUser: true })).uid, "persona|violet.png");
+        assert.equal(getMessageAuthor(createMessage("/User Avatars/forest.png", { isUser: true })).uid, "persona|forest.png");
+    });
+
+    test("finds the system, even without the is_system attribute", () => {
+        assert.equal(getMessageAuthor(createMessage("img/five.png", { isSystem: true })).uid, STCharacter.System.uid);
+        assert.equal(getMessageAuthor(createMessage("img/five.png")).type, CharacterType.SYSTEM);
+    });
+});
@@ -0,0 +1,211 @@
+import { PaletteVariant, getPaletteVariable } from "./character-palette.js";
+import { compositeOver, ensureContrast } from "./contrast-utils.js";
+import { COLOR_PLACEHOLDER, DEFAULT_TARGET_RULE, getTargetRuleSelector } from "./target-rules.js";
+
+/**
+ * @typedef {ValueOf<typeof StylingModeType>} StylingModeType
+ * @readonly
+ */
+export const StylingModeType = {
+    BUBBLE_TINT: "bubbleTint",
+    AVATAR_RING: "avatarRing",
+    ACCENT_BAR: "accentBar",
+    NAME_BADGE: "nameBadge",
+};
+
+/**
+ * @typedef {object} StylingModeDefinition
+ * @property {string} label The label shown in the settings UI.
+ * @property {string} description The help text shown in the settings UI.
+ */
+
+/** @type {Record<StylingModeType, StylingModeDefinition>} */
+export const STYLING_MODES = {
+    [StylingModeType.BUBBLE_TINT]: {
+        label: "Tint message background",
+        description: "Tints the author's messages with their color. Dialogue colors are made readable on the tinted background.",
+    },
+    [StylingModeType.AVATAR_RING]: {
+        label: "Avatar ring",
+        description: "Draws a ring in the author's color around their avatar.",
+    },
+    [StylingModeType.ACCENT_BAR]: {
+        label: "Left accent bar",
+        description: "Draws a bar in the author's color along the left edge of their messages.",
+    },
+    [StylingModeType.NAME_BADGE]: {
+        label: "Name badge",
+        description: "Shows the author's name on a badge in their color, with black or white text, whichever is more readable.",
+    },
+};
+
+/** @type {Record<StylingModeType, boolean>} */
+export const DEFAULT_STYLING_MODES = {
+    [StylingModeType.BUBBLE_TINT]: false,
+    [StylingModeType.AVATAR_RING]: false,
+    [StylingModeType.ACCENT_BAR]: false,
+    [StylingModeType.NAME_BADGE]: false,
+};
+
+/**
+ * @typedef {object} StylingModeRule
+ * @property {string} selector The element styled, relative to the message; empty for the message itself.
+ * @property {string} property The CSS property set.
+ * @property {string} value The property's value, where `{color}` is replaced by the author's color.
+ */
+
+/**
+ * The CSS of the modes that style one element, in the form of a target rule (see `target-rules.js`).
+ * They're also the Custom Targets presets, so a mode and its preset never style the same effect twice.
+ *
+ * @type {Partial<Record<StylingModeType, StylingModeRule>>}
+ */
+export const STYLING_MODE_RULES = {
+    // An image layer over the theme's bubble color, so the background color the readability
+    // adjustments measure stays the theme's
+    [StylingModeType.BUBBLE_TINT]: {
+        selector: "",
+        property: "background-image",
+        value: `linear-gradient(${COLOR_PLACEHOLDER}, ${COLOR_PLACEHOLDER})`,
+    },
+    [StylingModeType.AVATAR_RING]: {
+        selector: ".mesAvatarWrapper .avatar img, .sdc-preview-avatar",
+        property: "box-shadow",
+        value: `0 0 0 2px ${COLOR_PLACEHOLDER}`,
+    },
+    [StylingModeType.ACCENT_BAR]: {
+        selector: "",
+        property: "box-shadow",
+        value: `inset 3px 0 0 0 ${COLOR_PLACEHOLDER}`,
+    },
+};
+
+/** The opacity of the message background tint. */
+export const BUBBLE_TINT_ALPHA_RANGE = Object.freeze({ min: 0.05, max: 0.5, step: 0.05 });
+export const DEFAULT_BUBBLE_TINT_ALPHA = 0.15;
+
+/**
+ * @typedef {object} TargetRulePreset
+ * @property {string} label The label shown in the settings UI.
+ * @property {string} description The help text shown in the settings UI.
+ * @property {import("./target-rules.js").TargetRule} rule
+ */
+
+/**
+ * Rules users can add with one click in Custom Targets: the {@linkcode STYLING_MODE_RULES}, as editable rules.
+ *
+ * @type {Readonly<Record<string, TargetRulePreset>>}
+ */
+export const TARGET_RULE_PRESETS = Object.freeze(Object.fromEntries(
+    Object.entries(STYLING_MODE_RULES).map(([mode, modeRule]) => [mode, {
+        label: STYLING_MODES[mode].label,
+        description: `The '${STYLING_MODES[mode].label}' message styling, as a rule you can change.`,
+        rule: {
+            ...DEFAULT_TARGET_RULE,
+            ...modeRule,
+            opacity: mode === StylingModeType.BUBBLE_TINT ? Math.round(DEFAULT_BUBBLE_TINT_ALPHA * 100) : 100,
+        },
+    }]),
+));
+
+/**
+ * Colors derived from an author's color for the styling modes.
+ *
+ * @typedef {object} CompanionColors
+ * @property {[number, number, number, number]?} bubbleTint The translucent tint (`[r, g, b, a]`, alpha in `0-1`),
+ * or `null` if messages aren't tinted.
+ * @property {number[]} textBackground The opaque background the text is on: the tinted background, or the background.
+ * @property {import("./ExColor.js").ColorArray} dialogue The author's color, made readable on `textBackground`.
+ */
+
+/**
+ * Gets whether a styling mode is enabled, falling back to the default for modes added after the settings were saved.
+ *
+ * @param {Partial<Record<StylingModeType, boolean>>=} stylingModes
+ * @param {StylingModeType} mode
+ * @returns {boolean}
+ */
+export function isStylingModeEnabled(stylingModes, mode) {
+    return stylingModes?.[mode] ?? DEFAULT_STYLING_MODES[mode];
+}
+
+/**
+ * Derives the companion colors of an author's color.
+ *
+ * @param {import("./ExColor.js").ColorArray} rgb The author's dialogue color.
+ * @param {number[]} background The opaque background the messages are on.
+ * @param {object} options
+ * @param {boolean} options.bubbleTint Whether messages are tinted.
+ * @param {number} options.bubbleTintAlpha The tint's opacity in `0-1`.
+ * @param {import("./contrast-utils.js").ContrastTargetType} options.contrastTarget The contrast the dialogue must keep on the tint.
+ * @returns {CompanionColors}
+ */
+export function deriveCompanionColors(rgb, background, options) {
+    const [r, g, b] = rgb;
+
+    /** @type {[number, number, number, number]?} */
+    let bubbleTint = null;
+    let textBackground = background;
+    let dialogue = rgb;
+    if (options.bubbleTint) {
+        bubbleTint = [r, g, b, options.bubbleTintAlpha];
+        textBackground = compositeOver(bubbleTint, background);
+        dialogue = ensureContrast(rgb, textBackground, options.contrastTarget).rgb;
+    }
+
+    return { bubbleTint, textBackground, dialogue };
+}
+
+/**
+ * @param {StylingModeType} mode A mode with a {@linkcode STYLING_MODE_RULES} entry.
+ * @param {string} messageSelector The selector of the author's messages.
+ * @param {string} color The CSS color the rule applies.
+ * @returns {string}
+ */
+function compileModeRule(mode, messageSelector, color) {
+    const rule = STYLING_MODE_RULES[mode];
+    return `
+            ${getTargetRuleSelector(messageSelector, rule.selector)} {
+                ${rule.property}: ${rule.value.replaceAll(COLOR_PLACEHOLDER, color)};
+            }
+        `;
+}
+
+/**
+ * Compiles the enabled styling modes into CSS for one author's messages. The rules use `--character-color`
+ * and the palette variables, so they must be in the same style sheet as the author's color variables.
+ *
+ * @param {Partial<Record<StylingModeType, boolean>>} stylingModes
+ * @param {string} messageSelector The selector of the author's messages.
+ * @param {CompanionColors} companions
+ * @returns {string}
+ */
+export function compileStylingModes(stylingModes, messageSelector, companions) {
+    let css = "";
+
+    if (companions.bubbleTint) {
+        const [r, g, b, a] = companions.bubbleTint;
+        css += `
+            ${messageSelector} {
+                --character-bubble-color: rgba(${r}, ${g}, ${b}, ${a});
+            }
+        `;
+        css += compileModeRule(StylingModeType.BUBBLE_TINT, messageSelector, "var(--character-bubble-color)");
+    }
+    for (const mode of [StylingModeType.AVATAR_RING, StylingModeType.ACCENT_BAR]) {
+        if (isStylingModeEnabled(stylingModes, mode)) {
+            css += compileModeRule(mode, messageSelector, "var(--character-color)");
+        }
+    }
+    if (isStylingModeEnabled(stylingModes, StylingModeType.NAME_BADGE)) {
+        css += `
+            ${messageSelector} .name_text {
+                background-color: var(--character-color);
+                color: var(${getPaletteVariable(PaletteVariant.CONTRAST_TEXT)});
+                padding: 0 0.4em;
+                border-radius: 0.4em;
+            }
+        `;
+    }
+    return css;
+}
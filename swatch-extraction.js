@@ -0,0 +1,261 @@
+import "./Vibrant.min.js";
+import "./color-thief.umd.js"; // Color Thief fallback for missing swatches
+import { applyFocusMask } from "./focus-region.js";
+
+// Swatch extraction shared by the main thread and the extraction worker (`extraction-worker.js`).
+// Nothing here may depend on the DOM beyond `document.createElement("canvas")`, which the worker shims.
+
+/** @type {VibrantConstructor} */
+export const Vibrant = globalThis["Vibrant"];
+const ColorThief = globalThis["ColorThief"];
+
+/**
+ * @typedef {Object.<string, {rgb: number[], population: number, isColorThiefFallback: boolean}>} SerializedSwatches
+ * Swatches as plain objects, which can be posted between threads and stored in IndexedDB.
+ */
+
+/**
+ * RGB to HSL conversion for color classification.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{h: number, s: number, l: number}} HSL values (h: 0-360, s: 0-100, l: 0-100)
+ */
+function rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    let h, s, l = (max + min) / 2;
+
+    if (max === min) {
+        h = s = 0; // achromatic
+    } else {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        switch (max) {
+            case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
+            case g: h = ((b - r) / d + 2) / 6; break;
+            case b: h = ((r - g) / d + 4) / 6; break;
+        }
+    }
+
+    return { h: h * 360, s: s * 100, l: l * 100 };
+}
+
+/**
+ * Classifies a color based on Vibrant.js criteria.
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} Classification like "Vibrant", "DarkMuted", etc.
+ */
+function classifyColor(r, g, b) {
+    const hsl = rgbToHsl(r, g, b);
+    const saturation = hsl.s;
+    const lightness = hsl.l;
+
+    const isVibrant = saturation > 40;
+    const vibrancyType = isVibrant ? 'Vibrant' : 'Muted';
+
+    let lightnessType = '';
+    if (lightness < 40) {
+        lightnessType = 'Dark';
+    } else if (lightness > 60) {
+        lightnessType = 'Light';
+    }
+
+    return lightnessType ? `${lightnessType}${vibrancyType}` : vibrancyType;
+}
+
+/**
+ * Takes a loaded image and downscales it onto a canvas for fast color analysis.
+ * @param {HTMLImageElement | ImageBitmap} image The fully loaded source image.
+ * @param {number} maxDimension The maximum width or height of the scaled-down canvas.
+ * @returns {HTMLCanvasElement | OffscreenCanvas} A canvas containing the downscaled image
+ * (an `OffscreenCanvas` in the worker).
+ */
+function createDownscaledCanvas(image, maxDimension = 256) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    let width = image.width;
+    let height = image.height;
+
+    // Calculate the new dimensions to maintain aspect ratio
+    if (width > height) {
+        if (width > maxDimension) {
+            height *= maxDimension / width;
+            width = maxDimension;
+        }
+    } else {
+        if (height > maxDimension) {
+            width *= maxDimension / height;
+            height = maxDimension;
+        }
+    }
+    
+    // Round the dimensions to the nearest whole number
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+
+    // Draw the image onto the canvas, which performs the resizing
+    ctx.drawImage(image, 0, 0, width, height);
+
+    // Patch for ColorThief compatibility:
+    // ColorThief expects 'naturalWidth' and 'naturalHeight' properties which exist on Images but not Canvases.
+    // We add them manually so ColorThief can process this downscaled canvas without error.
+    // @ts-ignore
+    canvas.naturalWidth = canvas.width;
+    // @ts-ignore
+    canvas.naturalHeight = canvas.height;
+
+    return canvas;
+}
+
+/**
+ * Gets a palette from Color Thief, classifies each color into a Vibrant.js category,
+ * and returns a swatch object compatible with Vibrant.js.
+ * @param {HTMLCanvasElement | OffscreenCanvas} image The canvas to analyze.
+ * @param {number} paletteSize The number of colors to extract.
+ * @returns {Object.<string, Object>} A dictionary of classified swatches.
+ * @throws {Error} If Color Thief fails to extract a palette from the image
+ */
+function getColorThiefSwatches(image, paletteSize = 12) {
+    const colorThief = new ColorThief();
+    // Extract a larger palette of colors
+    const palette = colorThief.getPalette(image, paletteSize);
+    
+    // Validate that Color Thief returned a valid palette array
+    // getPalette() can return null or false on failure
+    if (!palette || !Array.isArray(palette) || palette.length === 0) {
+        throw new Error('[SDC] Color Thief failed to extract palette from image');
+    }
+    
+    const classifiedSwatches = {};
+    const usedCategories = new Set();
+    
+    // Classify each color and assign it to the first available category slot
+    for (const color of palette) {
+        const classification = classifyColor(color[0], color[1], color[2]);
+        
+        // Only assign if this category hasn't been filled yet
+        // This ensures the first (and likely most dominant) color for a category wins
+        if (classification && !usedCategories.has(classification)) {
+            classifiedSwatches[classification] = {
+                // Color Thief gives RGB array, so we create a mock Swatch object
+                isColorThiefFallback: true,
+                getRgb: () => color,
+                getHex: () => '#' + color.map(x => {
+                    const hex = x.toString(16);
+                    return hex.length === 1 ? '0' + hex : hex;
+                }).join(''),
+            };
+            usedCategories.add(classification);
+        }
+    }
+    
+    return classifiedSwatches;
+}
+
+/**
+ * Runs Vibrant.js on a canvas and fills in any missing swatches with Color Thief.
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas The (downscaled, masked) image to analyze.
+ * @returns {Object.<string, Object>} Dictionary of swatches
+ */
+function extractSwatches(canvas) {
+    // Get the initial results from Vibrant.js
+    // quality=64 (faster), colorCount=12 (better palette variety)
+    const vibrant = new Vibrant(canvas, 64, 12);
+    let swatches = vibrant.swatches();
+    
+    // Define all the swatches we absolutely require
+    const requiredSwatches = [
+        'Vibrant', 'DarkVibrant', 'LightVibrant',
+        'Muted', 'DarkMuted', 'LightMuted'
+    ];
+
+    // Check if any of the required swatches are missing from the result
+    const isMissingSwatches = requiredSwatches.some(swatchName => !swatches[swatchName]);
+    
+    // If ANY swatch is missing, run the Color Thief fallback to fill the gaps
+    if (isMissingSwatches) {
+        try {
+            // Get the classified swatches from Color Thief
+            const colorThiefSwatches = getColorThiefSwatches(canvas, 12);
+            
+            // Create a new merged swatch object. Start with Vibrant.js results.
+            const mergedSwatches = { ...swatches };
+
+            // Intelligently fill in the blanks
+            for (const swatchName of requiredSwatches) {
+                // If the original swatches are missing this one,
+                if (!mergedSwatches[swatchName] && colorThiefSwatches[swatchName]) {
+                    mergedSwatches[swatchName] = colorThiefSwatches[swatchName];
+                }
+            }
+            
+            // The final result is the merged object
+            swatches = mergedSwatches;
+
+        } catch (err) {
+            console.warn('[SDC] Color Thief fallback failed:', err);
+        }
+    }
+
+    return swatches;
+}
+
+/**
+ * Hashes the pixels of a canvas (32-bit FNV-1a), so cached results can be tied to the image content.
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas
+ * @returns {string} The hash as a hex string, prefixed with the canvas size.
+ */
+function hashCanvasPixels(canvas) {
+    const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < data.length; i++) {
+        hash ^= data[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${canvas.width}x${canvas.height}-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Converts swatches to plain objects that can be stored in IndexedDB.
+ * @param {Object.<string, Object>} swatches
+ * @returns {SerializedSwatches}
+ */
+function serializeSwatches(swatches) {
+    return Object.fromEntries(Object.entries(swatches)
+        .filter(([, swatch]) => swatch)
+        .map(([swatchName, swatch]) => [swatchName, {
+            rgb: swatch.getRgb().map(channel => Math.round(channel)),
+            population: swatch.getPopulation ? swatch.getPopulation() : 1,
+            isColorThiefFallback: !!swatch.isColorThiefFallback,
+        }]));
+}
+
+/**
+ * Downscales an image for analysis and hashes the result, so a persistent cache lookup can be made
+ * before running the (expensive) extraction.
+ * @param {HTMLImageElement | ImageBitmap} image The fully loaded source image.
+ * @returns {{canvas: HTMLCanvasElement | OffscreenCanvas, hash: string}} The downscaled canvas, to pass to
+ * {@linkcode extractPreparedSwatches}, and its pixel hash.
+ */
+export function prepareImage(image) {
+    const canvas = createDownscaledCanvas(image);
+    return { canvas, hash: hashCanvasPixels(canvas) };
+}
+
+/**
+ * Extracts the swatches of a canvas returned by {@linkcode prepareImage}.
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas The downscaled image. Modified by the focus mask.
+ * @param {import("./focus-region.js").ExtractionOptions=} extractionOptions Which part of the image to analyze.
+ * @returns {SerializedSwatches}
+ */
+export function extractPreparedSwatches(canvas, extractionOptions) {
+    applyFocusMask(canvas, extractionOptions);
+    return serializeSwatches(extractSwatches(canvas));
+}
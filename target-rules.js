@@ -0,0 +1,261 @@
+/**
+ * @typedef {ValueOf<typeof TargetMixColor>} TargetMixColor
+ * @readonly
+ */
+export const TargetMixColor = {
+    NONE: "none",
+    WHITE: "white",
+    BLACK: "black",
+    /** The background the colors are made readable on (the chat background). */
+    BACKGROUND: "background",
+};
+
+/**
+ * A user-defined rule that applies a character's color to more of their messages than the dialogue.
+ *
+ * @typedef {object} TargetRule
+ * @property {boolean} enabled
+ * @property {string} selector The elements to style, relative to the message (`.mes`). Empty styles the message itself.
+ * @property {string} property The CSS property to set, e.g. `color` or `border-left-color`.
+ * @property {string} value The property's value, where `{color}` is replaced by the color, e.g. `3px solid {color}`.
+ * @property {number} opacity The color's opacity in percent.
+ * @property {TargetMixColor} mixWith The color the character's color is mixed with.
+ * @property {number} mixAmount How much of {@linkcode TargetRule.mixWith} is mixed in, in percent.
+ */
+
+/** The placeholder in {@linkcode TargetRule.value} that is replaced by the color. */
+export const COLOR_PLACEHOLDER = "{color}";
+
+/** @type {Readonly<TargetRule>} */
+export const DEFAULT_TARGET_RULE = Object.freeze({
+    enabled: true,
+    selector: ".mes_text em",
+    property: "color",
+    value: COLOR_PLACEHOLDER,
+    opacity: 100,
+    mixWith: TargetMixColor.NONE,
+    mixAmount: 0,
+});
+
+/** Custom properties and standard (possibly vendor-prefixed) property names. */
+const PROPERTY_PATTERN = /^(--[\w-]+|-?[a-z][a-z-]*)$/i;
+/**
+ * Characters that would let a selector or value end its declaration or rule, close the style element,
+ * or escape out of the CSS string it ends up in.
+ */
+const UNSAFE_CHARACTERS = /[{};<>\\`]/;
+/** Comments, which would swallow the rules after them, and the functions that make the page load a resource. */
+const UNSAFE_TOKENS = /\/\*|\*\/|\b(?:url|src|image|image-set)\(/i;
+
+/**
+ * Checks whether a string opened in the text is never closed, which would swallow the rules after it.
+ * Escapes don't need to be handled, as backslashes are rejected.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasUnclosedString(text) {
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === "\"" || char === "'") {
+            quote = char;
+        }
+    }
+    return quote !== null;
+}
+
+/**
+ * Checks whether text can be put in the style sheet without breaking out of its declaration or rule, closing
+ * the style element, commenting out the rules after it, or loading resources.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isSafeCssText(text) {
+    return !UNSAFE_CHARACTERS.test(text) && !UNSAFE_TOKENS.test(text) && !hasUnclosedString(text);
+}
+
+/**
+ * Checks whether a selector can be used in a target rule.
+ *
+ * @param {string} selector
+ * @returns {boolean} `true` if the selector is empty (the message itself) or valid.
+ */
+export function isValidTargetSelector(selector) {
+    if (typeof selector !== "string") return false;
+    if (selector.trim() === "") return true;
+    if (!isSafeCssText(selector)) return false;
+
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a property name can be used in a target rule.
+ *
+ * @param {string} property
+ * @returns {boolean}
+ */
+export function isValidTargetProperty(property) {
+    return typeof property === "string" && PROPERTY_PATTERN.test(property.trim());
+}
+
+/**
+ * Checks whether a value template can be used in a target rule.
+ *
+ * @param {string} value
+ * @returns {boolean} `true` if the value contains the color placeholder and nothing unsafe.
+ */
+export function isValidTargetValue(value) {
+    return typeof value === "string"
+        && value.includes(COLOR_PLACEHOLDER)
+        && isSafeCssText(value.replaceAll(COLOR_PLACEHOLDER, ""));
+}
+
+/**
+ * @param {any} value
+ * @param {number} fallback
+ * @returns {number} The value clamped to `0-100`, or the fallback if it isn't a number.
+ */
+function sanitizePercent(value, fallback) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return fallback;
+    return Math.min(100, Math.max(0, Math.round(value)));
+}
+
+/**
+ * Gets a rule with the shape of a {@linkcode TargetRule} from possibly incomplete or corrupted data. The selector,
+ * property and value are kept even if they're invalid, so a rule that's being typed isn't lost when it's saved;
+ * see {@linkcode getTargetRuleErrors}.
+ *
+ * @param {any} data
+ * @returns {TargetRule?} The rule, or `null` if the data isn't a rule at all.
+ */
+export function normalizeTargetRule(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) return null;
+
+    return {
+        enabled: typeof data.enabled === "boolean" ? data.enabled : true,
+        selector: typeof data.selector === "string" ? data.selector.trim() : "",
+        property: typeof data.property === "string" ? data.property.trim() : "",
+        value: typeof data.value === "string" ? data.value.trim() : COLOR_PLACEHOLDER,
+        opacity: sanitizePercent(data.opacity, 100),
+        mixWith: Object.values(TargetMixColor).includes(data.mixWith) ? data.mixWith : TargetMixColor.NONE,
+        mixAmount: sanitizePercent(data.mixAmount, 0),
+    };
+}
+
+/**
+ * Gets the rules of a list, valid or not, dropping the entries that aren't rules at all.
+ *
+ * @param {any} data
+ * @returns {TargetRule[]}
+ */
+export function normalizeTargetRules(data) {
+    if (!Array.isArray(data)) return [];
+    return data.map(normalizeTargetRule).filter(rule => rule !== null);
+}
+
+/**
+ * Gets what keeps a rule from being applied.
+ *
+ * @param {TargetRule} rule
+ * @returns {Partial<Record<"selector" | "property" | "value", string>>} A message for each invalid field; empty if the rule is valid.
+ */
+export function getTargetRuleErrors(rule) {
+    /** @type {Partial<Record<"selector" | "property" | "value", string>>} */
+    const errors = {};
+    if (!isValidTargetSelector(rule.selector)) {
+        errors.selector = "The selector isn't a valid CSS selector.";
+    }
+    if (!isValidTargetProperty(rule.property)) {
+        errors.property = "The property isn't a valid CSS property name.";
+    }
+    if (!isValidTargetValue(rule.value)) {
+        errors.value = `The value must contain ${COLOR_PLACEHOLDER} and can't contain { } ; < > \\ \`, comments, url() or unclosed quotes.`;
+    }
+    return errors;
+}
+
+/**
+ * Gets a valid rule from possibly incomplete or corrupted data.
+ *
+ * @param {any} data
+ * @returns {TargetRule?} The rule, or `null` if its selector, property or value is invalid.
+ */
+export function sanitizeTargetRule(data) {
+    const rule = normalizeTargetRule(data);
+    return rule && Object.keys(getTargetRuleErrors(rule)).length === 0 ? rule : null;
+}
+
+/**
+ * Gets the valid rules of a list, dropping the invalid ones.
+ *
+ * @param {any} data
+ * @returns {TargetRule[]}
+ */
+export function sanitizeTargetRules(data) {
+    if (!Array.isArray(data)) return [];
+    return data.map(sanitizeTargetRule).filter(rule => rule !== null);
+}
+
+/**
+ * Gets the CSS color a rule applies: the character's color, mixed and made transparent as the rule says.
+ *
+ * @param {TargetRule} rule
+ * @param {number[]} background The background the colors are made readable on, as `[r, g, b]`.
+ * @returns {string}
+ */
+function getRuleColor(rule, background) {
+    let color = "var(--character-color)";
+    if (rule.mixWith !== TargetMixColor.NONE && rule.mixAmount > 0) {
+        const mixColor = rule.mixWith === TargetMixColor.BACKGROUND
+            ? `rgb(${background[0]}, ${background[1]}, ${background[2]})`
+            : rule.mixWith;
+        color = `color-mix(in srgb, ${color}, ${mixColor} ${rule.mixAmount}%)`;
+    }
+    if (rule.opacity < 100) {
+        color = `color-mix(in srgb, ${color} ${rule.opacity}%, transparent)`;
+    }
+    return color;
+}
+
+/**
+ * Gets the selector a rule styles: the elements its selector matches within the messages, or the messages.
+ *
+ * @param {string} messageSelector The selector of the character's messages.
+ * @param {string} selector The rule's selector, relative to the message.
+ * @returns {string}
+ */
+export function getTargetRuleSelector(messageSelector, selector) {
+    return selector ? `${messageSelector} :is(${selector})` : messageSelector;
+}
+
+/**
+ * Compiles the enabled rules into CSS for one character's messages. Invalid rules are skipped. The rules use
+ * `--character-color`, so they must be in the same style sheet as the character's color variables.
+ *
+ * @param {TargetRule[]} rules
+ * @param {string} messageSelector The selector of the character's messages.
+ * @param {number[]} background The background the colors are made readable on, as `[r, g, b]`.
+ * @returns {string}
+ */
+export function compileTargetRules(rules, messageSelector, background) {
+    let css = "";
+    for (const rule of sanitizeTargetRules(rules)) {
+        if (!rule.enabled) continue;
+
+        const value = rule.value.replaceAll(COLOR_PLACEHOLDER, getRuleColor(rule, background));
+        css += `
+            ${getTargetRuleSelector(messageSelector, rule.selector)} {
+                ${rule.property}: ${value};
+            }
+        `;
+    }
+    return css;
+}
@@ -0,0 +1,165 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    COLOR_PLACEHOLDER,
+    DEFAULT_TARGET_RULE,
+    TargetMixColor,
+    compileTargetRules,
+    getTargetRuleErrors,
+    isValidTargetProperty,
+    isValidTargetSelector,
+    isValidTargetValue,
+    normalizeTargetRule,
+    normalizeTargetRules,
+    sanitizeTargetRule,
+    sanitizeTargetRules,
+} from "./target-rules.js";
+
+/** The characters that could break out of a declaration, the rule, the style element or a CSS string. */
+const UNSAFE_CHARACTERS = ["{", "}", ";", "<", ">", "\\", "`"];
+
+describe("target rule validation", () => {
+    test("accepts valid and empty selectors", () => {
+        for (const selector of ["", "  ", ".mes_text em", ".name_text, .timestamp", "q:not(.sdc-speaker)"]) {
+            assert.equal(isValidTargetSelector(selector), true, selector);
+        }
+    });
+
+    test("rejects selectors CSS can't parse", () => {
+        for (const selector of [".mes_text (", "[name=", "::", 42]) {
+            assert.equal(isValidTargetSelector(selector), false, String(selector));
+        }
+    });
+
+    test("rejects selectors with unsafe characters", () => {
+        for (const char of UNSAFE_CHARACTERS) {
+            assert.equal(isValidTargetSelector(`.mes_text${char}em`), false, char);
+        }
+        assert.equal(isValidTargetSelector("em} body {color: red"), false);
+        assert.equal(isValidTargetSelector("em</style><script>"), false);
+    });
+
+    test("rejects selectors with comments, resource loads or unclosed quotes", () => {
+        for (const selector of [".mes_text em /*", "em */", "em[title=\"x]", "em[title='x]", ".mes_text:is(url(x))"]) {
+            assert.equal(isValidTargetSelector(selector), false, selector);
+        }
+        assert.equal(isValidTargetSelector("em[title=\"it's\"]"), true);
+    });
+
+    test("accepts standard, vendor-prefixed and custom properties", () => {
+        for (const property of ["color", "border-left-color", "-webkit-text-stroke-color", "--my-color"]) {
+            assert.equal(isValidTargetProperty(property), true, property);
+        }
+        for (const property of ["", "color;", "color: red", "1px", "{color}"]) {
+            assert.equal(isValidTargetProperty(property), false, property);
+        }
+    });
+
+    test("requires the color placeholder in values", () => {
+        assert.equal(isValidTargetValue(`3px solid ${COLOR_PLACEHOLDER}`), true);
+        assert.equal(isValidTargetValue("red"), false);
+    });
+
+    test("rejects values with unsafe characters outside the placeholder", () => {
+        for (const char of UNSAFE_CHARACTERS) {
+            assert.equal(isValidTargetValue(`${COLOR_PLACEHOLDER}${char}`), false, char);
+        }
+        assert.equal(isValidTargetValue(`${COLOR_PLACEHOLDER}; background: url(x)`), false);
+    });
+
+    test("rejects values with comments, resource loads or unclosed quotes", () => {
+        for (const value of [
+            `${COLOR_PLACEHOLDER} /*`,
+            `${COLOR_PLACEHOLDER} */`,
+            `url(https://example.com/x.png) ${COLOR_PLACEHOLDER}`,
+            `URL( x.png) ${COLOR_PLACEHOLDER}`,
+            `image-set("x.png" 1x) ${COLOR_PLACEHOLDER}`,
+            `-webkit-image-set("x.png" 1x) ${COLOR_PLACEHOLDER}`,
+            `src("x.png") ${COLOR_PLACEHOLDER}`,
+            `${COLOR_PLACEHOLDER} "`,
+            `'${COLOR_PLACEHOLDER}`,
+        ]) {
+            assert.equal(isValidTargetValue(value), false, value);
+        }
+        assert.equal(isValidTargetValue(`linear-gradient(${COLOR_PLACEHOLDER}, transparent)`), true);
+    });
+
+    test("reports an error for each invalid field", () => {
+        const errors = getTargetRuleErrors({ ...DEFAULT_TARGET_RULE, selector: "em {", value: "red" });
+        assert.deepEqual(Object.keys(errors).sort(), ["selector", "value"]);
+        assert.deepEqual(getTargetRuleErrors(DEFAULT_TARGET_RULE), {});
+    });
+});
+
+describe("normalizeTargetRule", () => {
+    test("keeps invalid fields, so rules being typed aren't lost", () => {
+        const rule = normalizeTargetRule({ selector: " em { ", property: "color", value: "red" });
+        assert.equal(rule.selector, "em {");
+        assert.equal(rule.value, "red");
+    });
+
+    test("fills in and clamps the other fields", () => {
+        assert.deepEqual(normalizeTargetRule({ enabled: "yes", opacity: 150.4, mixWith: "purple", mixAmount: -5 }), {
+            enabled: true,
+            selector: "",
+            property: "",
+            value: COLOR_PLACEHOLDER,
+            opacity: 100,
+            mixWith: TargetMixColor.NONE,
+            mixAmount: 0,
+        });
+    });
+
+    test("drops data that isn't a rule", () => {
+        assert.equal(normalizeTargetRule(null), null);
+        assert.equal(normalizeTargetRule([DEFAULT_TARGET_RULE]), null);
+        assert.equal(normalizeTargetRules([DEFAULT_TARGET_RULE, "rule", { selector: "em {" }]).length, 2);
+        assert.deepEqual(normalizeTargetRules("rules"), []);
+    });
+});
+
+describe("sanitizeTargetRule", () => {
+    test("drops rules with invalid fields", () => {
+        assert.deepEqual(sanitizeTargetRule(DEFAULT_TARGET_RULE), DEFAULT_TARGET_RULE);
+        assert.equal(sanitizeTargetRule({ ...DEFAULT_TARGET_RULE, property: "color;" }), null);
+        assert.deepEqual(sanitizeTargetRules([DEFAULT_TARGET_RULE, { ...DEFAULT_TARGET_RULE, selector: "`" }]), [DEFAULT_TARGET_RULE]);
+    });
+});
+
+describe("compileTargetRules", () => {
+    const messageSelector = ".mes[sdc-author_uid=\"x\"]";
+    const background = [20, 20, 30];
+
+    test("styles the matched elements of the message with the color", () => {
+        const css = compileTargetRules([DEFAULT_TARGET_RULE], messageSelector, background);
+        assert.match(css, /\.mes\[sdc-author_uid="x"\] :is\(\.mes_text em\) \{\s*color: var\(--character-color\);\s*\}/);
+    });
+
+    test("styles the message itself without a selector", () => {
+        const css = compileTargetRules([{ ...DEFAULT_TARGET_RULE, selector: "" }], messageSelector, background);
+        assert.match(css, /\.mes\[sdc-author_uid="x"\] \{/);
+    });
+
+    test("mixes and fades the color", () => {
+        const css = compileTargetRules([{
+            ...DEFAULT_TARGET_RULE,
+            mixWith: TargetMixColor.BACKGROUND,
+            mixAmount: 30,
+            opacity: 50,
+        }], messageSelector, background);
+        assert.ok(css.includes(
+            "color-mix(in srgb, color-mix(in srgb, var(--character-color), rgb(20, 20, 30) 30%) 50%, transparent)"));
+    });
+
+    test("skips disabled and invalid rules", () => {
+        const css = compileTargetRules([
+            { ...DEFAULT_TARGET_RULE, enabled: false },
+            { ...DEFAULT_TARGET_RULE, selector: "em} body {" },
+            { ...DEFAULT_TARGET_RULE, value: `${COLOR_PLACEHOLDER}</style>` },
+            { ...DEFAULT_TARGET_RULE, value: `${COLOR_PLACEHOLDER} /*` },
+            { ...DEFAULT_TARGET_RULE, property: "background", value: `${COLOR_PLACEHOLDER} url(x.png)` },
+        ], messageSelector, background);
+        assert.equal(css, "");
+    });
+});
@@ -0,0 +1,143 @@
+// Canvas and image support for the tests, backed by @napi-rs/canvas (jsdom has no canvas).
+//
+// Like `worker-dom-shim.js` does in the extraction worker, `document.createElement("canvas")`
+// returns a native canvas, which Vibrant.js may attach to `document.body` while it works.
+// `Image` loads avatar URLs from `testing/fixtures/avatars/` instead of a SillyTavern server.
+
+import { readFile } from "node:fs/promises";
+import napiCanvas from "@napi-rs/canvas";
+
+const { createCanvas, Image: NativeImage } = napiCanvas;
+
+const avatarsFolder = new URL("./fixtures/avatars/", import.meta.url);
+
+/** The avatar URLs of SillyTavern (see `STCharacter.js`), each capturing the avatar's file name. */
+const AVATAR_URL_PATTERNS = [
+    /^\/thumbnail\?type=(?:avatar|persona)&file=(.+)$/,
+    /^\/characters\/(.+)$/,
+    /^\/User(?: |%20)Avatars\/(.+)$/,
+];
+
+/**
+ * Gets the fixture file an avatar URL points to.
+ *
+ * @param {URL} url
+ * @returns {URL?} The fixture file, or `null` if the URL isn't an avatar URL.
+ */
+function getAvatarFixture(url) {
+    const path = `${url.pathname}${url.search}`;
+    for (const pattern of AVATAR_URL_PATTERNS) {
+        const fileName = path.match(pattern)?.[1];
+        if (fileName) {
+            return new URL(encodeURIComponent(decodeURIComponent(fileName)), avatarsFolder);
+        }
+    }
+    return null;
+}
+
+/**
+ * An `<img>` whose avatar URLs are loaded from the fixtures. Like in a browser, it loads asynchronously
+ * and fires `load` or `error`; until then, `complete` is `false`.
+ */
+class FixtureImage extends NativeImage {
+    #events = new EventTarget();
+    #src = "";
+    #isLoaded = false;
+
+    get src() {
+        return this.#src;
+    }
+
+    set src(value) {
+        this.#src = new URL(value, globalThis.document.baseURI).href;
+        this.#isLoaded = false;
+        this.#load(new URL(this.#src));
+    }
+
+    get complete() {
+        return this.#isLoaded;
+    }
+
+    get naturalWidth() {
+        return this.width;
+    }
+
+    get naturalHeight() {
+        return this.height;
+    }
+
+    /**
+     * @param {string} type
+     * @param {EventListenerOrEventListenerObject} listener
+     * @param {AddEventListenerOptions=} options
+     */
+    addEventListener(type, listener, options) {
+        this.#events.addEventListener(type, listener, options);
+    }
+
+    /**
+     * @param {string} type
+     * @param {EventListenerOrEventListenerObject} listener
+     */
+    removeEventListener(type, listener) {
+        this.#events.removeEventListener(type, listener);
+    }
+
+    /**
+     * @param {URL} url
+     */
+    async #load(url) {
+        const src = this.#src;
+        let data;
+        try {
+            const fixture = getAvatarFixture(url);
+            if (!fixture) {
+                throw new Error(`Not an avatar URL: ${url.href}`);
+            }
+            data = await readFile(fixture);
+        } catch {
+            if (src === this.#src) {
+                this.#events.dispatchEvent(new Event("error"));
+            }
+            return;
+        }
+
+        // The native image decodes in the background and can't be drawn before its `onload`
+        this.onload = () => {
+            if (src !== this.#src) return;
+            this.#isLoaded = true;
+            this.#events.dispatchEvent(new Event("load"));
+        };
+        super.src = data;
+    }
+}
+
+/**
+ * Adds canvas and image support to a jsdom window set up as the global scope.
+ *
+ * @param {Window & typeof globalThis} window
+ */
+export function installCanvas(window) {
+    const { document } = window;
+
+    const createElement = document.createElement.bind(document);
+    document.createElement = (tagName, options) => String(tagName).toLowerCase() === "canvas"
+        ? createCanvas(1, 1)
+        : createElement(tagName, options);
+
+    const { body } = document;
+    const appendChild = body.appendChild.bind(body);
+    const removeChild = body.removeChild.bind(body);
+    body.appendChild = (node) => {
+        if (node instanceof window.Node) return appendChild(node);
+        node.parentNode = body;
+        return node;
+    };
+    body.removeChild = (node) => {
+        if (node instanceof window.Node) return removeChild(node);
+        node.parentNode = null;
+        return node;
+    };
+
+    window.Image = FixtureImage;
+}
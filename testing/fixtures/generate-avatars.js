@@ -0,0 +1,48 @@
+// Draws the avatar images in `avatars/`: `node testing/fixtures/generate-avatars.js`.
+//
+// Each avatar is a diagonal gradient of one hue, from dark to light, with a gray frame,
+// so the color extracted from it is known: a shade of that hue.
+
+import { writeFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import napiCanvas from "@napi-rs/canvas";
+
+const { createCanvas } = napiCanvas;
+
+const AVATAR_SIZE = 64;
+const FRAME_WIDTH = 4;
+
+/** The avatars, by file name, and the hue (in degrees) each is drawn in. */
+export const AVATAR_HUES = {
+    "crimson.png": 0,
+    "forest.png": 130,
+    "ocean.png": 215,
+    "violet.png": 275,
+};
+
+/**
+ * @param {number} hue
+ * @returns {Buffer} The avatar as a PNG.
+ */
+function drawAvatar(hue) {
+    const canvas = createCanvas(AVATAR_SIZE, AVATAR_SIZE);
+    const ctx = canvas.getContext("2d");
+
+    const gradient = ctx.createLinearGradient(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+    gradient.addColorStop(0, `hsl(${hue}, 75%, 25%)`);
+    gradient.addColorStop(0.5, `hsl(${hue}, 80%, 45%)`);
+    gradient.addColorStop(1, `hsl(${hue}, 70%, 65%)`);
+
+    ctx.fillStyle = "#505050";
+    ctx.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(FRAME_WIDTH, FRAME_WIDTH, AVATAR_SIZE - 2 * FRAME_WIDTH, AVATAR_SIZE - 2 * FRAME_WIDTH);
+
+    return canvas.toBuffer("image/png");
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    for (const [fileName, hue] of Object.entries(AVATAR_HUES)) {
+        await writeFile(new URL(`./avatars/${fileName}`, import.meta.url), drawAvatar(hue));
+    }
+}
@@ -0,0 +1,34 @@
+// Module resolution hook for the tests, registered by `setup.js`.
+//
+// The extension imports SillyTavern's modules relative to where it's installed
+// (`public/scripts/extensions/third-party/<extension>/`), e.g. `../../../extensions.js`.
+// Outside SillyTavern those paths lead out of the repository, so they're resolved to the
+// stand-ins in `testing/stubs/`, which mirror SillyTavern's `public/` folder.
+
+const repoRoot = new URL("../", import.meta.url);
+const stubsRoot = new URL("./stubs/", import.meta.url);
+const nonExtensionRoots = [new URL("node_modules/", repoRoot).href, new URL("testing/", repoRoot).href];
+
+/** Where the repository sits in a SillyTavern install. */
+const installRoot = new URL("file:///public/scripts/extensions/third-party/extension/");
+
+/**
+ * @param {string} specifier
+ * @param {{ parentURL?: string }} context
+ * @param {Function} nextResolve
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const { parentURL } = context;
+    const isFromExtension = parentURL?.startsWith(repoRoot.href)
+        && !nonExtensionRoots.some(root => parentURL.startsWith(root));
+
+    if (isFromExtension && specifier.startsWith("../")) {
+        const installedParent = new URL(parentURL.slice(repoRoot.href.length), installRoot);
+        const installedTarget = new URL(specifier, installedParent);
+        if (!installedTarget.href.startsWith(installRoot.href)) {
+            const pathBelowPublic = installedTarget.pathname.replace(/^\/public\//, "");
+            return nextResolve(new URL(pathBelowPublic, stubsRoot).href, context);
+        }
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,93 @@
+// Sets up a SillyTavern-like page for the tests: loaded with `node --import` before any test file
+// (see the `test` script in `package.json`).
+//
+// The page is a jsdom document holding the elements of SillyTavern that the extension looks up.
+// Like in a browser, the window is the global scope, so Vibrant.js and Color Thief can register
+// themselves on it. SillyTavern's modules are replaced by `testing/stubs/` (see `loader.js`).
+
+import { readFile } from "node:fs/promises";
+import { register } from "node:module";
+import { JSDOM } from "jsdom";
+
+import { installCanvas } from "./canvas.js";
+
+register("./loader.js", import.meta.url);
+
+const repoRoot = new URL("../", import.meta.url);
+
+/** The folder SillyTavern serves the extension from, relative to the page. */
+const EXTENSION_FOLDER = "scripts/extensions/third-party/SillyTavern-Smart-Dialogue-Colorizer/";
+
+const ST_PAGE_HTML = `<!DOCTYPE html>
+<html>
+<head></head>
+<body>
+    <div id="extensionsMenu"></div>
+    <div id="extensions_settings2"></div>
+    <form id="form_create">
+        <div id="avatar-and-name-block"></div>
+        <input id="avatar_url_pole" type="hidden">
+    </form>
+    <div id="PersonaManagement">
+        <div><textarea id="persona_description"></textarea></div>
+        <div id="user_avatar_block"></div>
+    </div>
+    <div id="chat"></div>
+</body>
+</html>`;
+
+const dom = new JSDOM(ST_PAGE_HTML, { url: "http://localhost:8000/", pretendToBeVisual: true });
+const { window } = dom;
+
+/** The browser globals the extension and its libraries use, besides what Node has. */
+const WINDOW_GLOBALS = [
+    "document", "navigator", "location", "getComputedStyle",
+    "Node", "Element", "HTMLElement", "HTMLInputElement", "HTMLSelectElement", "HTMLStyleElement",
+    "HTMLTemplateElement", "DocumentFragment", "NodeFilter", "MutationObserver",
+    "Event", "EventTarget", "CustomEvent", "DOMParser", "XMLHttpRequest",
+];
+for (const name of WINDOW_GLOBALS) {
+    Object.defineProperty(globalThis, name, {
+        value: typeof window[name] === "function" && !/^[A-Z]/.test(name) ? window[name].bind(window) : window[name],
+        configurable: true,
+        writable: true,
+    });
+}
+globalThis.window = globalThis;
+globalThis.self = globalThis;
+
+// jsdom has no `CSS`; the extension only needs `CSS.escape`
+globalThis.CSS = {
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    escape(value) {
+        return String(value).replace(/^\d|[^\w-]/g, (char) => /\d/.test(char)
+            ? `\\${char.charCodeAt(0).toString(16)} `
+            : `\\${char}`);
+    },
+};
+
+installCanvas(globalThis);
+
+/** Not in SillyTavern: the toasts shown, newest last. */
+globalThis.toastr = Object.assign(
+    Object.fromEntries(["info", "success", "warning", "error"].map(type => [
+        type,
+        (message, title) => globalThis.toastr.shown.push({ type, message, title }),
+    ])),
+    { shown: [], clear() {} },
+);
+
+// jQuery binds to the global window when it's loaded, so it's loaded after the globals are set
+const { default: jQuery } = await import("jquery");
+// Files of the extension are read from the repository instead of being requested from SillyTavern
+jQuery.get = async (url) => {
+    const path = String(url);
+    if (!path.startsWith(EXTENSION_FOLDER)) {
+        throw new Error(`[tests] No server to get ${path} from.`);
+    }
+    return readFile(new URL(path.slice(EXTENSION_FOLDER.length), repoRoot), "utf8");
+};
+globalThis.jQuery = globalThis.$ = jQuery;
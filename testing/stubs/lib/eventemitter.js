@@ -0,0 +1,49 @@
+// Stand-in for SillyTavern's `public/lib/eventemitter.js`.
+
+export class EventEmitter {
+    /** @type {Record<string, Function[]>} */
+    events = {};
+
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     */
+    on(event, listener) {
+        (this.events[event] ??= []).push(listener);
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     */
+    once(event, listener) {
+        const onceListener = (...args) => {
+            this.removeListener(event, onceListener);
+            return listener(...args);
+        };
+        this.on(event, onceListener);
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     */
+    removeListener(event, listener) {
+        const index = this.events[event]?.indexOf(listener) ?? -1;
+        if (index !== -1) {
+            this.events[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Calls the listeners of an event one after another, awaiting each.
+     *
+     * @param {string} event
+     * @param {...any} args
+     */
+    async emit(event, ...args) {
+        for (const listener of [...(this.events[event] ?? [])]) {
+            await listener(...args);
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// Stand-in for SillyTavern's `public/script.js`, with the exports the extension uses.
+
+import { EventEmitter } from "./lib/eventemitter.js";
+
+export const eventSource = new EventEmitter();
+
+export const event_types = {
+    APP_READY: "app_ready",
+    CHAT_CHANGED: "chat_id_changed",
+    MESSAGE_SWIPED: "message_swiped",
+    MESSAGE_UPDATED: "message_updated",
+    CHARACTER_MESSAGE_RENDERED: "character_message_rendered",
+    USER_MESSAGE_RENDERED: "user_message_rendered",
+    WORLD_INFO_ACTIVATED: "world_info_activated",
+};
+
+/** Metadata of the open chat. Tests change its properties; it's never replaced. */
+export const chat_metadata = {};
+
+/** The avatar file of the selected persona. Set with {@linkcode setUserAvatar}. */
+export let user_avatar = "";
+
+/**
+ * Not in SillyTavern: selects a persona for the tests.
+ *
+ * @param {string} avatar
+ */
+export function setUserAvatar(avatar) {
+    user_avatar = avatar;
+}
+
+export function saveSettingsDebounced() {}
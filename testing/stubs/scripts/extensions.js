@@ -0,0 +1,38 @@
+// Stand-in for SillyTavern's `public/scripts/extensions.js`, with the exports the extension uses.
+
+export const extension_settings = {};
+
+/**
+ * What {@linkcode getContext} returns. Tests change its properties; it's never replaced.
+ * Not in SillyTavern, where `getContext()` builds a new object on each call.
+ */
+export const testContext = {
+    /** @type {{ name: string, avatar: string, data?: any }[]} */
+    characters: [],
+    /** @type {{ id: string, members: string[] }[]} */
+    groups: [],
+    /** @type {{ name: string, is_user: boolean, mes: string }[]} */
+    chat: [],
+    /** @type {string | undefined} The index of the open character, as a string. */
+    characterId: undefined,
+    /** @type {string | null} */
+    groupId: null,
+};
+
+export function getContext() {
+    return testContext;
+}
+
+export function saveMetadataDebounced() {}
+
+/**
+ * @param {number} characterId
+ * @param {string} key
+ * @param {any} value
+ */
+export async function writeExtensionField(characterId, key, value) {
+    const character = testContext.characters[characterId];
+    character.data ??= {};
+    character.data.extensions ??= {};
+    character.data.extensions[key] = value;
+}
@@ -0,0 +1,6 @@
+// Stand-in for SillyTavern's `public/scripts/power-user.js`, with the exports the extension uses.
+
+export const power_user = {
+    /** @type {Record<string, string>} Persona names by avatar file. */
+    personas: {},
+};
@@ -0,0 +1,11 @@
+// Stand-in for SillyTavern's `public/scripts/slash-commands/SlashCommand.js`.
+
+export class SlashCommand {
+    /**
+     * @param {Record<string, any>} props
+     * @returns {SlashCommand}
+     */
+    static fromProps(props) {
+        return Object.assign(new SlashCommand(), props);
+    }
+}
@@ -0,0 +1,27 @@
+// Stand-in for SillyTavern's `public/scripts/slash-commands/SlashCommandArgument.js`.
+
+export const ARGUMENT_TYPE = {
+    STRING: "string",
+    NUMBER: "number",
+    BOOLEAN: "bool",
+};
+
+export class SlashCommandArgument {
+    /**
+     * @param {Record<string, any>} props
+     * @returns {SlashCommandArgument}
+     */
+    static fromProps(props) {
+        return Object.assign(new SlashCommandArgument(), props);
+    }
+}
+
+export class SlashCommandNamedArgument extends SlashCommandArgument {
+    /**
+     * @param {Record<string, any>} props
+     * @returns {SlashCommandNamedArgument}
+     */
+    static fromProps(props) {
+        return Object.assign(new SlashCommandNamedArgument(), props);
+    }
+}
@@ -0,0 +1,13 @@
+// Stand-in for SillyTavern's `public/scripts/slash-commands/SlashCommandParser.js`.
+
+export class SlashCommandParser {
+    /** @type {Record<string, import("./SlashCommand.js").SlashCommand>} */
+    static commands = {};
+
+    /**
+     * @param {import("./SlashCommand.js").SlashCommand} command
+     */
+    static addCommandObject(command) {
+        SlashCommandParser.commands[command.name] = command;
+    }
+}
@@ -0,0 +1,21 @@
+// Stand-in for SillyTavern's `public/scripts/utils.js`, with the exports the extension uses.
+
+/** Not in SillyTavern: the files passed to {@linkcode download}, newest last. */
+export const downloads = [];
+
+/**
+ * @param {string | Blob} content
+ * @param {string} fileName
+ * @param {string} contentType
+ */
+export function download(content, fileName, contentType) {
+    downloads.push({ content, fileName, contentType });
+}
+
+/**
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export function getFileText(file) {
+    return file.text();
+}
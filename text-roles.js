@@ -0,0 +1,156 @@
+import { ExColor } from "./ExColor.js";
+
+/**
+ * @typedef {ValueOf<typeof TextRoleType>} TextRoleType
+ * @readonly
+ */
+export const TextRoleType = {
+    DIALOGUE: "dialogue",
+    NARRATION: "narration",
+    THOUGHTS: "thoughts",
+    STRONG: "strong",
+};
+
+/**
+ * @typedef {object} TextRoleDefinition
+ * @property {string} label The label shown in the settings UI.
+ * @property {string} description The help text shown in the settings UI.
+ * @property {string} cssVar The CSS variable the role's color is exported as.
+ * @property {string[]} selectors Selectors (relative to `.mes_text`) of the elements the role colors.
+ * An empty list means the role is styled by a static rule in `style.css`.
+ */
+
+/** The class of the spans {@linkcode markTildeThoughts} wraps single-tilde thoughts in. */
+export const TILDE_THOUGHT_CLASS = "sdc-thought";
+
+/** Text between single tildes (`~like this~`), not starting or ending with a space. */
+const TILDE_THOUGHT_PATTERN = /(?<!~)~(?![\s~])[^~\n]*?[^\s~]~(?!~)/g;
+
+/**
+ * Describes each text role. Dialogue is styled by the static `q` rule in `style.css`;
+ * the other roles get per-character rules generated alongside the character's color variables.
+ *
+ * @type {Record<TextRoleType, TextRoleDefinition>}
+ */
+export const TEXT_ROLES = {
+    [TextRoleType.DIALOGUE]: {
+        label: "Dialogue",
+        description: "Quoted dialogue (\"...\").",
+        cssVar: "--character-dialogue-color",
+        selectors: [],
+    },
+    [TextRoleType.NARRATION]: {
+        label: "Narration / actions",
+        description: "Emphasized narration and actions (*...*), rendered as italics.",
+        cssVar: "--character-narration-color",
+        selectors: ["em", "i"],
+    },
+    [TextRoleType.THOUGHTS]: {
+        label: "Thoughts",
+        description: "Inner thoughts written in `backticks` (inline code), ~tildes~ or ~~double tildes~~ (strikethrough).",
+        cssVar: "--character-thoughts-color",
+        selectors: [":not(pre) > code", "del", "s", `.${TILDE_THOUGHT_CLASS}`],
+    },
+    [TextRoleType.STRONG]: {
+        label: "Strong / sound effects",
+        description: "Bold text (**...**), often used for shouting and sound effects.",
+        cssVar: "--character-strong-color",
+        selectors: ["strong", "b"],
+    },
+};
+
+/** @type {Record<TextRoleType, boolean>} */
+export const DEFAULT_TEXT_ROLES = {
+    [TextRoleType.DIALOGUE]: true,
+    [TextRoleType.NARRATION]: false,
+    [TextRoleType.THOUGHTS]: false,
+    [TextRoleType.STRONG]: false,
+};
+
+/**
+ * Gets whether the specified text role is enabled in the given color settings.
+ * Falls back to the default for settings saved before the role existed.
+ *
+ * @param {{ textRoles?: Partial<Record<TextRoleType, boolean>> }} colorSettings
+ * @param {TextRoleType} role
+ * @returns {boolean}
+ */
+export function isTextRoleEnabled(colorSettings, role) {
+    return colorSettings.textRoles?.[role] ?? DEFAULT_TEXT_ROLES[role];
+}
+
+/**
+ * Derives the shade used for a text role from a character's dialogue color.
+ * Narration and thoughts are muted so they sit behind the dialogue; strong text is intensified.
+ * Shades are derived in OKLCH so they keep the same apparent brightness relationship for every hue.
+ *
+ * @param {ExColor} baseColor The character's (already contrast-adjusted) dialogue color.
+ * @param {TextRoleType} role
+ * @param {boolean} isLight Whether the current theme is light.
+ * @returns {ExColor}
+ */
+export function deriveTextRoleColor(baseColor, role, isLight) {
+    const { l, c, h, a } = baseColor.toOklch();
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+    switch (role) {
+        case TextRoleType.NARRATION: {
+            // Closer to regular body text: less chroma, nudged towards the text color.
+            const lum = isLight ? clamp(l - 0.04, 0.35, 0.55) : clamp(l + 0.04, 0.72, 0.9);
+            return ExColor.fromOklch([lum, c * 0.55, h, a]);
+        }
+        case TextRoleType.THOUGHTS: {
+            // Faint and dreamy: heavily desaturated, nudged towards the background.
+            const lum = isLight ? clamp(l + 0.08, 0.45, 0.62) : clamp(l - 0.06, 0.66, 0.8);
+            return ExColor.fromOklch([lum, c * 0.4, h, a]);
+        }
+        case TextRoleType.STRONG: {
+            const lum = isLight ? clamp(l - 0.06, 0.3, 0.5) : clamp(l + 0.06, 0.72, 0.92);
+            return ExColor.fromOklch([lum, c + 0.04, h, a]);
+        }
+        case TextRoleType.DIALOGUE:
+        default:
+            return baseColor;
+    }
+}
+
+/**
+ * Wraps the thoughts written in single tildes (`~like this~`) in a message's text in spans, so the thoughts role
+ * can color them. ST's markdown leaves single tildes as they are; only `~~double tildes~~` become strikethrough.
+ * Thoughts in code, or split by other formatting, aren't marked. Marking the same text again changes nothing.
+ *
+ * @param {Element} mesText The `.mes_text` element of a message.
+ */
+export function markTildeThoughts(mesText) {
+    const doc = mesText.ownerDocument;
+    const walker = doc.createTreeWalker(mesText, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement?.closest(`code, pre, .${TILDE_THOUGHT_CLASS}`)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT,
+    });
+
+    /** @type {Text[]} */
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(/** @type {Text} */ (walker.currentNode));
+    }
+
+    for (const node of textNodes) {
+        const text = node.nodeValue ?? "";
+        const matches = [...text.matchAll(TILDE_THOUGHT_PATTERN)];
+        if (matches.length === 0) continue;
+
+        const fragment = doc.createDocumentFragment();
+        let lastIndex = 0;
+        for (const match of matches) {
+            fragment.append(text.slice(lastIndex, match.index));
+            const span = doc.createElement("span");
+            span.className = TILDE_THOUGHT_CLASS;
+            span.textContent = match[0];
+            fragment.append(span);
+            lastIndex = match.index + match[0].length;
+        }
+        fragment.append(text.slice(lastIndex));
+        node.replaceWith(fragment);
+    }
+}
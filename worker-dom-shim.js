@@ -0,0 +1,26 @@
+// Vibrant.js and Color Thief register themselves on `window` and draw on canvases created with
+// `document.createElement("canvas")` (Vibrant.js also attaches them to `document.body` while it works).
+// Workers have neither, so this maps both onto their worker equivalents.
+// Must be imported before the libraries.
+
+const body = {
+    appendChild(node) {
+        node.parentNode = body;
+        return node;
+    },
+    removeChild(node) {
+        node.parentNode = null;
+        return node;
+    },
+};
+
+self.window = self;
+self.document = {
+    body,
+    createElement(tagName) {
+        if (String(tagName).toLowerCase() !== "canvas") {
+            throw new Error(`[SDC] Can't create <${tagName}> elements in the extraction worker.`);
+        }
+        return new OffscreenCanvas(1, 1);
+    },
+};